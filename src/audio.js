@@ -1,3 +1,8 @@
+import { BeatDetector } from './beat.js';
+import { createBandLayout } from './bands.js';
+
+export const FFT_SIZES = [512, 1024, 2048, 4096, 8192, 16384, 32768];
+
 export class AudioAnalyzer {
     constructor() {
         console.log("AudioAnalyzer: constructor called"); // Added for debugging
@@ -10,15 +15,32 @@ export class AudioAnalyzer {
             highMid: { low: 2600, high: 5200 },
             treble: { low: 5200, high: 14000 }
         };
+        // Configurable band array exposed as audioData.bands, next to the five named bands above
+        this.bandLayout = {
+            type: 'log',
+            count: 16,
+            minFrequency: 30,
+            maxFrequency: 16000,
+            customEdges: [20, 60, 250, 500, 2000, 4000, 6000, 16000]
+        };
+        this.bandGains = [];       // Per-band multiplier, missing entries count as 1
+        this.bandNoiseFloors = []; // Per-band 0..1 level treated as silence, missing entries count as 0
+        this.bands = createBandLayout(this.bandLayout);
+        this.bandValues = new Float32Array(this.bands.length);
+        this.calibration = null;
         this.audioContext = null;
         this.analyser = null;
         this.source = null;
+        this.inputBus = null;
+        this.monitorGain = null;
+        this.mediaElementSources = new WeakMap();
+        this.liveStream = null;
         this.frequencyData = null;
         this.timeDomainData = null;
+        this.beatDetector = new BeatDetector(Object.keys(this.frequencyBands));
     }
 
-    async init(audioElement) {
-        console.log("AudioAnalyzer: init called"); // Added for debugging
+    async ensureContext() {
         if (!this.audioContext) {
             this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
             console.log("AudioAnalyzer: AudioContext created");
@@ -30,12 +52,25 @@ export class AudioAnalyzer {
             console.log("AudioAnalyzer: AudioContext resumed");
         }
 
-        this.analyser = this.audioContext.createAnalyser();
-        this.analyser.fftSize = this.fftSize;
-        this.analyser.smoothingTimeConstant = this.smoothingTimeConstant;
-        console.log("AudioAnalyzer: Analyser created and configured");
+        if (!this.analyser) {
+            this.analyser = this.audioContext.createAnalyser();
+            this.analyser.fftSize = this.fftSize;
+            this.analyser.smoothingTimeConstant = this.smoothingTimeConstant;
+            // Every source is summed here, so decks can crossfade into one analyser
+            this.inputBus = this.audioContext.createGain();
+            this.inputBus.connect(this.analyser);
+            // Analyser always feeds the speakers through this gain so live input can be muted (no feedback loop)
+            this.monitorGain = this.audioContext.createGain();
+            this.analyser.connect(this.monitorGain);
+            this.monitorGain.connect(this.audioContext.destination);
+            this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
+            this.timeDomainData = new Uint8Array(this.analyser.fftSize); // Corrected size
+            console.log("AudioAnalyzer: Analyser created and configured");
+        }
+    }
 
-        if (this.source) {
+    connectSource(sourceNode, monitor) {
+        if (this.source && this.source !== sourceNode) {
             try {
                 this.source.disconnect();
                 console.log("AudioAnalyzer: Previous source disconnected");
@@ -43,14 +78,159 @@ export class AudioAnalyzer {
                 console.warn("AudioAnalyzer: Error disconnecting previous source (might be normal):", e);
             }
         }
-        this.source = this.audioContext.createMediaElementSource(audioElement);
-        this.source.connect(this.analyser);
-        this.analyser.connect(this.audioContext.destination);
-        console.log("AudioAnalyzer: MediaElementSource created and connected");
+        this.source = sourceNode;
+        this.source.connect(this.inputBus);
+        this.beatDetector.reset(); // Tempo history from the previous source is meaningless now
+        this.monitorGain.gain.value = monitor ? 1 : 0;
+    }
+
+    // Connects an audio element through its own gain node (a "deck") and returns that gain
+    async init(audioElement) {
+        console.log("AudioAnalyzer: init called"); // Added for debugging
+        await this.ensureContext();
+        this.stopLiveInput();
+        this.monitorGain.gain.value = 1;
+
+        // createMediaElementSource may only be called once per element, so keep the nodes around
+        let deck = this.mediaElementSources.get(audioElement);
+        if (!deck) {
+            const source = this.audioContext.createMediaElementSource(audioElement);
+            const gain = this.audioContext.createGain();
+            source.connect(gain);
+            gain.connect(this.inputBus);
+            deck = { source, gain };
+            this.mediaElementSources.set(audioElement, deck);
+            console.log("AudioAnalyzer: MediaElementSource created and connected");
+        }
+        return deck.gain;
+    }
+
+    async initLiveInput(deviceId) {
+        console.log("AudioAnalyzer: initLiveInput called with device:", deviceId || 'default');
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            throw new Error("Live audio input is not supported in this browser.");
+        }
+        await this.ensureContext();
+        this.stopLiveInput();
+
+        // Processing meant for voice calls would flatten the signal we want to visualize
+        const stream = await navigator.mediaDevices.getUserMedia({
+            audio: {
+                deviceId: deviceId ? { exact: deviceId } : undefined,
+                echoCancellation: false,
+                noiseSuppression: false,
+                autoGainControl: false
+            }
+        });
+        this.liveStream = stream;
+        this.connectSource(this.audioContext.createMediaStreamSource(stream), false);
+        console.log("AudioAnalyzer: MediaStreamSource created and connected (not monitored)");
+    }
+
+    stopLiveInput() {
+        if (!this.liveStream) return;
+        this.liveStream.getTracks().forEach(track => track.stop());
+        this.liveStream = null;
+        if (this.source) {
+            try { this.source.disconnect(); } catch(e) { /* already disconnected */ }
+            this.source = null;
+        }
+        console.log("AudioAnalyzer: Live input stopped");
+    }
+
+    isLiveInputActive() {
+        return !!this.liveStream;
+    }
+
+    // Id of the device the live input actually opened, e.g. when it was started without picking one
+    getLiveInputDeviceId() {
+        const track = this.liveStream ? this.liveStream.getAudioTracks()[0] : null;
+        return track && track.getSettings ? track.getSettings().deviceId || null : null;
+    }
+
+    getAnalysisConfig() {
+        return {
+            fftSize: this.fftSize,
+            smoothingTimeConstant: this.smoothingTimeConstant,
+            bandLayout: { ...this.bandLayout, customEdges: this.bandLayout.customEdges.slice() },
+            bandGains: this.bandGains.slice(),
+            bandNoiseFloors: this.bandNoiseFloors.slice()
+        };
+    }
 
-        this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
-        this.timeDomainData = new Uint8Array(this.analyser.fftSize); // Corrected size
-        console.log("AudioAnalyzer: Data arrays initialized");
+    applyAnalysisConfig(config) {
+        if (!config) return;
+        if (FFT_SIZES.includes(config.fftSize)) this.setFftSize(config.fftSize);
+        if (typeof config.smoothingTimeConstant === 'number') this.setSmoothing(config.smoothingTimeConstant);
+        if (Array.isArray(config.bandGains)) this.bandGains = config.bandGains.slice();
+        if (Array.isArray(config.bandNoiseFloors)) this.bandNoiseFloors = config.bandNoiseFloors.slice();
+        if (config.bandLayout) this.setBandLayout(config.bandLayout);
+    }
+
+    setFftSize(size) {
+        if (!FFT_SIZES.includes(size)) throw new Error(`FFT size must be one of ${FFT_SIZES.join(', ')}.`);
+        this.fftSize = size;
+        if (this.analyser) {
+            this.analyser.fftSize = size;
+            this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
+            this.timeDomainData = new Uint8Array(this.analyser.fftSize);
+            this.beatDetector.reset();
+        }
+        console.log("AudioAnalyzer: FFT size set to", size);
+    }
+
+    setSmoothing(value) {
+        this.smoothingTimeConstant = Math.min(0.99, Math.max(0, value));
+        if (this.analyser) this.analyser.smoothingTimeConstant = this.smoothingTimeConstant;
+    }
+
+    // Changing the layout keeps gains/floors by index; recalibrate after changing band count
+    setBandLayout(layout) {
+        const merged = { ...this.bandLayout, ...layout };
+        const bands = createBandLayout(merged);
+        if (!bands.length) throw new Error("The band layout produced no bands for this frequency range.");
+        this.bandLayout = merged;
+        this.bands = bands;
+        this.bandValues = new Float32Array(bands.length);
+        console.log(`AudioAnalyzer: Band layout '${merged.type}' with ${bands.length} bands`);
+    }
+
+    // Averages each band's raw level for a while (play silence / room noise) and stores it as the noise floor
+    calibrateNoiseFloor(seconds = 3) {
+        return new Promise(resolve => {
+            this.calibration = { sums: new Float64Array(this.bands.length), frames: 0 };
+            setTimeout(() => {
+                const { sums, frames } = this.calibration;
+                this.calibration = null;
+                if (frames > 0) this.bandNoiseFloors = Array.from(sums, sum => Math.min(0.95, sum / frames));
+                console.log(`AudioAnalyzer: Noise floor calibrated over ${frames} frames`);
+                resolve(this.bandNoiseFloors);
+            }, seconds * 1000);
+        });
+    }
+
+    // Taps the summed input (before the monitor mute) so recordings include live input too
+    createRecordingDestination() {
+        if (!this.audioContext || !this.inputBus) return null;
+        const destination = this.audioContext.createMediaStreamDestination();
+        this.inputBus.connect(destination);
+        return destination;
+    }
+
+    releaseRecordingDestination(destination) {
+        if (!destination || !this.inputBus) return;
+        try {
+            this.inputBus.disconnect(destination);
+        } catch(e) {
+            console.warn("AudioAnalyzer: Error disconnecting recording destination (might be normal):", e);
+        }
+        destination.stream.getTracks().forEach(track => track.stop());
+    }
+
+    static async listInputDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices.filter(device => device.kind === 'audioinput');
     }
     
     resumeContext() {
@@ -75,25 +255,64 @@ export class AudioAnalyzer {
         this.analyser.getByteFrequencyData(this.frequencyData);
         this.analyser.getByteTimeDomainData(this.timeDomainData);
 
+        return this.buildAudioData(this.audioContext.currentTime);
+    }
+
+    // Builds the audio data object from the current frequencyData/timeDomainData contents
+    buildAudioData(time) {
         return {
             frequencies: this.getFrequencyBands(),
             waveform: this.getNormalizedWaveform(),
-            volume: this.getAverageVolume()
+            volume: this.getAverageVolume(),
+            bands: this.getBandArray(),
+            beat: this.beatDetector.process(this.frequencyData, this.getBandBinRanges(), time)
         };
     }
 
+    getSampleRate() {
+        return this.audioContext.sampleRate;
+    }
+
+    getBandBinRanges() {
+        const nyquist = this.getSampleRate() / 2;
+        const binCount = this.frequencyData.length;
+        const ranges = {};
+        for (const [name, range] of Object.entries(this.frequencyBands)) {
+            ranges[name] = {
+                lowIndex: Math.max(0, Math.floor(range.low * binCount / nyquist)),
+                highIndex: Math.min(binCount - 1, Math.floor(range.high * binCount / nyquist))
+            };
+        }
+        return ranges;
+    }
+
+    getBandArray() {
+        if (!this.frequencyData) return [];
+        const nyquist = this.getSampleRate() / 2;
+        const binCount = this.frequencyData.length;
+        const calibrating = this.calibration && this.calibration.sums.length === this.bands.length;
+        this.bands.forEach((band, i) => {
+            const lowIndex = Math.max(0, Math.floor(band.low * binCount / nyquist));
+            const highIndex = Math.max(lowIndex, Math.min(binCount - 1, Math.floor(band.high * binCount / nyquist)));
+            const raw = this.getAverageFromRange(lowIndex, highIndex);
+            if (calibrating) this.calibration.sums[i] += raw;
+            const floor = this.bandNoiseFloors[i] || 0;
+            const gain = this.bandGains[i] ?? 1;
+            this.bandValues[i] = Math.min(1, Math.max(0, (raw - floor) / (1 - floor)) * gain);
+        });
+        if (calibrating) this.calibration.frames++;
+        return Array.from(this.bandValues);
+    }
+
     getFrequencyBands() {
-        if (!this.audioContext || !this.analyser || !this.frequencyData) {
+        if (!this.frequencyData) {
             // console.warn("AudioAnalyzer: getFrequencyBands - prerequisites not met."); // Can be noisy
             return {};
         }
-        const nyquist = this.audioContext.sampleRate / 2;
         const bands = {};
 
-        for (const [name, range] of Object.entries(this.frequencyBands)) {
-            const lowIndex = Math.max(0, Math.floor(range.low * this.analyser.frequencyBinCount / nyquist));
-            const highIndex = Math.min(this.analyser.frequencyBinCount - 1, Math.floor(range.high * this.analyser.frequencyBinCount / nyquist));
-            bands[name] = this.getAverageFromRange(lowIndex, highIndex);
+        for (const [name, range] of Object.entries(this.getBandBinRanges())) {
+            bands[name] = this.getAverageFromRange(range.lowIndex, range.highIndex);
         }
         return bands;
     }
@@ -119,4 +338,104 @@ export class AudioAnalyzer {
         return sum / this.timeDomainData.length / 128;
     }
 }
+
+// In-place iterative radix-2 FFT; re/im lengths must be a power of two
+function fft(re, im) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = -2 * Math.PI / size;
+        const wRe = Math.cos(angle);
+        const wIm = Math.sin(angle);
+        for (let start = 0; start < n; start += size) {
+            let curRe = 1;
+            let curIm = 0;
+            for (let k = 0; k < size / 2; k++) {
+                const a = start + k;
+                const b = a + size / 2;
+                const tRe = re[b] * curRe - im[b] * curIm;
+                const tIm = re[b] * curIm + im[b] * curRe;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+                const nextRe = curRe * wRe - curIm * wIm;
+                curIm = curRe * wIm + curIm * wRe;
+                curRe = nextRe;
+            }
+        }
+    }
+}
+
+// Reproduces AnalyserNode's byte output from a decoded AudioBuffer at arbitrary times,
+// so offline renders see the same data the live visualizer would.
+export class OfflineAudioAnalyzer extends AudioAnalyzer {
+    // options: an analysis config from AudioAnalyzer.getAnalysisConfig()
+    constructor(audioBuffer, options = {}) {
+        super();
+        console.log("OfflineAudioAnalyzer: constructor called");
+        this.audioBuffer = audioBuffer;
+        this.applyAnalysisConfig(options); // Same FFT/band setup as the live analyzer
+        this.minDecibels = -100; // AnalyserNode defaults
+        this.maxDecibels = -30;
+
+        // Down-mix once up front; AnalyserNode also analyses a mono mix
+        this.monoSamples = new Float32Array(audioBuffer.length);
+        for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+            const channel = audioBuffer.getChannelData(c);
+            for (let i = 0; i < channel.length; i++) this.monoSamples[i] += channel[i] / audioBuffer.numberOfChannels;
+        }
+
+        this.frequencyData = new Uint8Array(this.fftSize / 2);
+        this.timeDomainData = new Uint8Array(this.fftSize);
+        this.smoothedMagnitudes = new Float32Array(this.fftSize / 2);
+        this.window = new Float32Array(this.fftSize);
+        for (let i = 0; i < this.fftSize; i++) { // Blackman window, as used by AnalyserNode
+            const x = i / this.fftSize;
+            this.window[i] = 0.42 - 0.5 * Math.cos(2 * Math.PI * x) + 0.08 * Math.cos(4 * Math.PI * x);
+        }
+        this.re = new Float32Array(this.fftSize);
+        this.im = new Float32Array(this.fftSize);
+    }
+
+    getSampleRate() {
+        return this.audioBuffer.sampleRate;
+    }
+
+    getDuration() {
+        return this.audioBuffer.duration;
+    }
+
+    // Analyses the fftSize samples ending at `time`; call with increasing times for correct smoothing
+    getAudioDataAt(time) {
+        const end = Math.round(time * this.audioBuffer.sampleRate);
+        const start = end - this.fftSize;
+        for (let i = 0; i < this.fftSize; i++) {
+            const index = start + i;
+            const sample = index >= 0 && index < this.monoSamples.length ? this.monoSamples[index] : 0;
+            this.timeDomainData[i] = Math.max(0, Math.min(255, Math.floor(128 * (1 + sample))));
+            this.re[i] = sample * this.window[i];
+            this.im[i] = 0;
+        }
+        fft(this.re, this.im);
+
+        const rangeScale = 255 / (this.maxDecibels - this.minDecibels);
+        for (let k = 0; k < this.frequencyData.length; k++) {
+            const magnitude = Math.hypot(this.re[k], this.im[k]) / this.fftSize;
+            this.smoothedMagnitudes[k] = this.smoothingTimeConstant * this.smoothedMagnitudes[k] + (1 - this.smoothingTimeConstant) * magnitude;
+            const db = 20 * Math.log10(this.smoothedMagnitudes[k] || 1e-12);
+            this.frequencyData[k] = Math.max(0, Math.min(255, Math.floor(rangeScale * (db - this.minDecibels))));
+        }
+
+        return this.buildAudioData(time);
+    }
+}
 console.log("src/audio.js: Parsed and AudioAnalyzer class is exported."); // Top-level log
\ No newline at end of file
@@ -0,0 +1,177 @@
+import { easeInOutCubic, lerpHexColor } from './morph.js';
+import { isHexColor } from './palettes.js';
+
+const AUTOMATION_STORAGE_KEY = 'visualizerAutomation_v1';
+export const AUTOMATION_FORMAT_VERSION = 1;
+const KEYFRAME_MERGE_SECONDS = 0.05; // Setting a keyframe this close to an existing one replaces it
+
+// Curve of the segment from a keyframe to the next one. Only numbers and colors are interpolated;
+// every other value switches when its keyframe is reached, as with 'hold'.
+export const AUTOMATION_CURVES = {
+    linear: t => t,
+    hold: () => 0,
+    easeIn: t => t * t * t,
+    easeOut: t => 1 - Math.pow(1 - t, 3),
+    easeInOut: easeInOutCubic
+};
+
+// Lists like postFxStack or modulationRoutings have their own editors and sanitizers, so they aren't automatable
+export function getAutomatableKeys(defaults) {
+    return Object.keys(defaults).filter(key => typeof defaults[key] !== 'object' || defaults[key] === null);
+}
+
+function isValidValue(value, defaultValue) {
+    if (typeof value !== typeof defaultValue) return false;
+    if (typeof value === 'number') return Number.isFinite(value);
+    if (isHexColor(defaultValue)) return isHexColor(value);
+    return true;
+}
+
+// Lanes are { settingKey: [{ time, value, curve }] } sorted by time; invalid entries are dropped with a warning
+export function sanitizeLanes(rawLanes, defaults) {
+    const lanes = {};
+    const warnings = [];
+    if (!rawLanes || typeof rawLanes !== 'object' || Array.isArray(rawLanes)) return { lanes, warnings };
+    const automatable = getAutomatableKeys(defaults);
+    Object.entries(rawLanes).forEach(([key, keyframes]) => {
+        if (!automatable.includes(key) || !Array.isArray(keyframes)) {
+            warnings.push(`Lane "${key}" ignored: not an automatable setting.`);
+            return;
+        }
+        const valid = keyframes.filter(keyframe => keyframe && Number.isFinite(keyframe.time) && keyframe.time >= 0 &&
+            isValidValue(keyframe.value, defaults[key]));
+        if (valid.length < keyframes.length) warnings.push(`Lane "${key}": ${keyframes.length - valid.length} invalid keyframe(s) dropped.`);
+        if (!valid.length) return;
+        lanes[key] = valid
+            .map(keyframe => ({ time: keyframe.time, value: keyframe.value, curve: AUTOMATION_CURVES[keyframe.curve] ? keyframe.curve : 'linear' }))
+            .sort((a, b) => a.time - b.time);
+    });
+    return { lanes, warnings };
+}
+
+// Value of a lane at a track time; the first and last keyframes hold before and after the lane
+export function evaluateLane(keyframes, time) {
+    if (time <= keyframes[0].time) return keyframes[0].value;
+    const last = keyframes[keyframes.length - 1];
+    if (time >= last.time) return last.value;
+    let index = 0;
+    while (keyframes[index + 1].time <= time) index++;
+    const from = keyframes[index];
+    const to = keyframes[index + 1];
+    const t = AUTOMATION_CURVES[from.curve]((time - from.time) / (to.time - from.time));
+    if (typeof from.value === 'number') return from.value + (to.value - from.value) * t;
+    if (isHexColor(from.value) && isHexColor(to.value)) return lerpHexColor(from.value, to.value, t);
+    return from.value;
+}
+
+// Keyframed settings against the track playhead, stored per track name like the preset sequence
+export class TrackAutomation {
+    constructor(defaults, storage = window.localStorage) {
+        console.log("TrackAutomation: constructor called");
+        this.defaults = defaults;
+        this.storage = storage;
+        this.enabled = true;
+        this.trackName = null;
+        this.lanes = {};
+        this.lastTime = null;
+        this.projects = this.loadAll();
+    }
+
+    loadAll() {
+        try {
+            return JSON.parse(this.storage.getItem(AUTOMATION_STORAGE_KEY)) || {};
+        } catch (e) {
+            console.error("TrackAutomation: Error reading automation from localStorage:", e);
+            return {};
+        }
+    }
+
+    persist() {
+        if (!this.trackName) return;
+        if (Object.keys(this.lanes).length) {
+            this.projects[this.trackName] = this.lanes;
+        } else {
+            delete this.projects[this.trackName];
+        }
+        this.storage.setItem(AUTOMATION_STORAGE_KEY, JSON.stringify(this.projects));
+    }
+
+    setTrack(trackName) {
+        this.trackName = trackName;
+        const { lanes, warnings } = sanitizeLanes(this.projects[trackName], this.defaults);
+        if (warnings.length) console.warn(`TrackAutomation: stored automation for "${trackName}" needed cleanup:`, warnings);
+        this.lanes = lanes;
+        this.lastTime = null;
+        console.log(`TrackAutomation: ${Object.keys(this.lanes).length} lane(s) for "${trackName}"`);
+    }
+
+    getKeyframes(key) {
+        return this.lanes[key] || [];
+    }
+
+    setKeyframe(key, time, value, curve = 'linear') {
+        if (!this.trackName) throw new Error("Load a track before adding keyframes.");
+        if (!getAutomatableKeys(this.defaults).includes(key)) throw new Error(`"${key}" can't be automated.`);
+        if (!isValidValue(value, this.defaults[key])) throw new Error(`Invalid value for "${key}".`);
+        const keyframes = this.getKeyframes(key).filter(keyframe => Math.abs(keyframe.time - time) > KEYFRAME_MERGE_SECONDS);
+        keyframes.push({ time, value, curve: AUTOMATION_CURVES[curve] ? curve : 'linear' });
+        keyframes.sort((a, b) => a.time - b.time);
+        this.lanes[key] = keyframes;
+        this.lastTime = null; // Re-evaluate on the next frame even when paused
+        this.persist();
+    }
+
+    // Removes the keyframe closest to the time, if one lies within `tolerance` seconds
+    removeKeyframeNear(key, time, tolerance) {
+        const keyframes = this.getKeyframes(key);
+        let closest = -1;
+        keyframes.forEach((keyframe, index) => {
+            const distance = Math.abs(keyframe.time - time);
+            if (distance <= tolerance && (closest < 0 || distance < Math.abs(keyframes[closest].time - time))) closest = index;
+        });
+        if (closest < 0) return false;
+        keyframes.splice(closest, 1);
+        if (!keyframes.length) delete this.lanes[key];
+        this.persist();
+        return true;
+    }
+
+    clearLane(key) {
+        delete this.lanes[key];
+        this.persist();
+    }
+
+    // Writes the automated values into settings and returns the keys it wrote. Only runs when the playhead
+    // moved, so controls can still be adjusted by hand while paused (e.g. to set up the next keyframe).
+    apply(settings, time) {
+        if (!this.enabled || time === null || time === this.lastTime) return [];
+        this.lastTime = time;
+        return Object.entries(this.lanes).map(([key, keyframes]) => {
+            settings[key] = evaluateLane(keyframes, time);
+            return key;
+        });
+    }
+
+    // Project file for the current track, kept next to the preset exports
+    exportJSON() {
+        return JSON.stringify({ version: AUTOMATION_FORMAT_VERSION, track: this.trackName, lanes: this.lanes }, null, 2);
+    }
+
+    // Replaces the current track's lanes; returns the warnings from validation
+    importJSON(json) {
+        if (!this.trackName) throw new Error("Load a track before importing automation.");
+        const data = JSON.parse(json);
+        if (!data || typeof data !== 'object' || !data.lanes) throw new Error("Not an automation project file.");
+        const { lanes, warnings } = sanitizeLanes(data.lanes, this.defaults);
+        if (data.track && data.track !== this.trackName) warnings.push(`Project was made for "${data.track}".`);
+        this.lanes = lanes;
+        this.lastTime = null;
+        this.persist();
+        return warnings;
+    }
+
+    getKeyframeTimes(key) {
+        return this.getKeyframes(key).map(keyframe => keyframe.time);
+    }
+}
+console.log("src/automation.js: Parsed and TrackAutomation class is exported.");
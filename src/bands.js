@@ -0,0 +1,72 @@
+export const BAND_LAYOUTS = ['log', 'mel', 'thirdOctave', 'linear', 'custom'];
+
+function hzToMel(hz) {
+    return 2595 * Math.log10(1 + hz / 700);
+}
+
+function melToHz(mel) {
+    return 700 * (Math.pow(10, mel / 2595) - 1);
+}
+
+function formatHz(hz) {
+    return hz >= 1000 ? `${(hz / 1000).toFixed(hz >= 10000 ? 0 : 1)}k` : `${Math.round(hz)}`;
+}
+
+function edgesToBands(edges) {
+    const bands = [];
+    for (let i = 0; i < edges.length - 1; i++) {
+        bands.push({ low: edges[i], high: edges[i + 1], label: `${formatHz(edges[i])}-${formatHz(edges[i + 1])}` });
+    }
+    return bands;
+}
+
+// Splits the range into `count` bands whose edges are evenly spaced on the given scale
+function createScaledBands(count, minFrequency, maxFrequency, toScale, fromScale) {
+    const low = toScale(minFrequency);
+    const high = toScale(maxFrequency);
+    const edges = [];
+    for (let i = 0; i <= count; i++) edges.push(fromScale(low + (high - low) * i / count));
+    return edgesToBands(edges);
+}
+
+// Accepts "20, 60, 250, 2000" style text; needs at least two increasing edges
+export function parseBandEdges(text) {
+    const edges = String(text).split(/[\s,;]+/).filter(Boolean).map(Number);
+    if (edges.length < 2 || edges.some(edge => !Number.isFinite(edge) || edge < 0)) {
+        throw new Error("Band edges must be at least two positive numbers, e.g. \"20, 250, 2000, 16000\".");
+    }
+    for (let i = 1; i < edges.length; i++) {
+        if (edges[i] <= edges[i - 1]) throw new Error("Band edges must be strictly increasing.");
+    }
+    return edges;
+}
+
+// layout: { type, count, minFrequency, maxFrequency, customEdges }
+export function createBandLayout(layout) {
+    const count = Math.max(1, Math.round(layout.count));
+    const minFrequency = Math.max(1, layout.minFrequency);
+    const maxFrequency = Math.max(minFrequency + 1, layout.maxFrequency);
+    switch (layout.type) {
+        case 'mel':
+            return createScaledBands(count, minFrequency, maxFrequency, hzToMel, melToHz);
+        case 'linear':
+            return createScaledBands(count, minFrequency, maxFrequency, f => f, f => f);
+        case 'thirdOctave': {
+            // ISO-style centers 1000 * 2^(n/3); count is ignored, the range decides how many bands fit
+            const bands = [];
+            for (let n = -20; n <= 14; n++) {
+                const center = 1000 * Math.pow(2, n / 3);
+                const low = center / Math.pow(2, 1 / 6);
+                const high = center * Math.pow(2, 1 / 6);
+                if (low >= minFrequency && high <= maxFrequency) bands.push({ low, high, label: formatHz(center) });
+            }
+            return bands;
+        }
+        case 'custom':
+            return edgesToBands(layout.customEdges);
+        case 'log':
+        default:
+            return createScaledBands(count, minFrequency, maxFrequency, Math.log, Math.exp);
+    }
+}
+console.log("src/bands.js: Parsed and band layout helpers are exported.");
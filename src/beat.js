@@ -0,0 +1,128 @@
+export class BeatDetector {
+    constructor(bandNames) {
+        console.log("BeatDetector: constructor called");
+        this.bandNames = bandNames;
+        this.historySize = 43; // ~0.7s of frames at 60fps for the adaptive threshold
+        this.sensitivity = 1.5; // Flux must exceed mean + sensitivity * stdDev
+        this.minOnsetInterval = 0.12; // Seconds, prevents double triggers on one hit
+        this.beatBand = 'bass';
+        this.minBpm = 70;
+        this.maxBpm = 180;
+        this.reset();
+    }
+
+    reset() {
+        this.previousSpectrum = null;
+        this.fluxHistory = {};
+        this.lastOnsetTime = {};
+        this.bandNames.forEach(name => {
+            this.fluxHistory[name] = [];
+            this.lastOnsetTime[name] = -Infinity;
+        });
+        this.beatTimes = [];
+        this.bpm = 0;
+        this.confidence = 0;
+        this.lastBeatTime = null;
+    }
+
+    setBandNames(bandNames) {
+        this.bandNames = bandNames;
+        this.reset();
+    }
+
+    // spectrum: byte frequency data, bandRanges: { name: { lowIndex, highIndex } }, time in seconds
+    process(spectrum, bandRanges, time) {
+        const onsets = {};
+        const flux = {};
+
+        if (!this.previousSpectrum || this.previousSpectrum.length !== spectrum.length) {
+            this.previousSpectrum = new Float32Array(spectrum.length);
+            this.previousSpectrum.set(spectrum);
+        }
+
+        for (const name of this.bandNames) {
+            const range = bandRanges[name];
+            if (!range) continue;
+            let sum = 0;
+            for (let i = range.lowIndex; i <= range.highIndex; i++) {
+                const diff = (spectrum[i] - this.previousSpectrum[i]) / 255;
+                if (diff > 0) sum += diff; // Half-wave rectified: only energy increases count as onsets
+            }
+            const bandFlux = sum / Math.max(1, range.highIndex - range.lowIndex + 1);
+            flux[name] = bandFlux;
+            onsets[name] = this.detectOnset(name, bandFlux, time);
+        }
+        this.previousSpectrum.set(spectrum);
+
+        const isBeat = !!onsets[this.beatBand];
+        if (isBeat) this.registerBeat(time);
+
+        return {
+            onsets,
+            flux,
+            isBeat,
+            bpm: this.bpm,
+            confidence: this.confidence,
+            phase: this.getPhase(time)
+        };
+    }
+
+    detectOnset(name, value, time) {
+        const history = this.fluxHistory[name];
+        let isOnset = false;
+        if (history.length >= this.historySize / 2) {
+            const mean = history.reduce((acc, v) => acc + v, 0) / history.length;
+            const variance = history.reduce((acc, v) => acc + (v - mean) * (v - mean), 0) / history.length;
+            const threshold = mean + this.sensitivity * Math.sqrt(variance);
+            isOnset = value > threshold && value > 0.01 && (time - this.lastOnsetTime[name]) >= this.minOnsetInterval;
+        }
+        history.push(value);
+        if (history.length > this.historySize) history.shift();
+        if (isOnset) this.lastOnsetTime[name] = time;
+        return isOnset;
+    }
+
+    registerBeat(time) {
+        this.beatTimes.push(time);
+        // Keep ~8 seconds of beats for tempo estimation
+        while (this.beatTimes.length && time - this.beatTimes[0] > 8) this.beatTimes.shift();
+        this.estimateTempo();
+        this.lastBeatTime = time;
+    }
+
+    estimateTempo() {
+        if (this.beatTimes.length < 4) return;
+        // Vote over all pairwise intervals, folded into the allowed tempo range
+        const votes = new Map();
+        let totalVotes = 0;
+        for (let i = 0; i < this.beatTimes.length; i++) {
+            for (let j = i + 1; j < this.beatTimes.length && j <= i + 4; j++) {
+                let bpm = 60 / (this.beatTimes[j] - this.beatTimes[i]);
+                while (bpm < this.minBpm) bpm *= 2;
+                while (bpm > this.maxBpm) bpm /= 2;
+                const bucket = Math.round(bpm);
+                votes.set(bucket, (votes.get(bucket) || 0) + 1);
+                totalVotes++;
+            }
+        }
+        let bestBucket = 0;
+        let bestScore = 0;
+        votes.forEach((count, bucket) => {
+            const score = count + 0.5 * ((votes.get(bucket - 1) || 0) + (votes.get(bucket + 1) || 0));
+            if (score > bestScore) {
+                bestScore = score;
+                bestBucket = bucket;
+            }
+        });
+        if (!bestBucket) return;
+        this.bpm = this.bpm ? this.bpm + (bestBucket - this.bpm) * 0.2 : bestBucket;
+        this.confidence = Math.min(1, bestScore / totalVotes);
+    }
+
+    getPhase(time) {
+        if (!this.bpm || this.lastBeatTime === null) return 0;
+        const period = 60 / this.bpm;
+        return ((time - this.lastBeatTime) / period) % 1;
+    }
+}
+console.log("src/beat.js: Parsed and BeatDetector class is exported.");
@@ -0,0 +1,278 @@
+import * as THREE from 'three';
+import { easeInOutCubic } from './morph.js';
+
+export const CAMERA_MODES = ['manual', 'autoOrbit', 'audioDolly', 'flyThrough', 'bookmarks'];
+export const CAMERA_BOOKMARK_TRIGGERS = ['timer', 'beats'];
+
+// Loop the fly-through follows until at least three bookmarks exist
+const DEFAULT_FLY_PATH = [
+    [0, 1, 12], [9, 3, 5], [7, -2, -6], [-2, 2, -10], [-10, -1, -1], [-5, 4, 9]
+];
+const FLY_LOOK_AHEAD = 0.03; // Fraction of the path ahead of the camera it looks at
+const MIN_DOLLY_DISTANCE = 1.0;
+
+// Bookmarks are plain arrays so they survive JSON presets: { position: [x, y, z], target: [x, y, z], fov }
+export function sanitizeBookmarks(bookmarks) {
+    if (!Array.isArray(bookmarks)) return [];
+    const isVector = value => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+    return bookmarks
+        .filter(bookmark => bookmark && isVector(bookmark.position) && isVector(bookmark.target) && Number.isFinite(bookmark.fov))
+        .map(bookmark => ({ position: [...bookmark.position], target: [...bookmark.target], fov: THREE.MathUtils.clamp(bookmark.fov, 10, 120) }));
+}
+
+function createPose() {
+    return { position: new THREE.Vector3(), target: new THREE.Vector3(), fov: 70 };
+}
+
+function copyPose(target, source) {
+    target.position.copy(source.position);
+    target.target.copy(source.target);
+    target.fov = source.fov;
+    return target;
+}
+
+function poseFromBookmark(target, bookmark) {
+    target.position.fromArray(bookmark.position);
+    target.target.fromArray(bookmark.target);
+    target.fov = bookmark.fov;
+    return target;
+}
+
+function lerpPose(target, from, to, t) {
+    target.position.lerpVectors(from.position, to.position, t);
+    target.target.lerpVectors(from.target, to.target, t);
+    target.fov = from.fov + (to.fov - from.fov) * t;
+    return target;
+}
+
+// Drives the camera in the automated modes. OrbitControls keeps working underneath: grabbing the
+// view suspends the director until the mouse has been idle for cameraResumeDelay seconds (0 = stay manual).
+export class CameraDirector {
+    constructor(camera, controls) {
+        console.log("CameraDirector: constructor called");
+        this.camera = camera;
+        this.controls = controls;
+        this.desired = createPose();
+        this.output = createPose();
+        this.blendFrom = createPose();
+        this.shotFrom = createPose();
+        this.shotTo = createPose();
+        this.heading = new THREE.Vector3(0, 0, 1);
+        this.shake = new THREE.Vector3();
+        this.flyCurve = null;
+        this.flyCurveKey = '';
+        this.userActive = false;
+        this.reset();
+        if (this.controls) {
+            this.controls.addEventListener('start', () => this.onUserStart());
+            this.controls.addEventListener('end', () => {
+                this.userActive = false;
+                this.idleTime = 0;
+            });
+        }
+    }
+
+    // Clears all animation state; the next update re-enters the mode from the current view
+    reset() {
+        this.mode = null;
+        this.time = 0;
+        this.orbitAngle = 0;
+        this.flyProgress = 0;
+        this.bookmarkIndex = -1;
+        this.shotElapsed = 0;
+        this.beatsSinceShot = 0;
+        this.shotProgress = 1;
+        this.blendProgress = 1;
+        this.smoothedBass = 0;
+        this.suspended = false;
+        this.idleTime = 0;
+    }
+
+    onUserStart() {
+        this.userActive = true;
+        this.idleTime = 0;
+        if (this.mode !== 'manual' || this.shotProgress < 1) {
+            this.suspended = true;
+            this.shotProgress = 1; // A manual-mode flight to a bookmark is abandoned too
+            console.log("CameraDirector: user took control");
+        }
+    }
+
+    readPose(target) {
+        target.position.copy(this.camera.position);
+        target.target.copy(this.controls ? this.controls.target : new THREE.Vector3());
+        target.fov = this.camera.fov;
+        return target;
+    }
+
+    captureBookmark() {
+        const round = value => Math.round(value * 1000) / 1000;
+        return {
+            position: this.camera.position.toArray().map(round),
+            target: (this.controls ? this.controls.target.toArray() : [0, 0, 0]).map(round),
+            fov: round(this.camera.fov)
+        };
+    }
+
+    // Starts from wherever the camera is now and blends into the new mode's motion
+    enterMode(mode, settings) {
+        this.mode = mode;
+        this.suspended = false; // Picking a mode hands control back from the mouse
+        this.readPose(this.blendFrom);
+        this.blendProgress = mode === 'manual' ? 1 : 0;
+        const offset = this.blendFrom.position.clone().sub(this.blendFrom.target);
+        this.orbitAngle = Math.atan2(offset.z, offset.x);
+        this.heading.copy(offset.lengthSq() > 0 ? offset.normalize() : new THREE.Vector3(0, 0, 1));
+        this.audioDollyTarget = this.blendFrom.target.clone();
+        this.shotElapsed = 0;
+        this.beatsSinceShot = 0;
+        if (mode === 'bookmarks') {
+            copyPose(this.shotTo, this.blendFrom);
+            this.shotProgress = 1;
+            this.bookmarkIndex = -1;
+            this.nextBookmark(settings);
+        }
+        console.log(`CameraDirector: mode ${mode}`);
+    }
+
+    // Flies to a bookmark; works in manual mode too, where control returns to OrbitControls on arrival
+    goToBookmark(index, settings) {
+        const bookmarks = settings.cameraBookmarks;
+        if (!bookmarks[index]) return;
+        this.bookmarkIndex = index;
+        if (this.mode !== 'bookmarks' || this.suspended) {
+            this.readPose(this.shotFrom);
+        } else {
+            lerpPose(this.shotFrom, this.shotFrom, this.shotTo, easeInOutCubic(this.shotProgress)); // Leave mid-flight without a jump
+        }
+        poseFromBookmark(this.shotTo, bookmarks[index]);
+        this.shotProgress = 0;
+        this.shotElapsed = 0;
+        this.beatsSinceShot = 0;
+        this.suspended = false;
+    }
+
+    nextBookmark(settings) {
+        const count = settings.cameraBookmarks.length;
+        if (count === 0) return;
+        this.goToBookmark((this.bookmarkIndex + 1) % count, settings);
+    }
+
+    // settings: the (modulated) visualizer settings; audio: { bass, beat, beatPulse }
+    update(deltaTime, settings, audio) {
+        this.time += deltaTime;
+        this.smoothedBass = THREE.MathUtils.lerp(this.smoothedBass, audio.bass, 0.15);
+        const mode = CAMERA_MODES.includes(settings.cameraMode) ? settings.cameraMode : 'manual';
+        if (mode !== this.mode) this.enterMode(mode, settings);
+
+        if (this.suspended) {
+            if (this.userActive || !(settings.cameraResumeDelay > 0)) return;
+            this.idleTime += deltaTime;
+            if (this.idleTime < settings.cameraResumeDelay) return;
+            this.suspended = false;
+            this.enterMode(mode, settings);
+        }
+
+        const transitionTime = Math.max(0.01, settings.cameraTransitionTime);
+        if (mode === 'manual') {
+            if (this.shotProgress >= 1) return;
+            this.advanceShot(deltaTime, transitionTime);
+            lerpPose(this.desired, this.shotFrom, this.shotTo, easeInOutCubic(this.shotProgress));
+            this.apply(this.desired);
+            return;
+        }
+
+        this.computePose(deltaTime, settings, audio, transitionTime);
+
+        // Bass pulls the camera towards its target; beats shake both so the view jolts without turning
+        const offset = this.desired.position.clone().sub(this.desired.target);
+        const distance = offset.length();
+        const dolly = Math.min(this.smoothedBass * settings.cameraDollyAmount, Math.max(0, distance - MIN_DOLLY_DISTANCE));
+        if (distance > 0) this.desired.position.addScaledVector(offset, -dolly / distance);
+        const shakeStrength = audio.beatPulse * settings.cameraShakeAmount;
+        this.shake.set(
+            Math.sin(this.time * 23.1),
+            Math.sin(this.time * 19.7 + 1.3),
+            Math.sin(this.time * 29.3 + 2.6)
+        ).multiplyScalar(shakeStrength);
+        this.desired.position.add(this.shake);
+        this.desired.target.add(this.shake);
+
+        if (this.blendProgress < 1) {
+            this.blendProgress = Math.min(1, this.blendProgress + deltaTime / transitionTime);
+            lerpPose(this.output, this.blendFrom, this.desired, easeInOutCubic(this.blendProgress));
+            this.apply(this.output);
+        } else {
+            this.apply(this.desired);
+        }
+    }
+
+    advanceShot(deltaTime, transitionTime) {
+        this.shotProgress = Math.min(1, this.shotProgress + deltaTime / transitionTime);
+    }
+
+    computePose(deltaTime, settings, audio, transitionTime) {
+        const desired = this.desired;
+        switch (this.mode) {
+            case 'autoOrbit': {
+                this.orbitAngle += deltaTime * settings.cameraOrbitSpeed;
+                const distance = settings.cameraDistance;
+                desired.target.set(0, 0, 0);
+                desired.position.set(
+                    Math.cos(this.orbitAngle) * distance,
+                    Math.sin(this.time * 0.37) * settings.cameraOrbitHeight * distance,
+                    Math.sin(this.orbitAngle) * distance
+                );
+                desired.fov = settings.cameraFov;
+                break;
+            }
+            case 'audioDolly':
+                desired.target.copy(this.audioDollyTarget);
+                desired.position.copy(this.audioDollyTarget).addScaledVector(this.heading, settings.cameraDistance);
+                desired.fov = settings.cameraFov;
+                break;
+            case 'flyThrough': {
+                const curve = this.getFlyCurve(settings.cameraBookmarks);
+                this.flyProgress = (this.flyProgress + deltaTime * settings.cameraFlySpeed) % 1;
+                curve.getPointAt(this.flyProgress, desired.position);
+                curve.getPointAt((this.flyProgress + FLY_LOOK_AHEAD) % 1, desired.target);
+                desired.target.multiplyScalar(1 - settings.cameraFlyFocus); // 1 keeps the scene center in view
+                desired.fov = settings.cameraFov;
+                break;
+            }
+            case 'bookmarks':
+                if (settings.cameraBookmarkTrigger === 'beats') {
+                    if (audio.beat) this.beatsSinceShot++;
+                    if (this.beatsSinceShot >= settings.cameraBookmarkBeats) this.nextBookmark(settings);
+                } else {
+                    this.shotElapsed += deltaTime;
+                    if (this.shotElapsed >= settings.cameraBookmarkInterval) this.nextBookmark(settings);
+                }
+                this.advanceShot(deltaTime, transitionTime);
+                lerpPose(desired, this.shotFrom, this.shotTo, easeInOutCubic(this.shotProgress));
+                break;
+        }
+    }
+
+    // Bookmark positions become the path once there are enough of them to make a loop
+    getFlyCurve(bookmarks) {
+        const points = bookmarks.length >= 3 ? bookmarks.map(bookmark => bookmark.position) : DEFAULT_FLY_PATH;
+        const key = JSON.stringify(points);
+        if (key !== this.flyCurveKey) {
+            this.flyCurve = new THREE.CatmullRomCurve3(points.map(point => new THREE.Vector3().fromArray(point)), true);
+            this.flyCurveKey = key;
+        }
+        return this.flyCurve;
+    }
+
+    apply(pose) {
+        this.camera.position.copy(pose.position);
+        if (this.controls) this.controls.target.copy(pose.target);
+        if (Math.abs(this.camera.fov - pose.fov) > 1e-4) {
+            this.camera.fov = pose.fov;
+            this.camera.updateProjectionMatrix();
+        }
+        this.camera.lookAt(pose.target);
+    }
+}
+console.log("src/camera.js: Parsed and CameraDirector class is exported.");
@@ -0,0 +1,148 @@
+const FADE_CURVE_STEPS = 64;
+
+// Equal-power curves keep perceived loudness (and the visuals) steady through the fade
+function createFadeCurve(fadeIn) {
+    const curve = new Float32Array(FADE_CURVE_STEPS);
+    for (let i = 0; i < FADE_CURVE_STEPS; i++) {
+        const t = i / (FADE_CURVE_STEPS - 1);
+        curve[i] = fadeIn ? Math.sin(t * Math.PI / 2) : Math.cos(t * Math.PI / 2);
+    }
+    return curve;
+}
+
+export class DeckMixer {
+    constructor(audioAnalyzer) {
+        console.log("DeckMixer: constructor called");
+        this.audioAnalyzer = audioAnalyzer;
+        this.crossfadeTime = 4;
+        this.volume = 0.5;
+        this.decks = [this.createDeck(), this.createDeck()];
+        this.activeDeckIndex = 0;
+        this.fadeTimeoutId = null;
+        this.onTrackEnding = null; // Called once per track when it is about to end (or has ended)
+        this.isTrackHeld = null; // Returns true while the active track must not advance (e.g. an A/B loop)
+        this.onActiveTimeUpdate = null; // Called with the active element on its timeupdate events, which keep coming in background tabs
+    }
+
+    createDeck() {
+        const element = new Audio();
+        element.loop = false; // Track advancing is handled by the playlist
+        const deck = { element, gain: null, file: null, endingNotified: false };
+        element.addEventListener('timeupdate', () => {
+            if (this.onActiveTimeUpdate && deck === this.getActiveDeck()) this.onActiveTimeUpdate(element);
+            this.checkTrackEnding(deck);
+        });
+        element.addEventListener('ended', () => this.notifyTrackEnding(deck));
+        return deck;
+    }
+
+    getActiveDeck() {
+        return this.decks[this.activeDeckIndex];
+    }
+
+    getActiveElement() {
+        return this.getActiveDeck().element;
+    }
+
+    setVolume(volume) {
+        this.volume = volume;
+        this.decks.forEach(deck => { deck.element.volume = volume; });
+    }
+
+    setCrossfadeTime(seconds) {
+        this.crossfadeTime = Math.max(0, seconds || 0);
+    }
+
+    isFading() {
+        return this.fadeTimeoutId !== null;
+    }
+
+    checkTrackEnding(deck) {
+        if (deck !== this.getActiveDeck() || !this.crossfadeTime) return;
+        const { duration, currentTime } = deck.element;
+        if (isFinite(duration) && duration - currentTime <= this.crossfadeTime) {
+            this.notifyTrackEnding(deck);
+        }
+    }
+
+    notifyTrackEnding(deck) {
+        if (deck !== this.getActiveDeck() || deck.endingNotified) return;
+        if (this.isTrackHeld && this.isTrackHeld(deck.element.currentTime)) return;
+        deck.endingNotified = true;
+        if (this.onTrackEnding) this.onTrackEnding();
+    }
+
+    async prepareDeck(deck, file) {
+        if (deck.element.src.startsWith('blob:')) {
+            URL.revokeObjectURL(deck.element.src);
+            console.log("DeckMixer: Revoked old audio object URL");
+        }
+        deck.file = file;
+        deck.endingNotified = false;
+        deck.element.src = URL.createObjectURL(file);
+        deck.element.volume = this.volume;
+        deck.gain = await this.audioAnalyzer.init(deck.element);
+    }
+
+    // Loads the file into the idle deck and crossfades to it, or cuts if nothing is playing
+    async play(file) {
+        const outgoing = this.getActiveDeck();
+        const shouldFade = this.crossfadeTime > 0 && outgoing.file && !outgoing.element.paused;
+        this.finishFade();
+
+        const incoming = shouldFade ? this.decks[1 - this.activeDeckIndex] : outgoing;
+        if (!shouldFade && !outgoing.element.paused) outgoing.element.pause();
+        await this.prepareDeck(incoming, file);
+
+        const now = this.audioAnalyzer.audioContext.currentTime;
+        if (!shouldFade) {
+            incoming.gain.gain.cancelScheduledValues(now);
+            incoming.gain.gain.setValueAtTime(1, now);
+            await incoming.element.play();
+            return;
+        }
+
+        console.log(`DeckMixer: Crossfading to ${file.name} over ${this.crossfadeTime}s`);
+        incoming.gain.gain.cancelScheduledValues(now);
+        incoming.gain.gain.setValueCurveAtTime(createFadeCurve(true), now, this.crossfadeTime);
+        outgoing.gain.gain.cancelScheduledValues(now);
+        outgoing.gain.gain.setValueCurveAtTime(createFadeCurve(false), now, this.crossfadeTime);
+        try {
+            await incoming.element.play();
+        } catch (err) {
+            // The new file can't play: keep the outgoing track as it was
+            const failedAt = this.audioAnalyzer.audioContext.currentTime;
+            incoming.gain.gain.cancelScheduledValues(failedAt);
+            incoming.gain.gain.setValueAtTime(0, failedAt);
+            outgoing.gain.gain.cancelScheduledValues(failedAt);
+            outgoing.gain.gain.setValueAtTime(1, failedAt);
+            throw err;
+        }
+
+        this.activeDeckIndex = this.decks.indexOf(incoming);
+        this.fadeOutDeck = outgoing;
+        this.fadeTimeoutId = setTimeout(() => this.finishFade(), this.crossfadeTime * 1000);
+    }
+
+    // Stops the deck that faded out; also used to cut a running fade short
+    finishFade() {
+        if (this.fadeTimeoutId === null) return;
+        clearTimeout(this.fadeTimeoutId);
+        this.fadeTimeoutId = null;
+        const deck = this.fadeOutDeck;
+        this.fadeOutDeck = null;
+        deck.element.pause();
+        if (deck.gain) {
+            const now = this.audioAnalyzer.audioContext.currentTime;
+            deck.gain.gain.cancelScheduledValues(now);
+            deck.gain.gain.setValueAtTime(0, now);
+        }
+        console.log("DeckMixer: Crossfade finished");
+    }
+
+    pause() {
+        this.finishFade();
+        this.getActiveElement().pause();
+    }
+}
+console.log("src/decks.js: Parsed and DeckMixer class is exported.");
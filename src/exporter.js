@@ -0,0 +1,173 @@
+import { Muxer, ArrayBufferTarget } from 'webm-muxer';
+import { OfflineAudioAnalyzer } from './audio.js';
+import { downloadBlob } from './utils.js';
+
+const EXPORT_SAMPLE_RATE = 48000; // Opus only accepts 48kHz (among a few lower rates)
+const AUDIO_CHUNK_FRAMES = 4800;
+const MAX_ENCODE_QUEUE = 8;
+
+export class VideoExporter {
+    constructor(visualizer, audioAnalyzer) {
+        console.log("VideoExporter: constructor called");
+        this.visualizer = visualizer;
+        this.audioAnalyzer = audioAnalyzer; // Live analyzer, used for its analysis configuration
+        this.isExporting = false;
+        this.cancelRequested = false;
+    }
+
+    static isWebMSupported() {
+        return typeof VideoEncoder !== 'undefined' && typeof AudioEncoder !== 'undefined';
+    }
+
+    cancel() {
+        if (this.isExporting) this.cancelRequested = true;
+    }
+
+    async decodeAudio(file) {
+        const arrayBuffer = await file.arrayBuffer();
+        const context = new OfflineAudioContext(2, EXPORT_SAMPLE_RATE, EXPORT_SAMPLE_RATE);
+        return context.decodeAudioData(arrayBuffer);
+    }
+
+    // options: { width, height, fps, format: 'webm' | 'png', seed, onProgress(fraction, frame, totalFrames) }
+    async export(file, options) {
+        if (this.isExporting) throw new Error("An export is already running.");
+        const width = Math.max(2, Math.round(options.width / 2) * 2); // VP9 needs even dimensions
+        const height = Math.max(2, Math.round(options.height / 2) * 2);
+        const fps = options.fps;
+        console.log(`VideoExporter: exporting ${file.name} at ${width}x${height}@${fps} as ${options.format}`);
+
+        this.isExporting = true;
+        this.cancelRequested = false;
+        let output = null;
+        try {
+            const audioBuffer = await this.decodeAudio(file);
+            const analyzer = new OfflineAudioAnalyzer(audioBuffer, this.audioAnalyzer.getAnalysisConfig());
+            analyzer.beatDetector.sensitivity = this.visualizer.settings.beatSensitivity;
+
+            output = options.format === 'png'
+                ? await this.createImageSequenceOutput(file)
+                : this.createWebMOutput(width, height, fps, audioBuffer);
+
+            this.visualizer.beginOfflineRender(width, height, options.seed);
+            const totalFrames = Math.ceil(audioBuffer.duration * fps);
+            const deltaTime = 1 / fps;
+            for (let frame = 0; frame < totalFrames; frame++) {
+                if (this.cancelRequested) throw new Error("Export cancelled.");
+                const audioData = analyzer.getAudioDataAt(frame / fps);
+                this.visualizer.setTrackTime(frame / fps); // Automation and the preset sequence follow the render clock
+                this.visualizer.animateScene(deltaTime, audioData);
+                await output.addFrame(this.visualizer.canvas, frame, fps);
+                if (options.onProgress) options.onProgress((frame + 1) / totalFrames, frame + 1, totalFrames);
+                if (frame % 10 === 0) await new Promise(resolve => setTimeout(resolve, 0)); // Let the UI update
+            }
+            return await output.finish(file);
+        } catch (err) {
+            if (output) output.abort();
+            throw err;
+        } finally {
+            this.visualizer.endOfflineRender();
+            this.isExporting = false;
+        }
+    }
+
+    createWebMOutput(width, height, fps, audioBuffer) {
+        if (!VideoExporter.isWebMSupported()) {
+            throw new Error("WebM export needs WebCodecs (VideoEncoder/AudioEncoder). Use the PNG sequence format instead.");
+        }
+        const muxer = new Muxer({
+            target: new ArrayBufferTarget(),
+            video: { codec: 'V_VP9', width, height, frameRate: fps },
+            audio: { codec: 'A_OPUS', numberOfChannels: audioBuffer.numberOfChannels, sampleRate: audioBuffer.sampleRate }
+        });
+        let encoderError = null;
+        const videoEncoder = new VideoEncoder({
+            output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+            error: (err) => { encoderError = err; }
+        });
+        videoEncoder.configure({ codec: 'vp09.00.10.08', width, height, framerate: fps, bitrate: 12_000_000 });
+        const audioEncoder = new AudioEncoder({
+            output: (chunk, meta) => muxer.addAudioChunk(chunk, meta),
+            error: (err) => { encoderError = err; }
+        });
+        audioEncoder.configure({
+            codec: 'opus',
+            numberOfChannels: audioBuffer.numberOfChannels,
+            sampleRate: audioBuffer.sampleRate,
+            bitrate: 192_000
+        });
+
+        return {
+            addFrame: async (canvas, frame) => {
+                if (encoderError) throw encoderError;
+                const frameDuration = 1_000_000 / fps;
+                const videoFrame = new VideoFrame(canvas, { timestamp: Math.round(frame * frameDuration), duration: Math.round(frameDuration) });
+                videoEncoder.encode(videoFrame, { keyFrame: frame % (fps * 2) === 0 });
+                videoFrame.close();
+                while (videoEncoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+                    await new Promise(resolve => setTimeout(resolve, 1));
+                }
+            },
+            finish: async (file) => {
+                this.encodeAudioBuffer(audioEncoder, audioBuffer);
+                await Promise.all([videoEncoder.flush(), audioEncoder.flush()]);
+                if (encoderError) throw encoderError;
+                muxer.finalize();
+                const blob = new Blob([muxer.target.buffer], { type: 'video/webm' });
+                downloadBlob(blob, `${stripExtension(file.name)}.webm`);
+                return blob;
+            },
+            abort: () => {
+                if (videoEncoder.state !== 'closed') videoEncoder.close();
+                if (audioEncoder.state !== 'closed') audioEncoder.close();
+            }
+        };
+    }
+
+    encodeAudioBuffer(audioEncoder, audioBuffer) {
+        const channels = audioBuffer.numberOfChannels;
+        for (let offset = 0; offset < audioBuffer.length; offset += AUDIO_CHUNK_FRAMES) {
+            const frames = Math.min(AUDIO_CHUNK_FRAMES, audioBuffer.length - offset);
+            const planar = new Float32Array(frames * channels);
+            for (let c = 0; c < channels; c++) {
+                planar.set(audioBuffer.getChannelData(c).subarray(offset, offset + frames), c * frames);
+            }
+            const audioData = new AudioData({
+                format: 'f32-planar',
+                sampleRate: audioBuffer.sampleRate,
+                numberOfFrames: frames,
+                numberOfChannels: channels,
+                timestamp: Math.round(offset / audioBuffer.sampleRate * 1_000_000),
+                data: planar
+            });
+            audioEncoder.encode(audioData);
+            audioData.close();
+        }
+    }
+
+    // Writes numbered PNGs into a user-picked folder (File System Access API)
+    async createImageSequenceOutput(file) {
+        if (!window.showDirectoryPicker) {
+            throw new Error("PNG sequence export needs a browser with the File System Access API.");
+        }
+        const rootDirectory = await window.showDirectoryPicker({ mode: 'readwrite' });
+        const directory = await rootDirectory.getDirectoryHandle(stripExtension(file.name) + '_frames', { create: true });
+        return {
+            addFrame: async (canvas, frame) => {
+                // toBlob snapshots the drawing buffer synchronously, before the next frame is rendered
+                const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+                const handle = await directory.getFileHandle(`frame_${String(frame).padStart(6, '0')}.png`, { create: true });
+                const writable = await handle.createWritable();
+                await writable.write(blob);
+                await writable.close();
+            },
+            finish: async () => directory,
+            abort: () => {}
+        };
+    }
+}
+
+function stripExtension(name) {
+    return name.replace(/\.[^.]+$/, '');
+}
+console.log("src/exporter.js: Parsed and VideoExporter class is exported.");
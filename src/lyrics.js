@@ -0,0 +1,57 @@
+// Synced lyrics from .lrc files: "[mm:ss.xx]line" with any number of timestamps per line,
+// ID tags like [ar:Artist] / [ti:Title], and [offset:+/-ms] (positive shows lyrics earlier).
+
+const TIMESTAMP_PATTERN = /\[(\d+):(\d{1,2}(?:[.:]\d{1,3})?)\]/g;
+const ID_TAG_PATTERN = /^\[([a-z]+):(.*)\]$/i;
+const WORD_TIMESTAMP_PATTERN = /<\d+:\d{1,2}(?:[.:]\d{1,3})?>/g; // Enhanced LRC per-word timing, shown as plain text
+
+function parseSeconds(minutes, seconds) {
+    return Number(minutes) * 60 + Number(seconds.replace(':', '.'));
+}
+
+// Returns { lines: [{ time, text }] sorted by time, tags: { ar, ti, al, ... } }
+export function parseLrc(source) {
+    const lines = [];
+    const tags = {};
+    source.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+        const times = [];
+        let textStart = 0;
+        TIMESTAMP_PATTERN.lastIndex = 0;
+        let match;
+        // Timestamps are only recognised at the start of the line, possibly several in a row
+        while ((match = TIMESTAMP_PATTERN.exec(line)) && match.index === textStart) {
+            times.push(parseSeconds(match[1], match[2]));
+            textStart = TIMESTAMP_PATTERN.lastIndex;
+        }
+        if (!times.length) {
+            const tag = line.match(ID_TAG_PATTERN);
+            if (tag) tags[tag[1].toLowerCase()] = tag[2].trim();
+            return;
+        }
+        const text = line.slice(textStart).replace(WORD_TIMESTAMP_PATTERN, '').trim();
+        times.forEach(time => lines.push({ time, text }));
+    });
+    const offset = Number(tags.offset) / 1000 || 0;
+    lines.forEach(line => { line.time = Math.max(0, line.time - offset); });
+    lines.sort((a, b) => a.time - b.time);
+    return { lines, tags };
+}
+
+// Index of the line showing at `time`, or -1 before the first one
+export function findLyricIndex(lines, time) {
+    let low = 0;
+    let high = lines.length - 1;
+    let found = -1;
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+        if (lines[middle].time <= time) {
+            found = middle;
+            low = middle + 1;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return found;
+}
+console.log("src/lyrics.js: Parsed and parseLrc is exported.");
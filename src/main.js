@@ -1,14 +1,44 @@
 console.log("--- main.js: Step 5 - Full Animation Loop & Event Listeners ---");
-import { AudioAnalyzer } from './audio.js';
+import { AudioAnalyzer, FFT_SIZES } from './audio.js';
+import { BAND_LAYOUTS, parseBandEdges } from './bands.js';
 import { Visualizer } from './scene.js';
+import { Playlist, PlaylistPanel, collectDroppedFiles } from './playlist.js';
+import { DeckMixer } from './decks.js';
+import { VideoExporter } from './exporter.js';
+import { LiveRecorder } from './recorder.js';
+import { ShaderEditorPanel } from './shaderEditor.js';
+import { RemoteBridge, DEFAULT_REMOTE_URL } from './remote.js';
+import { PresenterLink, PresenterOutput } from './presenter.js';
+import { Timeline } from './timeline.js';
+import { SongAnalyzer, hashAudioFile, decodeForAnalysis } from './songAnalysis.js';
+import { readTags } from './tags.js';
+import { parseLrc } from './lyrics.js';
+
+const ANALYSIS_STORAGE_KEY = 'visualizerAnalysis_v1';
+const REMOTE_STORAGE_KEY = 'visualizerRemote_v1';
+const NOW_PLAYING_STORAGE_KEY = 'visualizerNowPlaying_v1';
+const DEFAULT_INPUT_OPTION = 'default-input'; // Stands in for devices listed without an id before permission is granted
+const PRESENTER_PREVIEW_SIZE = { width: 384, height: 216 };
 
 class SynthesiaMachine {
     constructor() {
         console.log("SynthesiaMachine constructor (Step 5)");
         this.canvas = document.getElementById('main-canvas');
         this.audioInput = document.getElementById('audioFile');
+        this.folderInput = document.getElementById('audioFolder');
         this.playPauseButton = document.getElementById('play-pause-button');
+        this.prevButton = document.getElementById('prev-button');
+        this.nextButton = document.getElementById('next-button');
+        this.shuffleButton = document.getElementById('shuffle-button');
+        this.repeatButton = document.getElementById('repeat-button');
+        this.queueToggleButton = document.getElementById('queue-toggle-button');
+        this.playlistPanelElement = document.getElementById('playlist-panel');
         this.volumeSlider = document.getElementById('volume-slider');
+        this.recordButton = document.getElementById('record-button');
+        this.presenterButton = document.getElementById('presenter-button');
+        this.presenterDiagnostics = document.getElementById('presenter-diagnostics');
+        this.crossfadeInput = document.getElementById('crossfade-input');
+        this.inputSelect = document.getElementById('input-device-select');
         this.infoElement = document.getElementById('info');
 
         if (!this.canvas) {
@@ -27,18 +57,410 @@ class SynthesiaMachine {
         try {
             this.audioAnalyzer = new AudioAnalyzer();
             this.visualizer = new Visualizer(this.canvas); // Visualizer setup includes initial rendering
+            this.visualizer.onMessage = (message) => {
+                if (this.infoElement) this.infoElement.textContent = message;
+            };
             if (this.infoElement) this.infoElement.textContent = 'Select an audio file to start. (Step 5)';
         } catch (e) {
             console.error("CRITICAL Error instantiating AudioAnalyzer or Visualizer:", e);
-            if (this.infoElement) this.infoElement.textContent = 'ERROR setting up core components. App cannot run. (Step 5)';
+            if (this.infoElement) {
+                this.infoElement.textContent = e.name === 'WebGLUnavailableError' ? e.message : 'ERROR setting up core components. App cannot run. (Step 5)';
+            }
             return; 
         }
         
-        this.audioElement = null;
+        this.audioElement = null; // The active deck's element once a track has been loaded
+        this.loadedTrack = null; // Queue entry whose file is in the active deck
+        this.deckMixer = new DeckMixer(this.audioAnalyzer);
+        this.deckMixer.setVolume(this.volumeSlider ? parseFloat(this.volumeSlider.value) : 0.5);
+        if (this.crossfadeInput) this.deckMixer.setCrossfadeTime(parseFloat(this.crossfadeInput.value));
+        this.deckMixer.onTrackEnding = () => this.handleTrackEnding();
+        this.timeline = new Timeline(document.getElementById('timeline'), { onSeek: (time) => this.seekTo(time) });
+        this.deckMixer.isTrackHeld = (time) => this.timeline.holdsPlayback(time);
+        // rAF stops in background tabs, so the A/B loop is also checked from the element's own events
+        this.deckMixer.onActiveTimeUpdate = (element) => this.timeline.enforceLoop(element);
+        this.visualizer.onAutomationChanged = (times) => this.timeline.setMarkers(times);
+        this.songAnalyzer = new SongAnalyzer();
+        this.trackAnalysisToken = 0;
+        this.visualizer.onSongEvent = (event) => this.remoteBridge.send({ ...event, type: 'songEvent', event: event.type });
+        this.showNowPlaying = true;
+        this.trackInfoToken = 0;
+        this.playlist = new Playlist();
+        this.playlist.onCurrentRemoved = (followingTrack) => this.handleCurrentTrackRemoved(followingTrack);
+        this.playlistPanel = new PlaylistPanel(document.getElementById('playlist-list'), this.playlist, (index) => this.playTrack(this.playlist.select(index)));
+        this.videoExporter = new VideoExporter(this.visualizer, this.audioAnalyzer);
+        this.liveRecorder = new LiveRecorder(this.visualizer, this.audioAnalyzer);
+        this.liveRecorder.onStateChange = (isRecording) => this.updateRecordButton(isRecording);
+        this.shaderEditor = new ShaderEditorPanel(document.getElementById('shader-editor-panel'), this.visualizer);
+        this.visualizer.onEditSphereShader = () => this.shaderEditor.toggle();
+        this.visualizer.onTogglePlayback = () => this.togglePlayback();
+        this.remoteBridge = new RemoteBridge({
+            onCommand: (message) => this.handleRemoteCommand(message),
+            onStatus: (text) => {
+                if (!this.remoteSettings) return;
+                this.remoteSettings.status = text;
+                this.remoteStatusController.updateDisplay();
+            }
+        });
+        this.presenterLink = new PresenterLink();
+        this.presenterLink.onOutputConnected = () => {
+            this.setPresenterMode(true);
+            this.presenterLink.sendTrackInfo(this.visualizer.nowPlaying.info); // The output may have opened mid-track
+        };
+        this.presenterLink.onOutputClosed = () => this.setPresenterMode(false);
+        this.presenterMode = false;
+        this.previewFps = 0;
+        this.diagnosticsUpdatedAt = 0;
+        this.recordTimerId = null;
         this.animationFrameId = null;
         this.lastTime = performance.now();
     }
 
+    setupAnalysisControls() {
+        console.log("setupAnalysisControls called");
+        try {
+            this.audioAnalyzer.applyAnalysisConfig(JSON.parse(localStorage.getItem(ANALYSIS_STORAGE_KEY)));
+        } catch (e) {
+            console.warn("Stored analysis settings are invalid, using defaults:", e);
+        }
+        const layout = this.audioAnalyzer.bandLayout;
+        this.analysisSettings = {
+            fftSize: this.audioAnalyzer.fftSize,
+            smoothing: this.audioAnalyzer.smoothingTimeConstant,
+            layoutType: layout.type,
+            bandCount: layout.count,
+            minFrequency: layout.minFrequency,
+            maxFrequency: layout.maxFrequency,
+            customEdges: layout.customEdges.join(', '),
+            calibrate: () => this.calibrateNoiseFloor(),
+            resetCalibration: () => {
+                this.audioAnalyzer.bandNoiseFloors = [];
+                this.audioAnalyzer.bandGains = [];
+                this.onAnalysisConfigChanged();
+            }
+        };
+        const folder = this.visualizer.gui.addFolder('Audio Analysis');
+        folder.add(this.analysisSettings, 'fftSize', FFT_SIZES).name('FFT Size').onChange(value => {
+            this.audioAnalyzer.setFftSize(Number(value));
+            this.onAnalysisConfigChanged();
+        });
+        folder.add(this.analysisSettings, 'smoothing', 0, 0.99, 0.01).name('Smoothing').onChange(value => {
+            this.audioAnalyzer.setSmoothing(value);
+            this.onAnalysisConfigChanged();
+        });
+        const applyLayout = () => this.applyBandLayout();
+        folder.add(this.analysisSettings, 'layoutType', BAND_LAYOUTS).name('Band Layout').onChange(applyLayout);
+        folder.add(this.analysisSettings, 'bandCount', 1, 64, 1).name('Band Count').onFinishChange(applyLayout);
+        folder.add(this.analysisSettings, 'minFrequency', 10, 1000, 1).name('Min Freq (Hz)').onFinishChange(applyLayout);
+        folder.add(this.analysisSettings, 'maxFrequency', 1000, 22000, 100).name('Max Freq (Hz)').onFinishChange(applyLayout);
+        folder.add(this.analysisSettings, 'customEdges').name('Custom Edges (Hz)').onFinishChange(applyLayout);
+        folder.add(this.analysisSettings, 'calibrate').name('Calibrate Noise Floor (3s)');
+        folder.add(this.analysisSettings, 'resetCalibration').name('Reset Gains/Floors');
+        this.bandGainFolder = folder.addFolder('Band Gains');
+        this.bandGainControllers = [];
+        this.onAnalysisConfigChanged();
+    }
+
+    applyBandLayout() {
+        try {
+            const layout = {
+                type: this.analysisSettings.layoutType,
+                count: this.analysisSettings.bandCount,
+                minFrequency: this.analysisSettings.minFrequency,
+                maxFrequency: this.analysisSettings.maxFrequency
+            };
+            if (layout.type === 'custom') layout.customEdges = parseBandEdges(this.analysisSettings.customEdges);
+            this.audioAnalyzer.setBandLayout(layout);
+            this.onAnalysisConfigChanged();
+        } catch (err) {
+            console.error('Invalid band layout:', err);
+            if(this.infoElement) this.infoElement.textContent = err.message;
+        }
+    }
+
+    async calibrateNoiseFloor() {
+        if (!this.audioAnalyzer.getAudioData()) {
+            if(this.infoElement) this.infoElement.textContent = 'Start live input or playback (of silence/room noise) before calibrating.';
+            return;
+        }
+        if(this.infoElement) this.infoElement.textContent = 'Calibrating noise floor... keep the input quiet.';
+        await this.audioAnalyzer.calibrateNoiseFloor(3);
+        if(this.infoElement) this.infoElement.textContent = 'Noise floor calibrated.';
+        this.onAnalysisConfigChanged();
+    }
+
+    // Persists the analysis setup and rebuilds everything sized by the band count
+    onAnalysisConfigChanged() {
+        const bandCount = this.audioAnalyzer.bands.length;
+        const gains = this.audioAnalyzer.bandGains;
+        for (let i = 0; i < bandCount; i++) if (typeof gains[i] !== 'number') gains[i] = 1;
+        gains.length = bandCount;
+
+        this.bandGainControllers.forEach(controller => this.bandGainFolder.remove(controller));
+        this.bandGainControllers = this.audioAnalyzer.bands.map((band, i) =>
+            this.bandGainFolder.add(gains, String(i), 0, 4, 0.01).name(band.label).onFinishChange(() => this.saveAnalysisConfig())
+        );
+        this.visualizer.setBandArrayLength(bandCount);
+        this.saveAnalysisConfig();
+    }
+
+    saveAnalysisConfig() {
+        try {
+            localStorage.setItem(ANALYSIS_STORAGE_KEY, JSON.stringify(this.audioAnalyzer.getAnalysisConfig()));
+        } catch (e) {
+            console.warn("Could not store analysis settings:", e);
+        }
+    }
+
+    setupExportControls() {
+        console.log("setupExportControls called");
+        this.exportSettings = {
+            width: 1920,
+            height: 1080,
+            fps: 60,
+            format: VideoExporter.isWebMSupported() ? 'webm' : 'png',
+            seed: 1,
+            render: () => this.exportCurrentTrack(),
+            cancel: () => this.videoExporter.cancel()
+        };
+        const exportFolder = this.visualizer.gui.addFolder('Export Video');
+        exportFolder.add(this.exportSettings, 'width', 320, 3840, 2).name('Width');
+        exportFolder.add(this.exportSettings, 'height', 240, 2160, 2).name('Height');
+        exportFolder.add(this.exportSettings, 'fps', [24, 25, 30, 50, 60]).name('FPS');
+        exportFolder.add(this.exportSettings, 'format', ['webm', 'png']).name('Format');
+        exportFolder.add(this.exportSettings, 'seed', 1, 9999, 1).name('Random Seed');
+        exportFolder.add(this.exportSettings, 'render').name('Render Current Track');
+        exportFolder.add(this.exportSettings, 'cancel').name('Cancel Render');
+    }
+
+    setupRemoteControls() {
+        console.log("setupRemoteControls called");
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem(REMOTE_STORAGE_KEY)) || {};
+        } catch (e) {
+            console.warn("Stored remote settings are invalid, using defaults:", e);
+        }
+        const save = () => localStorage.setItem(REMOTE_STORAGE_KEY, JSON.stringify({
+            url: this.remoteSettings.url,
+            autoConnect: this.remoteBridge.wanted,
+            broadcastFeatures: this.remoteSettings.broadcastFeatures
+        }));
+        this.remoteSettings = {
+            url: typeof stored.url === 'string' ? stored.url : DEFAULT_REMOTE_URL,
+            status: 'disconnected',
+            broadcastFeatures: stored.broadcastFeatures !== false,
+            connect: () => {
+                this.remoteBridge.connect(this.remoteSettings.url);
+                save();
+            },
+            disconnect: () => {
+                this.remoteBridge.disconnect();
+                save();
+            }
+        };
+        this.remoteBridge.broadcastFeatures = this.remoteSettings.broadcastFeatures;
+        const folder = this.visualizer.gui.addFolder('Remote Control');
+        folder.add(this.remoteSettings, 'url').name('Relay URL');
+        folder.add(this.remoteSettings, 'connect').name('Connect');
+        folder.add(this.remoteSettings, 'disconnect').name('Disconnect');
+        this.remoteStatusController = folder.add(this.remoteSettings, 'status').name('Status');
+        this.remoteStatusController.domElement.querySelector('input').readOnly = true;
+        folder.add(this.remoteSettings, 'broadcastFeatures').name('Broadcast Audio Features').onChange(value => {
+            this.remoteBridge.broadcastFeatures = value;
+            save();
+        });
+        if (stored.autoConnect) this.remoteBridge.connect(this.remoteSettings.url);
+    }
+
+    setupNowPlayingControls() {
+        console.log("setupNowPlayingControls called");
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem(NOW_PLAYING_STORAGE_KEY)) || {};
+        } catch (e) {
+            console.warn("Stored now playing settings are invalid, using defaults:", e);
+        }
+        this.nowPlayingSettings = {
+            showOverlay: stored.showOverlay !== false,
+            showLyrics: stored.showLyrics !== false
+        };
+        const save = () => localStorage.setItem(NOW_PLAYING_STORAGE_KEY, JSON.stringify(this.nowPlayingSettings));
+        this.showNowPlaying = this.nowPlayingSettings.showOverlay;
+        this.visualizer.nowPlaying.setShowLyrics(this.nowPlayingSettings.showLyrics);
+        const folder = this.visualizer.gui.addFolder('Now Playing');
+        folder.add(this.nowPlayingSettings, 'showOverlay').name('Show Track Overlay').onChange(value => {
+            this.showNowPlaying = value;
+            save();
+        });
+        folder.add(this.nowPlayingSettings, 'showLyrics').name('Show Lyrics (.lrc)').onChange(value => {
+            this.visualizer.nowPlaying.setShowLyrics(value);
+            save();
+        });
+    }
+
+    // Returns an error message for the client, or nothing when the command was applied
+    handleRemoteCommand(message) {
+        switch (message.type) {
+            case 'set': {
+                const entries = message.settings && typeof message.settings === 'object'
+                    ? Object.entries(message.settings)
+                    : [[message.key, message.value]];
+                const errors = entries.map(([key, value]) => this.visualizer.setSettingFromRemote(key, value)).filter(Boolean);
+                return errors.length ? errors.join(' ') : null;
+            }
+            case 'preset':
+                if (!this.visualizer.presetLibrary.has(message.name)) return `Preset "${message.name}" not found.`;
+                if (Number.isFinite(message.morph) && message.morph > 0) {
+                    this.visualizer.morphToPreset(message.name, message.morph, message.unit === 'beats' ? 'beats' : 'seconds');
+                } else {
+                    this.visualizer.loadPreset(message.name);
+                }
+                return null;
+            case 'transport':
+                return this.handleTransport(message.action, message.time);
+            case 'getSettings':
+                this.remoteBridge.send({ type: 'settings', settings: this.visualizer.settings, presets: this.visualizer.presetLibrary.list() });
+                return null;
+            default:
+                return `Unknown command type "${message.type}".`;
+        }
+    }
+
+    handleTransport(action, time) {
+        const isPlaying = this.audioElement && !this.audioElement.paused;
+        switch (action) {
+            case 'play':
+                if (!isPlaying) this.togglePlayback();
+                return null;
+            case 'pause':
+                if (isPlaying) this.togglePlayback();
+                return null;
+            case 'toggle':
+                this.togglePlayback();
+                return null;
+            case 'next':
+                this.playTrack(this.playlist.next());
+                return null;
+            case 'previous':
+                this.playTrack(this.playlist.previous());
+                return null;
+            case 'seek':
+                if (!this.audioElement || !Number.isFinite(time)) return 'Seek needs a loaded track and a "time" in seconds.';
+                this.seekTo(time);
+                return null;
+            default:
+                return `Unknown transport action "${action}".`;
+        }
+    }
+
+    togglePresenterMode() {
+        if (this.presenterMode) {
+            this.presenterLink.closeOutput();
+            this.setPresenterMode(false);
+            return;
+        }
+        if (!this.presenterLink.openOutput(`${location.pathname}?output`)) {
+            if(this.infoElement) this.infoElement.textContent = 'Could not open the output window. Allow popups for this page.';
+            return;
+        }
+        this.setPresenterMode(true);
+    }
+
+    // Operator layout: the main canvas shrinks to a preview next to the controls and diagnostics
+    setPresenterMode(enabled) {
+        if (this.presenterMode === enabled) return;
+        this.presenterMode = enabled;
+        document.body.classList.toggle('presenter-operator', enabled);
+        if (this.presenterButton) {
+            this.presenterButton.classList.toggle('active', enabled);
+            this.presenterButton.textContent = enabled ? 'Close Output' : 'Output';
+        }
+        if (this.presenterDiagnostics) this.presenterDiagnostics.hidden = !enabled;
+        if (enabled) {
+            this.visualizer.setViewSize(PRESENTER_PREVIEW_SIZE.width, PRESENTER_PREVIEW_SIZE.height);
+        } else {
+            this.visualizer.setViewSize(null);
+        }
+    }
+
+    updatePresenterDiagnostics(deltaTime, timestamp) {
+        if (deltaTime > 0) this.previewFps += (1 / deltaTime - this.previewFps) * 0.05;
+        if (!this.presenterDiagnostics || timestamp - this.diagnosticsUpdatedAt < 500) return;
+        this.diagnosticsUpdatedAt = timestamp;
+        this.presenterDiagnostics.textContent = this.presenterLink.describe(this.previewFps);
+    }
+
+    seekTo(time) {
+        if (!this.audioElement) return;
+        this.audioElement.currentTime = Math.max(0, Math.min(time, this.audioElement.duration || time));
+    }
+
+    toggleRecording() {
+        if (this.liveRecorder.isRecording()) {
+            this.liveRecorder.stop();
+            return;
+        }
+        const track = this.playlist.getCurrentTrack();
+        const baseName = track ? track.name.replace(/\.[^.]+$/, '') : 'live-input';
+        try {
+            this.liveRecorder.start(`${baseName}_recording`);
+        } catch (err) {
+            console.error('Error starting recording:', err);
+            if(this.infoElement) this.infoElement.textContent = `Recording failed: ${err.message}`;
+        }
+    }
+
+    updateRecordButton(isRecording) {
+        if (this.recordTimerId) {
+            clearInterval(this.recordTimerId);
+            this.recordTimerId = null;
+        }
+        if (!this.recordButton) return;
+        this.recordButton.classList.toggle('recording', isRecording);
+        if (!isRecording) {
+            this.recordButton.textContent = 'Record';
+            return;
+        }
+        const showElapsed = () => {
+            const elapsed = Math.floor(this.liveRecorder.getElapsedSeconds());
+            const minutes = String(Math.floor(elapsed / 60)).padStart(2, '0');
+            const seconds = String(elapsed % 60).padStart(2, '0');
+            this.recordButton.textContent = `Stop ${minutes}:${seconds}`;
+        };
+        showElapsed();
+        this.recordTimerId = setInterval(showElapsed, 500);
+    }
+
+    async exportCurrentTrack() {
+        const track = this.playlist.getCurrentTrack();
+        if (!track) {
+            if(this.infoElement) this.infoElement.textContent = 'Load a track before exporting.';
+            return;
+        }
+        this.liveRecorder.stop();
+        if (this.audioElement && !this.audioElement.paused) {
+            this.deckMixer.pause();
+            if(this.playPauseButton) this.playPauseButton.textContent = 'Play';
+        }
+        try {
+            await this.videoExporter.export(track.file, {
+                width: this.exportSettings.width,
+                height: this.exportSettings.height,
+                fps: Number(this.exportSettings.fps),
+                format: this.exportSettings.format,
+                seed: this.exportSettings.seed,
+                onProgress: (fraction, frame, totalFrames) => {
+                    if(this.infoElement) this.infoElement.textContent = `Rendering ${track.name}: frame ${frame}/${totalFrames} (${Math.round(fraction * 100)}%)`;
+                }
+            });
+            if(this.infoElement) this.infoElement.textContent = `Export finished: ${track.name}`;
+        } catch (err) {
+            console.error('Error exporting video:', err);
+            if(this.infoElement) this.infoElement.textContent = `Export failed: ${err.message}`;
+        }
+    }
+
     setupEventListeners() {
         console.log("setupEventListeners called (Step 5)");
         if (!this.audioInput || !this.playPauseButton || !this.volumeSlider) {
@@ -47,79 +469,324 @@ class SynthesiaMachine {
         }
 
         this.audioInput.addEventListener('change', async (e) => {
-            console.log("Audio file changed");
-            const file = e.target.files[0];
-            if (file) {
-                if (this.audioElement && !this.audioElement.paused) {
-                    this.audioElement.pause();
-                    if(this.playPauseButton) this.playPauseButton.textContent = 'Play';
-                }
-                if (this.audioElement && this.audioElement.src.startsWith('blob:')) {
-                    URL.revokeObjectURL(this.audioElement.src);
-                    console.log("Revoked old audio object URL");
-                }
-                await this.loadAudio(file);
+            console.log("Audio file(s) selected");
+            await this.addFilesToQueue(e.target.files);
+            e.target.value = ''; // Allow re-adding the same files
+        });
+        if (this.folderInput) {
+            this.folderInput.addEventListener('change', async (e) => {
+                console.log("Audio folder selected");
+                await this.addFilesToQueue(e.target.files);
+                e.target.value = '';
+            });
+        }
+
+        window.addEventListener('dragover', (e) => e.preventDefault());
+        window.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            try {
+                await this.addFilesToQueue(await collectDroppedFiles(e.dataTransfer));
+            } catch (err) {
+                console.error('Error reading dropped files:', err);
+                if(this.infoElement) this.infoElement.textContent = 'Could not read dropped files.';
             }
         });
 
+        if (this.prevButton) this.prevButton.addEventListener('click', () => this.playTrack(this.playlist.previous()));
+        if (this.nextButton) this.nextButton.addEventListener('click', () => this.playTrack(this.playlist.next()));
+        if (this.shuffleButton) {
+            this.shuffleButton.addEventListener('click', () => {
+                this.playlist.setShuffle(!this.playlist.shuffle);
+                this.shuffleButton.classList.toggle('active', this.playlist.shuffle);
+            });
+        }
+        if (this.repeatButton) {
+            this.repeatButton.addEventListener('click', () => {
+                const mode = this.playlist.cycleRepeatMode();
+                this.repeatButton.textContent = `Repeat: ${mode}`;
+                this.repeatButton.classList.toggle('active', mode !== 'off');
+            });
+        }
+        if (this.queueToggleButton && this.playlistPanelElement) {
+            this.queueToggleButton.addEventListener('click', () => {
+                this.playlistPanelElement.hidden = !this.playlistPanelElement.hidden;
+                this.queueToggleButton.classList.toggle('active', !this.playlistPanelElement.hidden);
+            });
+        }
+
         this.playPauseButton.addEventListener('click', () => {
             console.log("Play/Pause button clicked");
-            if (!this.audioElement) {
-                if(this.infoElement) this.infoElement.textContent = 'Please load an audio file first.';
-                return;
-            }
-
-            if (this.audioElement.paused) {
-                this.audioElement.play().then(() => {
-                    if(this.playPauseButton) this.playPauseButton.textContent = 'Pause';
-                    this.audioAnalyzer.resumeContext(); // Important for some browsers after pause
-                    console.log("Audio playing");
-                }).catch(err => {
-                    console.error('Error playing audio:', err);
-                    if(this.infoElement) this.infoElement.textContent = 'Error playing audio. Try again.';
-                    if(this.playPauseButton) this.playPauseButton.textContent = 'Play';
-                });
-            } else {
-                this.audioElement.pause();
-                if(this.playPauseButton) this.playPauseButton.textContent = 'Play';
-                console.log("Audio paused");
-            }
+            this.togglePlayback();
         });
 
         this.volumeSlider.addEventListener('input', () => {
-            if (this.audioElement) {
-                this.audioElement.volume = parseFloat(this.volumeSlider.value);
-                // console.log("Volume changed to:", this.audioElement.volume); // Can be noisy
-            }
+            this.deckMixer.setVolume(parseFloat(this.volumeSlider.value));
+            // console.log("Volume changed to:", this.deckMixer.volume); // Can be noisy
         });
+
+        if (this.presenterButton) {
+            this.presenterButton.addEventListener('click', () => this.togglePresenterMode());
+            if (!PresenterLink.isSupported()) this.presenterButton.disabled = true;
+        }
+        if (this.recordButton) {
+            this.recordButton.addEventListener('click', () => this.toggleRecording());
+            if (!LiveRecorder.isSupported()) this.recordButton.disabled = true;
+        }
+
+        if (this.crossfadeInput) {
+            this.crossfadeInput.addEventListener('change', () => {
+                this.deckMixer.setCrossfadeTime(parseFloat(this.crossfadeInput.value));
+                console.log("Crossfade time set to:", this.deckMixer.crossfadeTime);
+            });
+        }
+
+        if (this.inputSelect) {
+            this.inputSelect.addEventListener('change', () => this.selectInputDevice(this.inputSelect.value));
+            if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+                navigator.mediaDevices.addEventListener('devicechange', () => this.populateInputDevices());
+            }
+            this.populateInputDevices();
+        }
         console.log("Audio control event listeners set up.");
     }
 
-    async loadAudio(file) {
-        console.log("loadAudio called with file:", file.name);
-        if(this.infoElement) this.infoElement.textContent = `Loading: ${file.name}...`;
+    async populateInputDevices() {
+        if (!this.inputSelect) return;
+        try {
+            const devices = await AudioAnalyzer.listInputDevices();
+            let selected = this.inputSelect.value;
+            if (selected === DEFAULT_INPUT_OPTION) selected = this.audioAnalyzer.getLiveInputDeviceId() || selected;
+            this.inputSelect.innerHTML = '';
+            this.inputSelect.add(new Option('File', ''));
+            // Ids and labels stay empty until the user has granted microphone permission once; an empty id
+            // would match the 'File' option, so those devices are offered as one default input instead
+            const listed = devices.filter(device => device.deviceId);
+            listed.forEach((device, index) => {
+                this.inputSelect.add(new Option(device.label || `Input ${index + 1}`, device.deviceId));
+            });
+            if (listed.length < devices.length) {
+                this.inputSelect.add(new Option('Default input (asks for access)', DEFAULT_INPUT_OPTION));
+            }
+            if ([...this.inputSelect.options].some(option => option.value === selected)) {
+                this.inputSelect.value = selected;
+            }
+            console.log("Input devices listed:", devices.length);
+        } catch (err) {
+            console.warn("Could not list audio input devices:", err);
+        }
+    }
 
-        this.audioElement = new Audio(URL.createObjectURL(file));
-        this.audioElement.loop = true; // Optional: loop the audio
-        this.audioElement.volume = this.volumeSlider ? parseFloat(this.volumeSlider.value) : 0.5;
+    async selectInputDevice(deviceId) {
+        console.log("selectInputDevice called with:", deviceId || 'file');
+        this.liveRecorder.stop();
+        if (!deviceId) {
+            this.audioAnalyzer.stopLiveInput();
+            if (this.audioElement) {
+                await this.audioAnalyzer.init(this.audioElement);
+            }
+            if(this.infoElement) this.infoElement.textContent = this.audioElement ? 'File input selected. Press Play to resume.' : 'Select an audio file to start.';
+            return;
+        }
 
-        this.audioElement.onended = () => {
+        if (this.audioElement && !this.audioElement.paused) {
+            this.deckMixer.pause();
             if(this.playPauseButton) this.playPauseButton.textContent = 'Play';
-            console.log("Audio ended");
-        };
+        }
+        try {
+            await this.audioAnalyzer.initLiveInput(deviceId === DEFAULT_INPUT_OPTION ? undefined : deviceId);
+            const label = this.inputSelect.selectedOptions[0] ? this.inputSelect.selectedOptions[0].textContent : 'live input';
+            if(this.infoElement) this.infoElement.textContent = `Live input: ${label}`;
+            await this.populateInputDevices(); // Device labels become available after permission is granted
+        } catch (err) {
+            console.error('Error starting live input:', err);
+            if(this.infoElement) this.infoElement.textContent = 'Could not access audio input. Check browser permissions.';
+            if (this.inputSelect) this.inputSelect.value = '';
+        }
+    }
+
+    async addFilesToQueue(files) {
+        const currentTrack = this.playlist.getCurrentTrack();
+        const added = this.playlist.add(files);
+        const withLyrics = this.playlist.attachLyrics(files);
+        if (currentTrack && withLyrics.includes(currentTrack)) this.loadTrackInfo(currentTrack); // Lyrics dropped for the playing track
+        if (!added) {
+            if(this.infoElement) {
+                this.infoElement.textContent = withLyrics.length
+                    ? `Lyrics added to ${withLyrics.length} track(s).`
+                    : 'No audio files found in selection.';
+            }
+            return;
+        }
+        const wasEmpty = !currentTrack;
+        if (wasEmpty) {
+            await this.playTrack(this.playlist.next());
+        } else if(this.infoElement) {
+            this.infoElement.textContent = `Added ${added} track(s) to the queue.`;
+        }
+    }
+
+    async playTrack(track) {
+        if (!track) return;
+        if (this.audioAnalyzer.isLiveInputActive()) {
+            this.audioAnalyzer.stopLiveInput();
+            if (this.inputSelect) this.inputSelect.value = '';
+        }
+        if (await this.loadAudio(track.file)) {
+            this.loadedTrack = track;
+            this.loadTrackInfo(track);
+        }
+    }
+
+    // Shared by the Play/Pause button, MIDI note mappings and remote transport commands
+    togglePlayback() {
+        if (this.audioAnalyzer.isLiveInputActive()) {
+            if(this.infoElement) this.infoElement.textContent = "Live input active. Select 'File' as input to play audio files.";
+            return;
+        }
+        const currentTrack = this.playlist.getCurrentTrack();
+        if (!this.audioElement || !currentTrack) {
+            if (this.playlist.tracks.length) {
+                this.playTrack(this.playlist.next());
+            } else if(this.infoElement) {
+                this.infoElement.textContent = 'Please load an audio file first.';
+            }
+            return;
+        }
+        if (currentTrack !== this.loadedTrack) { // Selected while paused, e.g. after the paused track was removed
+            this.playTrack(currentTrack);
+            return;
+        }
+
+        if (this.audioElement.paused) {
+            this.audioElement.play().then(() => {
+                if(this.playPauseButton) this.playPauseButton.textContent = 'Pause';
+                this.audioAnalyzer.resumeContext(); // Important for some browsers after pause
+                console.log("Audio playing");
+            }).catch(err => {
+                console.error('Error playing audio:', err);
+                if(this.infoElement) this.infoElement.textContent = 'Error playing audio. Try again.';
+                if(this.playPauseButton) this.playPauseButton.textContent = 'Play';
+            });
+        } else {
+            this.deckMixer.pause();
+            if(this.playPauseButton) this.playPauseButton.textContent = 'Play';
+            console.log("Audio paused");
+        }
+    }
+
+    // The current track left the queue: a playing queue moves on to the following track; a paused one
+    // only selects it, and Play starts it
+    handleCurrentTrackRemoved(followingTrack) {
+        if (this.audioAnalyzer.isLiveInputActive()) return; // Nothing from the queue is audible; Play starts it again
+        const wasPlaying = this.audioElement && !this.audioElement.paused;
+        if (followingTrack && wasPlaying) {
+            this.playTrack(this.playlist.select(this.playlist.tracks.indexOf(followingTrack)));
+            return;
+        }
+        this.liveRecorder.stop();
+        if (this.audioElement) this.deckMixer.pause();
+        if (followingTrack) this.playlist.select(this.playlist.tracks.indexOf(followingTrack));
+        this.trackInfoToken++; // Drop tags still being read for the removed track
+        this.showTrackInfo({ title: '' });
+        if(this.playPauseButton) this.playPauseButton.textContent = 'Play';
+        if(this.infoElement) this.infoElement.textContent = 'Current track removed from the queue.';
+    }
+
+    handleTrackEnding() {
+        console.log("Track ending");
+        const nextTrack = this.playlist.next(true);
+        if (nextTrack) {
+            this.playTrack(nextTrack);
+        } else {
+            // Nothing queued: let the current track play out instead of cutting it
+            const showQueueEnd = () => {
+                if(this.playPauseButton) this.playPauseButton.textContent = 'Play';
+                if(this.infoElement) this.infoElement.textContent = 'End of queue.';
+            };
+            if (this.audioElement.ended) {
+                showQueueEnd();
+            } else {
+                this.audioElement.addEventListener('ended', showQueueEnd, { once: true });
+            }
+        }
+    }
+
+    async loadAudio(file) {
+        console.log("loadAudio called with file:", file.name);
+        this.liveRecorder.stop(); // A recording covers one track; it is saved when the track changes
+        if(this.infoElement) this.infoElement.textContent = `Loading: ${file.name}...`;
         
         try {
-            await this.audioAnalyzer.init(this.audioElement);
-            console.log("AudioAnalyzer initialized for new audio.");
-            await this.audioElement.play();
+            // Both decks stay connected to the analyser, so switching tracks never rebuilds the graph
+            await this.deckMixer.play(file);
+            this.audioElement = this.deckMixer.getActiveElement();
+            this.visualizer.setTrack(file.name);
+            this.analyzeTrack(file); // Runs in the background; playback doesn't wait for it
+            console.log("Audio started playing after load.");
             if(this.playPauseButton) this.playPauseButton.textContent = 'Pause';
             if(this.infoElement) this.infoElement.textContent = `Now playing: ${file.name}`;
-            console.log("Audio started playing after load.");
+            return true;
         } catch (err) {
             console.error('Error loading or playing audio:', err);
             if(this.infoElement) this.infoElement.textContent = 'Error processing audio. Please try a different file.';
-            if(this.playPauseButton) this.playPauseButton.textContent = 'Play';
-            this.audioElement = null; 
+            // A failed crossfade leaves the previous track playing
+            if(this.playPauseButton) this.playPauseButton.textContent = this.audioElement && !this.audioElement.paused ? 'Pause' : 'Play';
+            return false;
+        }
+    }
+
+    // Embedded tags and the track's .lrc, read in the background; the overlay shows the file name until then
+    async loadTrackInfo(track) {
+        const token = ++this.trackInfoToken;
+        const fallbackTitle = track.name.replace(/\.[^.]*$/, '');
+        this.showTrackInfo({ title: fallbackTitle });
+        const [tags, lyrics] = await Promise.all([
+            readTags(track.file).catch(err => {
+                console.warn(`Could not read tags of ${track.name}:`, err);
+                return {};
+            }),
+            track.lyricsFile ? track.lyricsFile.text().then(parseLrc).catch(err => {
+                console.warn(`Could not read lyrics ${track.lyricsFile.name}:`, err);
+                return null;
+            }) : null
+        ]);
+        if (token !== this.trackInfoToken) return; // Another track was loaded meanwhile
+        const lyricTags = lyrics ? lyrics.tags : {};
+        const info = {
+            title: tags.title || lyricTags.ti || fallbackTitle,
+            artist: tags.artist || lyricTags.ar || '',
+            album: tags.album || lyricTags.al || '',
+            cover: tags.cover || null,
+            lyrics: lyrics ? lyrics.lines : []
+        };
+        this.showTrackInfo(info);
+        if (this.infoElement && (tags.title || tags.artist)) {
+            this.infoElement.textContent = `Now playing: ${[info.artist, info.title].filter(Boolean).join(' – ')}`;
+        }
+    }
+
+    showTrackInfo(info) {
+        this.visualizer.setTrackInfo(info);
+        this.presenterLink.sendTrackInfo(info);
+    }
+
+    // One decode feeds the timeline's waveform overview and the (cached) song structure analysis
+    async analyzeTrack(file) {
+        const token = ++this.trackAnalysisToken;
+        this.timeline.reset();
+        this.visualizer.setSongAnalysis(null);
+        try {
+            const arrayBuffer = await file.arrayBuffer();
+            const hash = await hashAudioFile(file, arrayBuffer); // Before decoding, which detaches the buffer
+            const audioBuffer = await decodeForAnalysis(arrayBuffer);
+            if (token !== this.trackAnalysisToken) return; // Another track was loaded meanwhile
+            this.timeline.setAudioBuffer(audioBuffer);
+            const analysis = await this.songAnalyzer.analyze(hash, audioBuffer);
+            if (token !== this.trackAnalysisToken) return;
+            this.visualizer.setSongAnalysis(analysis);
+            this.timeline.setStructure(analysis);
+        } catch (err) {
+            if (token === this.trackAnalysisToken) console.warn(`Could not analyse ${file.name}:`, err);
         }
     }
 
@@ -133,13 +800,34 @@ class SynthesiaMachine {
             const deltaTime = Math.min(0.05, (currentTime - this.lastTime) / 1000); // Clamp deltaTime
             this.lastTime = currentTime;
 
+            if (this.visualizer && this.visualizer.offlineRender) return; // Exporter drives the frames
+
             try {
-                const audioData = (this.audioElement && !this.audioElement.paused) 
+                if (this.visualizer) {
+                    this.audioAnalyzer.beatDetector.sensitivity = this.visualizer.settings.beatSensitivity;
+                    const hasFileTrack = this.audioElement && !this.audioAnalyzer.isLiveInputActive();
+                    this.timeline.setVisible(!!hasFileTrack);
+                    this.visualizer.nowPlaying.setVisible(!!hasFileTrack && this.showNowPlaying);
+                    if (hasFileTrack) {
+                        this.timeline.enforceLoop(this.audioElement);
+                        this.timeline.update(this.audioElement.currentTime, this.audioElement.duration);
+                    }
+                    this.visualizer.setTrackTime(hasFileTrack ? this.audioElement.currentTime : null);
+                }
+                const audioData = ((this.audioElement && !this.audioElement.paused) || this.audioAnalyzer.isLiveInputActive())
                                   ? this.audioAnalyzer.getAudioData() 
                                   : null;
                 if (this.visualizer) {
                     this.visualizer.animateScene(deltaTime, audioData);
                 }
+                if (this.presenterMode) {
+                    this.presenterLink.sendFrame(deltaTime, audioData, this.visualizer);
+                    this.updatePresenterDiagnostics(deltaTime, currentTime);
+                }
+                if (audioData) {
+                    const featureTime = this.audioElement && !this.audioAnalyzer.isLiveInputActive() ? this.audioElement.currentTime : currentTime / 1000;
+                    this.remoteBridge.sendFeatures(audioData, featureTime);
+                }
             } catch (err) {
                 console.error('Error in animation loop:', err);
                 // Optionally, stop animation loop on critical error by not calling requestAnimationFrame again
@@ -158,14 +846,40 @@ class SynthesiaMachine {
     }
 }
 
+// index.html?output: the presenter output window, showing only the canvas the operator window drives
+function startPresenterOutput() {
+    console.log("Starting presenter output window");
+    document.body.classList.add('presenter-output');
+    document.title = 'Synth Visualizer - Output';
+    const visualizer = new Visualizer(document.getElementById('main-canvas'));
+    new PresenterOutput(visualizer).start();
+}
+
 window.addEventListener('DOMContentLoaded', () => {
     console.log("DOMContentLoaded event fired (Step 5)");
+    if (new URLSearchParams(location.search).has('output')) {
+        try {
+            startPresenterOutput();
+        } catch (e) {
+            console.error("CRITICAL Error starting the presenter output window:", e);
+            const infoElement = document.getElementById('info');
+            if (infoElement && e.name === 'WebGLUnavailableError') {
+                document.body.classList.remove('presenter-output'); // That class hides #info
+                infoElement.textContent = e.message;
+            }
+        }
+        return;
+    }
     try {
         const app = new SynthesiaMachine();
         console.log("SynthesiaMachine instance created (Step 5).");
 
         if (app && app.visualizer && app.audioAnalyzer) { // Check all essential components
             app.setupEventListeners(); 
+            app.setupAnalysisControls();
+            app.setupExportControls();
+            app.setupRemoteControls();
+            app.setupNowPlayingControls();
             app.startVisualizationLoop(); 
         } else {
             console.error("CRITICAL: App, visualizer, or audioAnalyzer not properly initialized. Full functionality aborted.");
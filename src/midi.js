@@ -0,0 +1,171 @@
+const CONTROL_CHANGE = 0xB0;
+const NOTE_ON = 0x90;
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+export const MIDI_NOTE_ACTIONS = ['playPause', 'recallPreset'];
+
+// Mappings live in settings.midiMappings so presets carry them:
+//   { type: 'cc', channel, number, target, min, max }      scales the CC onto a numeric setting
+//   { type: 'cc', channel, number, target, options }       picks an entry (dropdowns, booleans as [false, true])
+//   { type: 'note', channel, number, action, presetName }  note-on runs 'playPause' or 'recallPreset'
+// Controls are identified by channel and number rather than device, so mappings survive re-plugging.
+
+export function noteName(number) {
+    return `${NOTE_NAMES[number % 12]}${Math.floor(number / 12) - 1}`;
+}
+
+export function describeMidiMapping(mapping) {
+    const source = mapping.type === 'cc' ? `CC${mapping.number}` : noteName(mapping.number);
+    const destination = mapping.type === 'cc'
+        ? mapping.target
+        : (mapping.action === 'recallPreset' ? `Preset "${mapping.presetName}"` : 'Play/Pause');
+    return `${source} ch${mapping.channel + 1} → ${destination}`;
+}
+
+// Drops malformed entries, e.g. from hand-edited preset files
+export function sanitizeMidiMappings(mappings) {
+    if (!Array.isArray(mappings)) return [];
+    const isByte = (value, limit) => Number.isInteger(value) && value >= 0 && value < limit;
+    return mappings.filter(mapping => {
+        if (!mapping || !isByte(mapping.channel, 16) || !isByte(mapping.number, 128)) return false;
+        if (mapping.type === 'cc') {
+            if (typeof mapping.target !== 'string') return false;
+            return Array.isArray(mapping.options)
+                ? mapping.options.length > 0
+                : Number.isFinite(mapping.min) && Number.isFinite(mapping.max);
+        }
+        if (mapping.type === 'note') {
+            return MIDI_NOTE_ACTIONS.includes(mapping.action) && (mapping.action !== 'recallPreset' || typeof mapping.presetName === 'string');
+        }
+        return false;
+    }).map(mapping => structuredClone(mapping));
+}
+
+// Returns { type: 'cc' | 'noteOn', channel, number, value } or null for messages we don't use
+export function parseMidiMessage(data) {
+    if (!data || data.length < 3) return null;
+    const status = data[0] & 0xF0;
+    const channel = data[0] & 0x0F;
+    if (status === CONTROL_CHANGE) return { type: 'cc', channel, number: data[1], value: data[2] };
+    if (status === NOTE_ON && data[2] > 0) return { type: 'noteOn', channel, number: data[1], value: data[2] }; // Velocity 0 is a note-off
+    return null;
+}
+
+// CC value (0-127) to setting value for a cc mapping
+export function mapControlValue(mapping, value) {
+    const normalized = Math.min(1, Math.max(0, value / 127));
+    if (Array.isArray(mapping.options)) {
+        return mapping.options[Math.round(normalized * (mapping.options.length - 1))];
+    }
+    return mapping.min + (mapping.max - mapping.min) * normalized;
+}
+
+// Binding logic without any Web MIDI dependency: feed it raw messages through handleMessage() or
+// attach any object with an `onmidimessage` slot (a real MIDIInput or a fake one in tests).
+export class MidiMapper {
+    // handlers: { getMappings() -> array, setSetting(key, value), triggerAction(mapping), onLearned(mapping) }
+    constructor(handlers) {
+        console.log("MidiMapper: constructor called");
+        this.handlers = handlers;
+        this.learnRequest = null;
+        this.inputs = new Map(); // id -> input
+    }
+
+    // request: { type: 'cc', target, min, max } / { type: 'cc', target, options } / { type: 'note', action, presetName }
+    startLearn(request) {
+        this.learnRequest = request;
+    }
+
+    cancelLearn() {
+        this.learnRequest = null;
+    }
+
+    isLearning() {
+        return this.learnRequest !== null;
+    }
+
+    handleMessage(data) {
+        const message = parseMidiMessage(data);
+        if (!message) return;
+        if (this.learnRequest && this.learn(message)) return;
+        const mappings = this.handlers.getMappings();
+        if (message.type === 'cc') {
+            mappings
+                .filter(mapping => mapping.type === 'cc' && mapping.channel === message.channel && mapping.number === message.number)
+                .forEach(mapping => this.handlers.setSetting(mapping.target, mapControlValue(mapping, message.value)));
+        } else {
+            mappings
+                .filter(mapping => mapping.type === 'note' && mapping.channel === message.channel && mapping.number === message.number)
+                .forEach(mapping => this.handlers.triggerAction(mapping));
+        }
+    }
+
+    // Binds the pending request to the first matching message; one source drives one destination
+    learn(message) {
+        const request = this.learnRequest;
+        const wanted = request.type === 'cc' ? 'cc' : 'noteOn';
+        if (message.type !== wanted) return false;
+        const mappings = this.handlers.getMappings();
+        const mapping = { ...structuredClone(request), channel: message.channel, number: message.number };
+        for (let i = mappings.length - 1; i >= 0; i--) {
+            const existing = mappings[i];
+            const sameSource = existing.type === mapping.type && existing.channel === mapping.channel && existing.number === mapping.number;
+            const sameTarget = mapping.type === 'cc' && existing.type === 'cc' && existing.target === mapping.target;
+            if (sameSource || sameTarget) mappings.splice(i, 1);
+        }
+        mappings.push(mapping);
+        this.learnRequest = null;
+        console.log(`MidiMapper: learned ${describeMidiMapping(mapping)}`);
+        if (this.handlers.onLearned) this.handlers.onLearned(mapping);
+        return true;
+    }
+
+    attachInput(input) {
+        this.detachInput(input);
+        input.onmidimessage = (event) => this.handleMessage(event.data);
+        this.inputs.set(input.id, input);
+    }
+
+    detachInput(input) {
+        const attached = this.inputs.get(input.id);
+        if (attached) attached.onmidimessage = null;
+        this.inputs.delete(input.id);
+    }
+
+    getInputNames() {
+        return [...this.inputs.values()].map(input => input.name || input.id);
+    }
+}
+
+// Web MIDI access: attaches every input now and any that are plugged in later
+export class MidiConnection {
+    constructor(mapper, midiNavigator = navigator) {
+        this.mapper = mapper;
+        this.navigator = midiNavigator;
+        this.access = null;
+        this.onDevicesChanged = null; // Called with the list of connected input names
+    }
+
+    static isSupported(midiNavigator = navigator) {
+        return typeof midiNavigator.requestMIDIAccess === 'function';
+    }
+
+    async enable() {
+        if (this.access) return;
+        this.access = await this.navigator.requestMIDIAccess();
+        this.access.inputs.forEach(input => this.mapper.attachInput(input));
+        this.access.onstatechange = (event) => {
+            const port = event.port;
+            if (port.type !== 'input') return;
+            if (port.state === 'connected') this.mapper.attachInput(port);
+            else this.mapper.detachInput(port);
+            this.notifyDevices();
+        };
+        this.notifyDevices();
+    }
+
+    notifyDevices() {
+        if (this.onDevicesChanged) this.onDevicesChanged(this.mapper.getInputNames());
+    }
+}
+console.log("src/midi.js: Parsed and MidiMapper/MidiConnection classes are exported.");
@@ -0,0 +1,107 @@
+export const BASE_MODULATION_SOURCES = ['volume', 'beat', 'onset', 'beatPhase', 'songEnergy', 'buildUp', 'drop', 'section', 'lfoSine', 'lfoTriangle', 'lfoSaw', 'lfoSquare'];
+export const DEFAULT_BAND_SOURCES = ['bass', 'lowMid', 'mid', 'highMid', 'treble'];
+
+// Each curve maps a 0..1 source value to a 0..1 shaped value
+export const MODULATION_CURVES = {
+    linear: x => x,
+    exponential: x => x * x,
+    logarithmic: x => Math.sqrt(x),
+    sCurve: x => x * x * (3 - 2 * x),
+    inverted: x => 1 - x
+};
+
+let nextRoutingId = 1;
+
+export function createRouting(target, range, overrides = {}) {
+    return {
+        id: nextRoutingId++,
+        enabled: true,
+        source: 'bass',
+        target,
+        amount: 0.5,     // -1..1, fraction of the range span added to the base value
+        curve: 'linear',
+        attack: 0.02,    // Seconds to rise towards a higher source value
+        release: 0.25,   // Seconds to fall towards a lower source value
+        min: range.min,
+        max: range.max,
+        ...overrides
+    };
+}
+
+// Drops malformed routings from presets and fills missing fields
+export function sanitizeRoutings(routings, settings) {
+    if (!Array.isArray(routings)) return [];
+    return routings
+        .filter(r => r && typeof r === 'object' && typeof settings[r.target] === 'number')
+        .map(r => {
+            const clean = createRouting(r.target, { min: Number(r.min) || 0, max: Number(r.max) || 1 });
+            ['enabled', 'source', 'amount', 'curve', 'attack', 'release', 'min', 'max'].forEach(key => {
+                if (typeof r[key] === typeof clean[key]) clean[key] = r[key];
+            });
+            if (!MODULATION_CURVES[clean.curve]) clean.curve = 'linear';
+            return clean;
+        });
+}
+
+export class ModulationMatrix {
+    constructor() {
+        console.log("ModulationMatrix: constructor called");
+        this.envelopes = new Map(); // routing id -> smoothed 0..1 value
+        this.lfoTime = 0;
+        this.sourceValues = {};
+        this.output = {};
+    }
+
+    reset() {
+        this.envelopes.clear();
+        this.lfoTime = 0;
+    }
+
+    // pulses: { beat, onset } envelopes owned by the visualizer, plus its song signals
+    // { songEnergy, buildUp, drop, section } from the offline analysis of the current track
+    updateSources(audioData, pulses, lfoRate, deltaTime) {
+        this.lfoTime += deltaTime;
+        const phase = (this.lfoTime * lfoRate) % 1;
+        const values = this.sourceValues;
+        for (const key of Object.keys(values)) values[key] = 0;
+        if (audioData) {
+            Object.entries(audioData.frequencies || {}).forEach(([band, value]) => { values[band] = value; });
+            (audioData.bands || []).forEach((value, i) => { values[`band${i + 1}`] = value; });
+            values.volume = Math.min(1, audioData.volume * 2); // Raw volume rarely exceeds 0.5
+            values.beatPhase = audioData.beat ? audioData.beat.phase : 0;
+        }
+        values.beat = pulses.beat;
+        values.onset = pulses.onset;
+        values.songEnergy = pulses.songEnergy || 0;
+        values.buildUp = pulses.buildUp || 0;
+        values.drop = pulses.drop || 0;
+        values.section = pulses.section || 0;
+        values.lfoSine = 0.5 + 0.5 * Math.sin(phase * Math.PI * 2);
+        values.lfoTriangle = 1 - Math.abs(phase * 2 - 1);
+        values.lfoSaw = phase;
+        values.lfoSquare = phase < 0.5 ? 1 : 0;
+        return values;
+    }
+
+    // Returns base settings with every enabled routing applied; the base object is never modified
+    evaluate(baseSettings, routings, deltaTime) {
+        const output = Object.assign(this.output, baseSettings);
+        routings.forEach(routing => {
+            if (!routing.enabled || typeof baseSettings[routing.target] !== 'number') return;
+            const raw = Math.min(1, Math.max(0, this.sourceValues[routing.source] || 0));
+            const shaped = (MODULATION_CURVES[routing.curve] || MODULATION_CURVES.linear)(raw);
+
+            const previous = this.envelopes.has(routing.id) ? this.envelopes.get(routing.id) : shaped;
+            const time = shaped > previous ? routing.attack : routing.release;
+            const envelope = time > 0 ? previous + (shaped - previous) * (1 - Math.exp(-deltaTime / time)) : shaped;
+            this.envelopes.set(routing.id, envelope);
+
+            const low = Math.min(routing.min, routing.max);
+            const high = Math.max(routing.min, routing.max);
+            const value = output[routing.target] + routing.amount * envelope * (high - low);
+            output[routing.target] = Math.min(high, Math.max(low, value));
+        });
+        return output;
+    }
+}
+console.log("src/modulation.js: Parsed and ModulationMatrix class is exported.");
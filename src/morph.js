@@ -0,0 +1,143 @@
+const SEQUENCE_STORAGE_KEY = 'visualizerPresetSequences_v1';
+const SEEK_THRESHOLD = 1.0; // Seconds of jump in track time treated as a seek, not playback
+
+export function easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Blends two '#rrggbb' strings channel by channel
+export function lerpHexColor(from, to, t) {
+    const a = parseInt(from.slice(1), 16);
+    const b = parseInt(to.slice(1), 16);
+    return '#' + [16, 8, 0].map(shift => {
+        const value = Math.round(((a >> shift) & 255) + ((((b >> shift) & 255) - ((a >> shift) & 255)) * t));
+        return value.toString(16).padStart(2, '0');
+    }).join('');
+}
+
+// Interpolates every numeric setting and palette color from one preset to another; other values switch halfway
+export class PresetMorph {
+    constructor(fromSettings, toSettings, length, unit = 'seconds') {
+        this.from = { ...fromSettings };
+        this.to = { ...toSettings };
+        this.length = Math.max(0, length);
+        this.unit = unit; // 'seconds' or 'beats'
+        this.progress = this.length === 0 ? 1 : 0;
+    }
+
+    // bpm is only used for beat-based morphs; without a tempo estimate 120 BPM is assumed
+    advance(deltaTime, bpm) {
+        if (this.isFinished()) return;
+        const beatsPerSecond = (bpm || 120) / 60;
+        const step = this.unit === 'beats' ? deltaTime * beatsPerSecond / this.length : deltaTime / this.length;
+        this.progress = Math.min(1, this.progress + step);
+    }
+
+    isFinished() {
+        return this.progress >= 1;
+    }
+
+    getValue(key) {
+        const from = this.from[key];
+        const to = this.to[key];
+        if (typeof from === 'number' && typeof to === 'number') {
+            return from + (to - from) * easeInOutCubic(this.progress);
+        }
+        if (HEX_COLOR_PATTERN.test(from) && HEX_COLOR_PATTERN.test(to)) {
+            return lerpHexColor(from, to, easeInOutCubic(this.progress));
+        }
+        return this.progress < 0.5 ? from : to;
+    }
+
+    applyTo(settings) {
+        Object.keys(this.to).forEach(key => { settings[key] = this.getValue(key); });
+    }
+}
+
+// Triggers preset morphs at fixed times in a track; steps are stored per track name
+export class PresetSequencer {
+    constructor(visualizer, storage = window.localStorage) {
+        console.log("PresetSequencer: constructor called");
+        this.visualizer = visualizer;
+        this.storage = storage;
+        this.enabled = true;
+        this.trackName = null;
+        this.steps = []; // [{ time, presetName, length, unit }] sorted by time
+        this.lastTime = null;
+        this.activeStepIndex = -1;
+        this.sequences = this.loadAll();
+    }
+
+    loadAll() {
+        try {
+            return JSON.parse(this.storage.getItem(SEQUENCE_STORAGE_KEY)) || {};
+        } catch (e) {
+            console.error("PresetSequencer: Error reading sequences from localStorage:", e);
+            return {};
+        }
+    }
+
+    persist() {
+        if (!this.trackName) return;
+        if (this.steps.length) {
+            this.sequences[this.trackName] = this.steps;
+        } else {
+            delete this.sequences[this.trackName];
+        }
+        this.storage.setItem(SEQUENCE_STORAGE_KEY, JSON.stringify(this.sequences));
+    }
+
+    setTrack(trackName) {
+        this.trackName = trackName;
+        this.steps = (this.sequences[trackName] || []).slice();
+        this.lastTime = null;
+        this.activeStepIndex = -1;
+        console.log(`PresetSequencer: ${this.steps.length} step(s) for "${trackName}"`);
+    }
+
+    addStep(time, presetName, length, unit) {
+        if (!this.trackName) throw new Error("Load a track before adding sequence steps.");
+        this.steps = this.steps.filter(step => Math.abs(step.time - time) > 0.05);
+        this.steps.push({ time, presetName, length, unit });
+        this.steps.sort((a, b) => a.time - b.time);
+        this.persist();
+    }
+
+    removeStep(index) {
+        this.steps.splice(index, 1);
+        this.persist();
+    }
+
+    clear() {
+        this.steps = [];
+        this.activeStepIndex = -1;
+        this.persist();
+    }
+
+    getStepIndexAt(time) {
+        let index = -1;
+        this.steps.forEach((step, i) => { if (step.time <= time) index = i; });
+        return index;
+    }
+
+    update(time) {
+        if (!this.enabled || !this.steps.length || time === null) {
+            this.lastTime = time;
+            return;
+        }
+        const isSeek = this.lastTime === null || time < this.lastTime || time - this.lastTime > SEEK_THRESHOLD;
+        const index = this.getStepIndexAt(time);
+        if (index !== this.activeStepIndex && index >= 0) {
+            const step = this.steps[index];
+            // After a seek, catch up quickly instead of replaying the step's full morph
+            const length = isSeek ? Math.min(0.5, step.length) : step.length;
+            const unit = isSeek ? 'seconds' : step.unit;
+            this.visualizer.morphToPreset(step.presetName, length, unit);
+        }
+        this.activeStepIndex = index;
+        this.lastTime = time;
+    }
+}
+console.log("src/morph.js: Parsed and PresetMorph/PresetSequencer classes are exported.");
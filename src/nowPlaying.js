@@ -0,0 +1,209 @@
+import * as THREE from 'three';
+import { findLyricIndex } from './lyrics.js';
+
+const LEVEL_SMOOTHING = 0.15; // Per-frame easing of the volume that drives the glow
+const ENTER_SECONDS = 0.8;     // Fade and slide in when the track changes
+const LYRIC_IN_SECONDS = 0.35; // Fade and slide in of a new lyric line
+const REFERENCE_HEIGHT = 1080; // Layout sizes below are pixels at this output height, so previews and exports match
+// Panel layout in reference pixels; PADDING leaves room for the glows around the content
+const PANEL_WIDTH = 640;
+const PANEL_HEIGHT = 300;
+const PADDING = 40;
+const MARGIN_LEFT = 24 - PADDING;
+const MARGIN_BOTTOM = 64 - PADDING; // Clear of the transport bar in the window
+const COVER_SIZE = 96;
+const FONT_FAMILY = "'Segoe UI', Arial, sans-serif";
+
+function easeOut(t) {
+    return 1 - Math.pow(1 - Math.min(1, Math.max(0, t)), 3);
+}
+
+function fitText(context, text, maxWidth) {
+    if (context.measureText(text).width <= maxWidth) return text;
+    let end = text.length;
+    while (end > 0 && context.measureText(text.slice(0, end) + '…').width > maxWidth) end--;
+    return text.slice(0, end) + '…';
+}
+
+// Cover, title and artist of the current track plus its synced lyrics. Drawn into the visualizer's
+// canvas after post-processing (a 2D canvas on a screen-space quad), so live recordings, offline
+// exports and the presenter output all show it. The Visualizer calls update() and render() every frame.
+export class NowPlayingOverlay {
+    constructor() {
+        console.log("NowPlayingOverlay: constructor called");
+        this.visible = false;
+        this.showLyrics = true;
+        this.info = { title: '', artist: '', album: '', cover: null, lyrics: [] };
+        this.coverImage = null;
+        this.coverToken = 0;
+        this.lyricIndex = -1;
+        this.level = 0;
+        this.pulse = 0;
+        this.enterTime = 0;
+        this.lyricTime = LYRIC_IN_SECONDS;
+
+        this.canvas = document.createElement('canvas');
+        this.context = this.canvas.getContext('2d');
+        this.texture = new THREE.CanvasTexture(this.canvas);
+        this.texture.colorSpace = THREE.SRGBColorSpace;
+        this.texture.minFilter = THREE.LinearFilter;
+        this.texture.generateMipmaps = false;
+        this.mesh = new THREE.Mesh(
+            new THREE.PlaneGeometry(1, 1),
+            new THREE.MeshBasicMaterial({ map: this.texture, transparent: true, depthTest: false, depthWrite: false, toneMapped: false })
+        );
+        this.scene = new THREE.Scene();
+        this.scene.add(this.mesh);
+        this.camera = new THREE.OrthographicCamera(0, 1, 1, 0, -1, 1); // Units are output pixels
+        this.size = new THREE.Vector2();
+    }
+
+    // info: { title, artist, album, cover (Blob or null), lyrics: [{ time, text }] }
+    setTrack(info) {
+        const previousCover = this.info.cover;
+        this.info = { title: '', artist: '', album: '', cover: null, lyrics: [], ...info };
+        this.lyricIndex = -1;
+        this.restartAnimation();
+        if (this.info.cover === previousCover) return;
+        const token = ++this.coverToken;
+        if (this.coverImage && this.coverImage.close) this.coverImage.close();
+        this.coverImage = null;
+        if (!this.info.cover) return;
+        createImageBitmap(this.info.cover).then(bitmap => {
+            if (token !== this.coverToken) {
+                bitmap.close();
+                return;
+            }
+            this.coverImage = bitmap;
+        }).catch(err => console.warn("NowPlayingOverlay: could not decode the cover:", err));
+    }
+
+    setVisible(visible) {
+        this.visible = visible;
+    }
+
+    setShowLyrics(show) {
+        this.showLyrics = show;
+    }
+
+    // Also called at the start of an offline render so every export animates the same way
+    restartAnimation() {
+        this.enterTime = 0;
+        this.lyricTime = LYRIC_IN_SECONDS;
+    }
+
+    hasLyrics() {
+        return this.showLyrics && this.info.lyrics.length > 0;
+    }
+
+    // time: playhead in seconds or null; audioData may be null while paused; beatPulse: the visualizer's 0..1 beat envelope
+    update(deltaTime, time, audioData, beatPulse) {
+        if (!this.visible) return;
+        const volume = audioData ? audioData.volume : 0;
+        this.level += (volume - this.level) * LEVEL_SMOOTHING;
+        this.pulse = audioData ? beatPulse : 0;
+        this.enterTime += deltaTime;
+        this.lyricTime += deltaTime;
+        if (!this.hasLyrics() || time === null) return;
+        const index = findLyricIndex(this.info.lyrics, time);
+        if (index === this.lyricIndex) return;
+        this.lyricIndex = index;
+        this.lyricTime = 0;
+    }
+
+    // Draws over whatever the renderer just output; call after the post-processing chain
+    render(renderer) {
+        if (!this.visible || !this.info.title) return;
+        renderer.getSize(this.size);
+        const scale = this.size.y / REFERENCE_HEIGHT;
+        const width = PANEL_WIDTH * scale;
+        const height = PANEL_HEIGHT * scale;
+        const pixelRatio = renderer.getPixelRatio();
+        const canvasWidth = Math.round(width * pixelRatio);
+        const canvasHeight = Math.round(height * pixelRatio);
+        if (this.canvas.width !== canvasWidth || this.canvas.height !== canvasHeight) {
+            this.canvas.width = canvasWidth;
+            this.canvas.height = canvasHeight;
+            this.texture.dispose(); // The GPU copy has a fixed size
+        }
+        this.draw(scale * pixelRatio);
+        this.texture.needsUpdate = true;
+
+        this.camera.right = this.size.x;
+        this.camera.top = this.size.y;
+        this.camera.updateProjectionMatrix();
+        this.mesh.scale.set(width, height, 1);
+        this.mesh.position.set(MARGIN_LEFT * scale + width / 2, MARGIN_BOTTOM * scale + height / 2, 0);
+        const autoClear = renderer.autoClear;
+        renderer.autoClear = false;
+        renderer.setRenderTarget(null);
+        renderer.render(this.scene, this.camera);
+        renderer.autoClear = autoClear;
+    }
+
+    // Drawn in reference pixels: the cover pulses with the beat, title and cover glow with the volume
+    draw(scale) {
+        const context = this.context;
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        const enter = easeOut(this.enterTime / ENTER_SECONDS);
+        context.setTransform(scale, 0, 0, scale, 0, (1 - enter) * 16 * scale);
+        context.globalAlpha = enter;
+
+        const lyricsHeight = this.hasLyrics() ? 70 : 0;
+        const headerTop = PANEL_HEIGHT - PADDING - lyricsHeight - COVER_SIZE;
+        let textLeft = PADDING;
+        if (this.coverImage) {
+            const size = COVER_SIZE * (1 + this.pulse * 0.06);
+            const center = PADDING + COVER_SIZE / 2;
+            context.save();
+            context.shadowColor = `rgba(255, 255, 255, ${0.15 + this.level * 0.5})`;
+            context.shadowBlur = (8 + this.level * 40) * scale;
+            context.drawImage(this.coverImage, center - size / 2, headerTop + COVER_SIZE / 2 - size / 2, size, size);
+            context.restore();
+            textLeft += COVER_SIZE + 16;
+        }
+        const textWidth = PANEL_WIDTH - PADDING - textLeft;
+        const subtitle = [this.info.artist, this.info.album].filter(Boolean).join(' · ');
+        const titleY = headerTop + COVER_SIZE / 2 + (subtitle ? -4 : 9);
+        context.textBaseline = 'alphabetic';
+        context.fillStyle = '#fff';
+        context.font = `600 26px ${FONT_FAMILY}`;
+        context.shadowColor = 'rgba(255, 255, 255, 0.8)';
+        context.shadowBlur = (4 + this.level * 24) * scale;
+        context.fillText(fitText(context, this.info.title, textWidth), textLeft, titleY);
+        context.shadowColor = 'rgba(0, 0, 0, 0.8)';
+        context.shadowBlur = 6 * scale;
+        if (subtitle) {
+            context.fillStyle = '#ccc';
+            context.font = `16px ${FONT_FAMILY}`;
+            context.fillText(fitText(context, subtitle, textWidth), textLeft, titleY + 24);
+        }
+
+        if (!this.hasLyrics()) return;
+        const lines = this.info.lyrics;
+        const lyricWidth = PANEL_WIDTH - PADDING * 2;
+        const lyricY = PANEL_HEIGHT - PADDING - 34;
+        const current = this.lyricIndex >= 0 ? lines[this.lyricIndex].text : '';
+        const next = this.lyricIndex + 1 < lines.length ? lines[this.lyricIndex + 1].text : '';
+        const lyricIn = easeOut(this.lyricTime / LYRIC_IN_SECONDS);
+        context.globalAlpha = enter * lyricIn * (0.85 + this.pulse * 0.15);
+        context.fillStyle = '#eee';
+        context.font = `600 22px ${FONT_FAMILY}`;
+        context.shadowColor = 'rgba(0, 123, 255, 0.9)';
+        context.shadowBlur = (6 + this.pulse * 18) * scale;
+        context.fillText(fitText(context, current, lyricWidth), PADDING, lyricY + (1 - lyricIn) * 8);
+        context.globalAlpha = enter * 0.5;
+        context.font = `16px ${FONT_FAMILY}`;
+        context.shadowColor = 'rgba(0, 0, 0, 0.8)';
+        context.shadowBlur = 6 * scale;
+        context.fillText(fitText(context, next, lyricWidth), PADDING, lyricY + 28);
+    }
+
+    dispose() {
+        this.texture.dispose();
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+    }
+}
+console.log("src/nowPlaying.js: Parsed and NowPlayingOverlay class is exported.");
@@ -0,0 +1,251 @@
+import * as THREE from 'three';
+
+// Every scene color is a '#rrggbb' string setting, so palettes are saved in presets and morph like any other value.
+export const PALETTE_COLOR_KEYS = [
+    'colorBackgroundTop', 'colorBackgroundBottom',
+    'colorSphereBase', 'colorBass', 'colorMid', 'colorTreble', 'colorPulse', 'colorRim',
+    'colorParticleStart', 'colorParticleMid', 'colorParticleEnd'
+];
+
+// Gradients are lists of color keys sampled from 0 to 1
+export const SPECTRUM_GRADIENT = ['colorBass', 'colorMid', 'colorTreble'];
+export const PARTICLE_GRADIENT = ['colorParticleStart', 'colorParticleMid', 'colorParticleEnd'];
+
+export const PALETTES = {
+    // The colors that used to be hard-coded in the sphere shader
+    classic: {
+        colorBackgroundTop: '#000000',
+        colorBackgroundBottom: '#000000',
+        colorSphereBase: '#05050a',
+        colorBass: '#b31414',
+        colorMid: '#149926',
+        colorTreble: '#2633b3',
+        colorPulse: '#403326',
+        colorRim: '#8099b3',
+        colorParticleStart: '#ffe0c0',
+        colorParticleMid: '#ffffff',
+        colorParticleEnd: '#c0d0ff'
+    },
+    ember: {
+        colorBackgroundTop: '#1a0505',
+        colorBackgroundBottom: '#000000',
+        colorSphereBase: '#0a0302',
+        colorBass: '#d92b0b',
+        colorMid: '#f27a12',
+        colorTreble: '#ffd24d',
+        colorPulse: '#4d2612',
+        colorRim: '#ffb366',
+        colorParticleStart: '#ff4d1a',
+        colorParticleMid: '#ff9933',
+        colorParticleEnd: '#ffe699'
+    },
+    ocean: {
+        colorBackgroundTop: '#001a26',
+        colorBackgroundBottom: '#00040a',
+        colorSphereBase: '#020810',
+        colorBass: '#0a3d8c',
+        colorMid: '#0d99a6',
+        colorTreble: '#7ae6d9',
+        colorPulse: '#16334d',
+        colorRim: '#99e6ff',
+        colorParticleStart: '#1a66cc',
+        colorParticleMid: '#33ccd9',
+        colorParticleEnd: '#ccffff'
+    },
+    neon: {
+        colorBackgroundTop: '#14001f',
+        colorBackgroundBottom: '#000000',
+        colorSphereBase: '#08000d',
+        colorBass: '#e60da6',
+        colorMid: '#1ae6e6',
+        colorTreble: '#b3ff1a',
+        colorPulse: '#4d1a4d',
+        colorRim: '#ff66ff',
+        colorParticleStart: '#ff1ab3',
+        colorParticleMid: '#8c1aff',
+        colorParticleEnd: '#1affff'
+    },
+    forest: {
+        colorBackgroundTop: '#0a1a0d',
+        colorBackgroundBottom: '#020502',
+        colorSphereBase: '#040a04',
+        colorBass: '#4d661a',
+        colorMid: '#1a8c40',
+        colorTreble: '#b3d966',
+        colorPulse: '#33331a',
+        colorRim: '#ccff99',
+        colorParticleStart: '#669933',
+        colorParticleMid: '#b3cc66',
+        colorParticleEnd: '#ffffcc'
+    },
+    mono: {
+        colorBackgroundTop: '#1a1a1a',
+        colorBackgroundBottom: '#000000',
+        colorSphereBase: '#050505',
+        colorBass: '#666666',
+        colorMid: '#999999',
+        colorTreble: '#cccccc',
+        colorPulse: '#333333',
+        colorRim: '#e6e6e6',
+        colorParticleStart: '#808080',
+        colorParticleMid: '#cccccc',
+        colorParticleEnd: '#ffffff'
+    }
+};
+
+export const PALETTE_DEFAULTS = {
+    paletteName: 'classic', // 'custom' once any color is edited by hand or taken from an image
+    paletteFromAlbumArt: false,
+    ...PALETTES.classic
+};
+
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+export function isHexColor(value) {
+    return typeof value === 'string' && HEX_COLOR_PATTERN.test(value);
+}
+
+function toHex(r, g, b) {
+    return '#' + [r, g, b].map(v => Math.round(Math.min(255, Math.max(0, v))).toString(16).padStart(2, '0')).join('');
+}
+
+function luminance([r, g, b]) {
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function saturation([r, g, b]) {
+    const max = Math.max(r, g, b);
+    return max === 0 ? 0 : (max - Math.min(r, g, b)) / max;
+}
+
+// Most common distinct colors of RGBA pixel data as [r, g, b] triples (0-255), most frequent first.
+// Pixels are bucketed at 4 bits per channel; buckets closer than minDistance to a picked color are skipped.
+export function extractImageColors(pixels, count = 6, minDistance = 48) {
+    const buckets = new Map();
+    for (let i = 0; i < pixels.length; i += 4) {
+        if (pixels[i + 3] < 128) continue; // Ignore transparent pixels
+        const key = ((pixels[i] >> 4) << 8) | ((pixels[i + 1] >> 4) << 4) | (pixels[i + 2] >> 4);
+        let bucket = buckets.get(key);
+        if (!bucket) {
+            bucket = { count: 0, r: 0, g: 0, b: 0 };
+            buckets.set(key, bucket);
+        }
+        bucket.count++;
+        bucket.r += pixels[i];
+        bucket.g += pixels[i + 1];
+        bucket.b += pixels[i + 2];
+    }
+    const ranked = [...buckets.values()]
+        .sort((a, b) => b.count - a.count)
+        .map(bucket => [bucket.r / bucket.count, bucket.g / bucket.count, bucket.b / bucket.count]);
+    const picked = [];
+    for (const color of ranked) {
+        if (picked.length >= count) break;
+        const distinct = picked.every(other => Math.hypot(color[0] - other[0], color[1] - other[1], color[2] - other[2]) >= minDistance);
+        if (distinct) picked.push(color);
+    }
+    return picked;
+}
+
+// Assigns extracted colors to palette roles: dark colors become the background and sphere base,
+// the most saturated ones the band colors and the brightest ones the particle gradient.
+export function paletteFromImageColors(colors) {
+    if (!colors.length) return { ...PALETTES.classic };
+    const pick = (list, index) => list[Math.min(index, list.length - 1)];
+    const scale = (color, factor) => toHex(color[0] * factor, color[1] * factor, color[2] * factor);
+    const byLuminance = [...colors].sort((a, b) => luminance(a) - luminance(b));
+    const bySaturation = [...colors].sort((a, b) => saturation(b) - saturation(a));
+    const bands = [pick(bySaturation, 0), pick(bySaturation, 1), pick(bySaturation, 2)].sort((a, b) => luminance(a) - luminance(b));
+    const brightest = byLuminance.slice(-3);
+    return {
+        colorBackgroundTop: scale(pick(byLuminance, 1), 0.25),
+        colorBackgroundBottom: scale(byLuminance[0], 0.08),
+        colorSphereBase: scale(byLuminance[0], 0.1),
+        colorBass: scale(bands[0], 0.8),
+        colorMid: scale(bands[1], 0.8),
+        colorTreble: scale(bands[2], 0.8),
+        colorPulse: scale(pick(byLuminance, Math.floor(colors.length / 2)), 0.3),
+        colorRim: scale(byLuminance[byLuminance.length - 1], 1),
+        colorParticleStart: scale(pick(brightest, 0), 1),
+        colorParticleMid: scale(pick(brightest, 1), 1),
+        colorParticleEnd: scale(pick(brightest, 2), 1)
+    };
+}
+
+// source: an image Blob/File, HTMLImageElement or ImageBitmap (e.g. album art)
+export async function loadImagePalette(source) {
+    const image = source instanceof Blob ? await createImageBitmap(source) : source;
+    const canvas = document.createElement('canvas');
+    canvas.width = 64;
+    canvas.height = 64;
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    return paletteFromImageColors(extractImageColors(context.getImageData(0, 0, canvas.width, canvas.height).data));
+}
+
+// Decoded THREE.Color objects for the current palette, updated in place so uniforms can hold references.
+// `colors` are color-managed for built-in materials; `shaderColors` keep the raw hex values because
+// our ShaderMaterials write straight to the canvas without an output color space conversion.
+export class PaletteColors {
+    constructor() {
+        this.values = {};
+        this.colors = {};
+        this.shaderColors = {};
+        PALETTE_COLOR_KEYS.forEach(key => {
+            this.colors[key] = new THREE.Color();
+            this.shaderColors[key] = new THREE.Color();
+        });
+    }
+
+    // Returns true when any color changed since the last call
+    update(settings) {
+        let changed = false;
+        PALETTE_COLOR_KEYS.forEach(key => {
+            const value = isHexColor(settings[key]) ? settings[key] : PALETTE_DEFAULTS[key];
+            if (value === this.values[key]) return;
+            this.values[key] = value;
+            this.colors[key].set(value);
+            this.shaderColors[key].setStyle(value, THREE.LinearSRGBColorSpace);
+            changed = true;
+        });
+        return changed;
+    }
+
+    // Piecewise-linear sample of a gradient (list of color keys) at t in 0..1
+    sample(gradient, t, target, shader = false) {
+        const source = shader ? this.shaderColors : this.colors;
+        const position = THREE.MathUtils.clamp(t, 0, 1) * (gradient.length - 1);
+        const index = Math.min(gradient.length - 2, Math.floor(position));
+        return target.copy(source[gradient[index]]).lerp(source[gradient[index + 1]], position - index);
+    }
+
+    sampleSpectrum(t, target, shader = false) {
+        return this.sample(SPECTRUM_GRADIENT, t, target, shader);
+    }
+
+    sampleParticle(t, target, shader = false) {
+        return this.sample(PARTICLE_GRADIENT, t, target, shader);
+    }
+}
+
+// Vertical two-stop gradient used as scene.background
+export function createGradientTexture() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 2;
+    canvas.height = 256;
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return texture;
+}
+
+export function drawGradientTexture(texture, top, bottom) {
+    const canvas = texture.image;
+    const context = canvas.getContext('2d');
+    const gradient = context.createLinearGradient(0, 0, 0, canvas.height);
+    gradient.addColorStop(0, top);
+    gradient.addColorStop(1, bottom);
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    texture.needsUpdate = true;
+}
+console.log("src/palettes.js: Parsed and palette helpers are exported.");
@@ -0,0 +1,637 @@
+import * as THREE from 'three';
+import { GPUComputationRenderer } from 'three/addons/misc/GPUComputationRenderer.js';
+
+export const PARTICLE_EMITTERS = ['shell', 'sphereSurface', 'ring', 'displacedSphere', 'albumArt'];
+
+const SHELL_INNER_RADIUS = 2.5;
+const SHELL_OUTER_RADIUS = 15;
+const RING_RADIUS = 8;
+const RING_WIDTH = 1.0;
+const RING_HEIGHT = 0.3;
+const COVER_SIZE = 6; // Edge of the album art square the 'albumArt' emitter spawns on
+const COVER_DEPTH = 0.2;
+
+// Shared by the simulation shaders so every variable agrees on respawn values for a texel
+const SIMULATION_COMMON = `
+    uniform float deltaTime;
+    uniform float seed;
+    uniform float minLife;
+    uniform float maxLife;
+    uniform float respawnAll; // 1 for a single step that starts every particle over
+    float hash(vec2 p) {
+        vec3 p3 = fract(vec3(p.xyx) * 0.1031);
+        p3 += dot(p3, p3.yzx + 33.33);
+        return fract((p3.x + p3.y) * p3.z);
+    }
+    float spawnRandom(vec2 uv, float salt) {
+        return hash(uv * (17.0 + salt) + vec2(seed * 0.7131, seed * 0.3917 + salt));
+    }
+    bool respawns(vec2 uv) {
+        return respawnAll > 0.5 || texture2D(texturePosition, uv).w - deltaTime <= 0.0;
+    }
+    float spawnMaxLife(vec2 uv) {
+        return max(0.1, minLife + spawnRandom(uv, 1.0) * (maxLife - minLife));
+    }
+    // Spot on the album art a particle spawns at; COLOR_SHADER reads its color there
+    vec2 spawnCoverUv(vec2 uv) {
+        return vec2(spawnRandom(uv, 3.0), spawnRandom(uv, 4.0));
+    }
+`;
+
+// xyz: position, w: remaining life
+const POSITION_SHADER = SIMULATION_COMMON + `
+    uniform float emitterType;
+    uniform float emitterScale;
+    uniform mat4 emitterMatrix; // Sphere space -> particle space
+    uniform float sphereRadius;
+    uniform float sphereTime;
+    uniform float sphereBass;
+    uniform float sphereMid;
+    uniform float sphereTreble;
+    uniform float sphereBeat;
+    uniform float sphereNoiseStrength;
+    uniform float sphereNoiseSpeed;
+    float rand(vec2 n) {
+        return fract(sin(dot(n, vec2(12.9898, 4.1414))) * 43758.5453);
+    }
+    float fbm(vec3 p) {
+        float value = 0.0;
+        float amplitude = 0.5;
+        float frequency = 2.0;
+        for (int i = 0; i < 4; i++) {
+            value += amplitude * rand(p.xy * frequency + sphereTime * sphereNoiseSpeed * 0.5);
+            p.xy += vec2(10.0);
+            amplitude *= 0.5;
+            frequency *= 2.0;
+        }
+        return value;
+    }
+    // Mirrors the built-in sphere vertex shader (DEFAULT_SPHERE_VERTEX_SHADER); custom shaders are not followed
+    float sphereDisplacement(vec3 p) {
+        float noise = fbm(p * 2.0);
+        float displacement = sphereBass * 0.45 * sin(p.y * 10.0 + sphereTime * 2.5 + p.x * 5.0);
+        displacement += sphereMid * 0.25 * cos(p.x * 8.0 - sphereTime * 1.5 + p.z * 6.0);
+        displacement += sphereTreble * 0.15 * sin(p.z * 12.0 + sphereTime * 1.8 + p.y * 4.0);
+        displacement += sphereBeat * 0.3 * (0.6 + noise);
+        return displacement + (noise - 0.25) * sphereNoiseStrength * (1.0 + sphereBass * 0.5);
+    }
+    vec3 spawnPosition(vec2 uv) {
+        float theta = spawnRandom(uv, 3.0) * 6.2831853;
+        float phi = acos(spawnRandom(uv, 4.0) * 2.0 - 1.0);
+        vec3 direction = vec3(sin(phi) * cos(theta), sin(phi) * sin(theta), cos(phi));
+        float r = spawnRandom(uv, 2.0);
+        if (emitterType < 0.5) {
+            return direction * (${SHELL_INNER_RADIUS.toFixed(1)} + r * ${(SHELL_OUTER_RADIUS - SHELL_INNER_RADIUS).toFixed(1)}) * emitterScale;
+        } else if (emitterType < 1.5) {
+            return direction * sphereRadius * emitterScale;
+        } else if (emitterType < 2.5) {
+            float radius = (${RING_RADIUS.toFixed(1)} + (r - 0.5) * ${RING_WIDTH.toFixed(1)}) * emitterScale;
+            return vec3(cos(theta) * radius, (spawnRandom(uv, 10.0) - 0.5) * ${RING_HEIGHT.toFixed(1)}, sin(theta) * radius);
+        } else if (emitterType < 3.5) {
+            vec3 surface = direction * sphereRadius;
+            surface += direction * sphereDisplacement(surface);
+            return (emitterMatrix * vec4(surface * emitterScale, 1.0)).xyz;
+        }
+        vec2 cover = spawnCoverUv(uv) - 0.5;
+        return vec3(cover * ${COVER_SIZE.toFixed(1)}, (spawnRandom(uv, 10.0) - 0.5) * ${COVER_DEPTH.toFixed(1)}) * emitterScale;
+    }
+    void main() {
+        vec2 uv = gl_FragCoord.xy / resolution.xy;
+        vec4 state = texture2D(texturePosition, uv);
+        float life = state.w - deltaTime;
+        vec3 position = state.xyz + texture2D(textureVelocity, uv).xyz * deltaTime;
+        if (respawns(uv)) {
+            position = spawnPosition(uv);
+            life = spawnMaxLife(uv);
+        }
+        gl_FragColor = vec4(position, life);
+    }
+`;
+
+// xyz: velocity. Forces are curl-noise flow plus a pull towards the sphere that swells with the bass
+const VELOCITY_SHADER = SIMULATION_COMMON + `
+    uniform float time;
+    uniform float curlStrength;
+    uniform float curlScale;
+    uniform float curlSpeed;
+    uniform float attractorStrength;
+    uniform float attractorBassPulse;
+    uniform float bass;
+    uniform float drag;
+    vec3 potential(vec3 p) {
+        return vec3(
+            sin(p.y * 1.7 + p.z * 0.9) + cos(p.z * 1.3 - p.x * 0.6),
+            sin(p.z * 1.5 + p.x * 1.1) + cos(p.x * 1.9 - p.y * 0.7),
+            sin(p.x * 1.3 + p.y * 1.2) + cos(p.y * 1.6 - p.z * 0.8)
+        );
+    }
+    // Curl of a smooth potential is divergence-free, so particles swirl instead of bunching up
+    vec3 curlNoise(vec3 p) {
+        const float e = 0.05;
+        vec3 dx = vec3(e, 0.0, 0.0);
+        vec3 dy = vec3(0.0, e, 0.0);
+        vec3 dz = vec3(0.0, 0.0, e);
+        vec3 px = potential(p + dx) - potential(p - dx);
+        vec3 py = potential(p + dy) - potential(p - dy);
+        vec3 pz = potential(p + dz) - potential(p - dz);
+        return vec3(py.z - pz.y, pz.x - px.z, px.y - py.x) / (2.0 * e);
+    }
+    void main() {
+        vec2 uv = gl_FragCoord.xy / resolution.xy;
+        if (respawns(uv)) {
+            gl_FragColor = vec4(0.0);
+            return;
+        }
+        vec3 position = texture2D(texturePosition, uv).xyz;
+        vec3 velocity = texture2D(textureVelocity, uv).xyz;
+        float randomFactor = texture2D(textureData, uv).y;
+        vec3 force = curlNoise(position * curlScale + vec3(time * curlSpeed)) * curlStrength * (0.75 + randomFactor * 0.5);
+        float dist = length(position);
+        if (dist > 0.001) {
+            // Softened near the center so particles don't slingshot through the sphere; negative strength repels
+            float pull = attractorStrength * (1.0 + bass * attractorBassPulse) * smoothstep(0.0, 1.5, dist);
+            force -= (position / dist) * pull;
+        }
+        velocity += force * deltaTime;
+        velocity *= exp(-drag * deltaTime);
+        gl_FragColor = vec4(velocity, 0.0);
+    }
+`;
+
+// x: max life, y: random factor, z: base size
+const DATA_SHADER = SIMULATION_COMMON + `
+    void main() {
+        vec2 uv = gl_FragCoord.xy / resolution.xy;
+        vec4 data = texture2D(textureData, uv);
+        if (respawns(uv)) {
+            data = vec4(spawnMaxLife(uv), spawnRandom(uv, 5.0), 0.5 + spawnRandom(uv, 6.0), 0.0);
+        }
+        gl_FragColor = data;
+    }
+`;
+
+// rgb: color, eased towards the audio colors while audio plays and back to the palette gradient when idle.
+// Each particle keeps a fixed spot on the gradient via textureData.y. Particles of the album art emitter
+// keep the color of the cover pixel they spawned on, so the image stays readable; a new cover respawns them all.
+const COLOR_SHADER = SIMULATION_COMMON + `
+    uniform float audioActive;
+    uniform float coverActive;
+    uniform sampler2D coverTexture;
+    uniform vec3 audioColor;
+    uniform vec3 gradientStart;
+    uniform vec3 gradientMid;
+    uniform vec3 gradientEnd;
+    void main() {
+        vec2 uv = gl_FragCoord.xy / resolution.xy;
+        vec4 color = texture2D(textureColor, uv);
+        float t = respawns(uv) ? spawnRandom(uv, 5.0) : texture2D(textureData, uv).y; // Same value DATA_SHADER writes on respawn
+        vec3 idleColor = t < 0.5 ? mix(gradientStart, gradientMid, t * 2.0) : mix(gradientMid, gradientEnd, t * 2.0 - 1.0);
+        if (respawns(uv)) {
+            color.rgb = coverActive > 0.5 ? texture2D(coverTexture, spawnCoverUv(uv)).rgb : idleColor;
+        } else if (coverActive > 0.5) {
+            // Keeps the cover color
+        } else if (audioActive > 0.5) {
+            color.rgb = mix(color.rgb, audioColor, 0.1);
+        } else {
+            color.rgb = mix(color.rgb, idleColor, 0.02);
+        }
+        gl_FragColor = vec4(color.rgb, 1.0);
+    }
+`;
+
+// Shared by the point and trail shaders: reads a particle's state and computes its life fade
+const RENDER_COMMON = `
+    attribute vec2 reference;
+    attribute float particleIndex;
+    uniform sampler2D texturePosition;
+    uniform sampler2D textureVelocity;
+    uniform sampler2D textureData;
+    uniform sampler2D textureColor;
+    uniform float onsetPulse;
+    uniform float visibleCount;
+    varying vec3 vColor;
+    varying float vAlpha;
+    float lifeAlpha(float life, float maxLife, float randomFactor) {
+        float normalizedAge = 1.0 - (life / maxLife);
+        float fadeInDuration = 0.2;
+        float fadeOutStartTime = 0.7;
+        float alpha;
+        if (normalizedAge < fadeInDuration) {
+            alpha = normalizedAge / fadeInDuration;
+        } else if (normalizedAge > fadeOutStartTime) {
+            alpha = 1.0 - ((normalizedAge - fadeOutStartTime) / (1.0 - fadeOutStartTime));
+        } else {
+            alpha = 1.0;
+        }
+        alpha = clamp(alpha, 0.0, 1.0) * (0.5 + randomFactor * 0.5);
+        return alpha * clamp(visibleCount - particleIndex, 0.0, 1.0); // Fades the population while morphing counts
+    }
+`;
+
+const RENDER_VERTEX_SHADER = RENDER_COMMON + `
+    uniform float globalParticleScale;
+    uniform float audioVolume;
+    uniform float audioMid;
+    uniform float beatPulse;
+    void main() {
+        vec4 state = texture2D(texturePosition, reference);
+        vec4 data = texture2D(textureData, reference);
+        float randomFactor = data.y;
+        vColor = texture2D(textureColor, reference).rgb;
+        vAlpha = lifeAlpha(state.w, data.x, randomFactor);
+        vec3 pos = state.xyz * (1.0 + onsetPulse * 0.15 * randomFactor);
+        vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
+        float audioSizeFactor = 1.0 + audioVolume * 0.8 + audioMid * 1.2 + beatPulse * 0.8;
+        gl_PointSize = data.z * globalParticleScale * audioSizeFactor * (100.0 / -mvPosition.z);
+        gl_PointSize *= vAlpha;
+        gl_Position = projectionMatrix * mvPosition;
+    }
+`;
+
+const RENDER_FRAGMENT_SHADER = `
+    uniform sampler2D pointTexture;
+    varying vec3 vColor;
+    varying float vAlpha;
+    void main() {
+        if (vAlpha < 0.01) discard;
+        vec4 texColor = texture2D(pointTexture, gl_PointCoord);
+        gl_FragColor = vec4(vColor * texColor.rgb, texColor.a * vAlpha);
+    }
+`;
+
+// Each particle is a line from its position back along its velocity; the tail vertex fades out
+const TRAIL_VERTEX_SHADER = RENDER_COMMON + `
+    attribute float trailEnd;
+    uniform float trailLength;
+    void main() {
+        vec4 state = texture2D(texturePosition, reference);
+        vec4 data = texture2D(textureData, reference);
+        vec3 velocity = texture2D(textureVelocity, reference).xyz;
+        vColor = texture2D(textureColor, reference).rgb;
+        vAlpha = lifeAlpha(state.w, data.x, data.y) * (1.0 - trailEnd) * 0.6;
+        vec3 pos = (state.xyz - velocity * trailLength * trailEnd) * (1.0 + onsetPulse * 0.15 * data.y);
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
+    }
+`;
+
+const TRAIL_FRAGMENT_SHADER = `
+    varying vec3 vColor;
+    varying float vAlpha;
+    void main() {
+        gl_FragColor = vec4(vColor, vAlpha);
+    }
+`;
+
+function generateParticleTexture() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 128;
+    canvas.height = 128;
+    const ctx = canvas.getContext('2d');
+    const center = canvas.width / 2;
+    const gradient = ctx.createRadialGradient(center, center, 0, center, center, center);
+    gradient.addColorStop(0,    'rgba(255,255,255,1)');
+    gradient.addColorStop(0.15, 'rgba(255,255,255,0.95)');
+    gradient.addColorStop(0.4,  'rgba(255,255,255,0.6)');
+    gradient.addColorStop(0.8,  'rgba(255,255,255,0.1)');
+    gradient.addColorStop(1,    'rgba(255,255,255,0)');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    return new THREE.CanvasTexture(canvas);
+}
+
+// Particle motion, life, respawn and color run in a render-to-texture ping-pong simulation;
+// the CPU only uploads a handful of uniforms per frame.
+export class GPUParticleSystem {
+    // options: { count, particleSize, minLife, maxLife, emitter, emitterScale, sphereRadius, random, gradient }
+    // gradient: three THREE.Colors (start, mid, end) held by reference, so palette edits apply without a rebuild
+    constructor(renderer, options) {
+        console.log("GPUParticleSystem: constructor called");
+        this.renderer = renderer;
+        this.random = options.random || Math.random;
+        this.minLife = options.minLife;
+        this.maxLife = options.maxLife;
+        this.emitter = options.emitter || 'shell';
+        this.emitterScale = options.emitterScale || 1;
+        this.sphereRadius = options.sphereRadius || 1.5;
+        this.gradient = options.gradient || [new THREE.Color(1, 1, 1), new THREE.Color(1, 1, 1), new THREE.Color(1, 1, 1)];
+        this.emitterSource = null; // Mesh whose displaced surface the 'displacedSphere' emitter samples
+        this.coverTexture = null; // Album art the 'albumArt' emitter takes its colors from
+        this.appliedCoverTexture = null; // Cover the living particles took their colors from
+        this.emitterMatrix = new THREE.Matrix4();
+        this.textureSize = 0;
+        this.capacity = 0;
+        this.count = 0;
+        this.frame = 0;
+        this.simulationTime = 0;
+        this.gpuCompute = null;
+
+        const textureUniforms = () => ({
+            texturePosition: { value: null },
+            textureVelocity: { value: null },
+            textureData: { value: null },
+            textureColor: { value: null },
+            onsetPulse: { value: 0.0 },
+            visibleCount: { value: options.count }
+        });
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                ...textureUniforms(),
+                time: { value: 0 },
+                pointTexture: { value: generateParticleTexture() },
+                globalParticleScale: { value: options.particleSize },
+                audioVolume: { value: 0.0 },
+                audioMid: { value: 0.0 },
+                beatPulse: { value: 0.0 }
+            },
+            vertexShader: RENDER_VERTEX_SHADER,
+            fragmentShader: RENDER_FRAGMENT_SHADER,
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        });
+        this.geometry = new THREE.BufferGeometry();
+        this.points = new THREE.Points(this.geometry, this.material);
+        this.points.frustumCulled = false; // Real positions live in a texture, the geometry bounds are meaningless
+
+        this.trailMaterial = new THREE.ShaderMaterial({
+            uniforms: { ...textureUniforms(), trailLength: { value: 0 } },
+            vertexShader: TRAIL_VERTEX_SHADER,
+            fragmentShader: TRAIL_FRAGMENT_SHADER,
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        });
+        this.trailGeometry = new THREE.BufferGeometry();
+        this.trails = new THREE.LineSegments(this.trailGeometry, this.trailMaterial);
+        this.trails.frustumCulled = false;
+        this.trails.visible = false;
+        this.points.add(this.trails); // Inherits the particle system's rotation
+
+        this.setCount(options.count);
+    }
+
+    // Capacity grows in power-of-two texture sizes, so most count changes only move the draw range
+    static textureSizeFor(count) {
+        return Math.pow(2, Math.ceil(Math.log2(Math.max(1, Math.ceil(Math.sqrt(count))))));
+    }
+
+    ensureCapacity(count) {
+        const size = GPUParticleSystem.textureSizeFor(count);
+        if (size > this.textureSize) this.allocate(size);
+    }
+
+    setCount(count) {
+        this.ensureCapacity(count);
+        this.count = count;
+        this.material.uniforms.visibleCount.value = count;
+        this.trailMaterial.uniforms.visibleCount.value = count;
+        const drawCount = Math.min(this.capacity, Math.ceil(count));
+        this.geometry.setDrawRange(0, drawCount);
+        this.trailGeometry.setDrawRange(0, drawCount * 2);
+    }
+
+    setEmitterSource(mesh) {
+        this.emitterSource = mesh;
+    }
+
+    setCoverTexture(texture) {
+        this.coverTexture = texture;
+    }
+
+    allocate(size) {
+        console.log(`GPUParticleSystem: allocating ${size}x${size} simulation (${size * size} particles)`);
+        this.disposeCompute();
+        this.textureSize = size;
+        this.capacity = size * size;
+        this.appliedCoverTexture = null; // The initial state has gradient colors
+
+        const references = new Float32Array(this.capacity * 2);
+        const indices = new Float32Array(this.capacity);
+        const trailReferences = new Float32Array(this.capacity * 4);
+        const trailIndices = new Float32Array(this.capacity * 2);
+        const trailEnds = new Float32Array(this.capacity * 2);
+        for (let i = 0; i < this.capacity; i++) {
+            const u = ((i % size) + 0.5) / size;
+            const v = (Math.floor(i / size) + 0.5) / size;
+            references[i * 2] = u;
+            references[i * 2 + 1] = v;
+            indices[i] = i;
+            trailReferences.set([u, v, u, v], i * 4);
+            trailIndices[i * 2] = trailIndices[i * 2 + 1] = i;
+            trailEnds[i * 2 + 1] = 1;
+        }
+        // Positions are never read; they only give three.js the vertex count
+        this.geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.capacity * 3), 3));
+        this.geometry.setAttribute('reference', new THREE.BufferAttribute(references, 2));
+        this.geometry.setAttribute('particleIndex', new THREE.BufferAttribute(indices, 1));
+        this.trailGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.capacity * 6), 3));
+        this.trailGeometry.setAttribute('reference', new THREE.BufferAttribute(trailReferences, 2));
+        this.trailGeometry.setAttribute('particleIndex', new THREE.BufferAttribute(trailIndices, 1));
+        this.trailGeometry.setAttribute('trailEnd', new THREE.BufferAttribute(trailEnds, 1));
+
+        this.gpuCompute = new GPUComputationRenderer(size, size, this.renderer);
+        const initial = this.createInitialTextures();
+        this.positionVariable = this.gpuCompute.addVariable('texturePosition', POSITION_SHADER, initial.position);
+        this.velocityVariable = this.gpuCompute.addVariable('textureVelocity', VELOCITY_SHADER, initial.velocity);
+        this.dataVariable = this.gpuCompute.addVariable('textureData', DATA_SHADER, initial.data);
+        this.colorVariable = this.gpuCompute.addVariable('textureColor', COLOR_SHADER, initial.color);
+        const variables = [this.positionVariable, this.velocityVariable, this.dataVariable, this.colorVariable];
+        variables.forEach(variable => {
+            this.gpuCompute.setVariableDependencies(variable, variables);
+            Object.assign(variable.material.uniforms, {
+                deltaTime: { value: 0 },
+                seed: { value: 0 },
+                respawnAll: { value: 0 },
+                minLife: { value: this.minLife },
+                maxLife: { value: this.maxLife }
+            });
+        });
+        Object.assign(this.positionVariable.material.uniforms, {
+            emitterType: { value: 0 },
+            emitterScale: { value: 1 },
+            emitterMatrix: { value: this.emitterMatrix },
+            sphereRadius: { value: this.sphereRadius },
+            sphereTime: { value: 0 },
+            sphereBass: { value: 0 },
+            sphereMid: { value: 0 },
+            sphereTreble: { value: 0 },
+            sphereBeat: { value: 0 },
+            sphereNoiseStrength: { value: 0 },
+            sphereNoiseSpeed: { value: 0 }
+        });
+        Object.assign(this.velocityVariable.material.uniforms, {
+            time: { value: 0 },
+            curlStrength: { value: 0 },
+            curlScale: { value: 1 },
+            curlSpeed: { value: 0 },
+            attractorStrength: { value: 0 },
+            attractorBassPulse: { value: 0 },
+            bass: { value: 0 },
+            drag: { value: 0 }
+        });
+        this.colorVariable.material.uniforms.audioActive = { value: 0 };
+        this.colorVariable.material.uniforms.coverActive = { value: 0 };
+        this.colorVariable.material.uniforms.coverTexture = { value: null };
+        this.colorVariable.material.uniforms.audioColor = { value: new THREE.Color() };
+        this.colorVariable.material.uniforms.gradientStart = { value: this.gradient[0] };
+        this.colorVariable.material.uniforms.gradientMid = { value: this.gradient[1] };
+        this.colorVariable.material.uniforms.gradientEnd = { value: this.gradient[2] };
+        const error = this.gpuCompute.init();
+        if (error !== null) {
+            throw new Error(`GPU particle simulation could not start: ${error}`);
+        }
+        this.bindTextures();
+    }
+
+    // CPU version of the GPU spawn shapes; the displaced sphere starts from the undisplaced surface
+    spawnPosition(target) {
+        const theta = this.random() * 2 * Math.PI;
+        const phi = Math.acos((this.random() * 2) - 1);
+        const r = this.random();
+        const direction = new THREE.Vector3(Math.sin(phi) * Math.cos(theta), Math.sin(phi) * Math.sin(theta), Math.cos(phi));
+        switch (this.emitter) {
+            case 'sphereSurface':
+            case 'displacedSphere':
+                return target.copy(direction).multiplyScalar(this.sphereRadius * this.emitterScale);
+            case 'ring': {
+                const radius = (RING_RADIUS + (r - 0.5) * RING_WIDTH) * this.emitterScale;
+                return target.set(Math.cos(theta) * radius, (this.random() - 0.5) * RING_HEIGHT, Math.sin(theta) * radius);
+            }
+            case 'albumArt':
+                return target.set((this.random() - 0.5) * COVER_SIZE, (this.random() - 0.5) * COVER_SIZE, (this.random() - 0.5) * COVER_DEPTH)
+                    .multiplyScalar(this.emitterScale);
+            case 'shell':
+            default:
+                return target.copy(direction).multiplyScalar((SHELL_INNER_RADIUS + r * (SHELL_OUTER_RADIUS - SHELL_INNER_RADIUS)) * this.emitterScale);
+        }
+    }
+
+    // Life is staggered so the first generation doesn't die in sync
+    createInitialTextures() {
+        const position = this.gpuCompute.createTexture();
+        const velocity = this.gpuCompute.createTexture();
+        const data = this.gpuCompute.createTexture();
+        const color = this.gpuCompute.createTexture();
+        const lifeRange = this.maxLife - this.minLife;
+        const spawn = new THREE.Vector3();
+        const gradientColor = new THREE.Color();
+        for (let i = 0; i < this.capacity; i++) {
+            const i4 = i * 4;
+            this.spawnPosition(spawn);
+            const maxLife = Math.max(0.1, this.minLife + this.random() * lifeRange);
+            position.image.data[i4] = spawn.x;
+            position.image.data[i4 + 1] = spawn.y;
+            position.image.data[i4 + 2] = spawn.z;
+            position.image.data[i4 + 3] = maxLife * (0.2 + this.random() * 0.8);
+            data.image.data[i4] = maxLife;
+            data.image.data[i4 + 1] = this.random();
+            data.image.data[i4 + 2] = 0.5 + this.random();
+            this.sampleGradient(data.image.data[i4 + 1], gradientColor);
+            color.image.data[i4] = gradientColor.r;
+            color.image.data[i4 + 1] = gradientColor.g;
+            color.image.data[i4 + 2] = gradientColor.b;
+            color.image.data[i4 + 3] = 1;
+        }
+        return { position, velocity, data, color };
+    }
+
+    // CPU mirror of the gradient lookup in COLOR_SHADER
+    sampleGradient(t, target) {
+        return t < 0.5
+            ? target.copy(this.gradient[0]).lerp(this.gradient[1], t * 2)
+            : target.copy(this.gradient[1]).lerp(this.gradient[2], t * 2 - 1);
+    }
+
+    bindTextures() {
+        [this.material.uniforms, this.trailMaterial.uniforms].forEach(uniforms => {
+            uniforms.texturePosition.value = this.gpuCompute.getCurrentRenderTarget(this.positionVariable).texture;
+            uniforms.textureVelocity.value = this.gpuCompute.getCurrentRenderTarget(this.velocityVariable).texture;
+            uniforms.textureData.value = this.gpuCompute.getCurrentRenderTarget(this.dataVariable).texture;
+            uniforms.textureColor.value = this.gpuCompute.getCurrentRenderTarget(this.colorVariable).texture;
+        });
+    }
+
+    // Restarts the simulation from freshly generated state so seeded offline renders are reproducible
+    reset() {
+        this.frame = 0;
+        this.simulationTime = 0;
+        const size = this.textureSize;
+        this.textureSize = 0;
+        this.allocate(size);
+    }
+
+    // settings: the (modulated) visualizer settings; audio: { active, color: THREE.Color, bass }
+    update(deltaTime, settings, audio) {
+        this.minLife = settings.particleMinLife;
+        this.maxLife = settings.particleMaxLife;
+        this.emitter = PARTICLE_EMITTERS.includes(settings.particleEmitter) ? settings.particleEmitter : 'shell';
+        this.emitterScale = settings.particleEmitterScale;
+        this.simulationTime += deltaTime;
+        const seed = (this.random() * 1000) + (this.frame++ % 1000);
+        // Living particles keep the color they spawned with, so a new cover (or switching to the emitter) starts a new generation
+        const coverTexture = this.emitter === 'albumArt' ? this.coverTexture : null;
+        const respawnAll = coverTexture !== null && coverTexture !== this.appliedCoverTexture;
+        this.appliedCoverTexture = coverTexture;
+        [this.positionVariable, this.velocityVariable, this.dataVariable, this.colorVariable].forEach(variable => {
+            const uniforms = variable.material.uniforms;
+            uniforms.deltaTime.value = deltaTime;
+            uniforms.seed.value = seed;
+            uniforms.respawnAll.value = respawnAll ? 1 : 0;
+            uniforms.minLife.value = this.minLife;
+            uniforms.maxLife.value = this.maxLife;
+        });
+
+        const position = this.positionVariable.material.uniforms;
+        position.emitterType.value = PARTICLE_EMITTERS.indexOf(this.emitter);
+        position.emitterScale.value = this.emitterScale;
+        if (this.emitterSource) {
+            const sphereUniforms = this.emitterSource.material.uniforms;
+            this.emitterMatrix.copy(this.points.matrixWorld).invert().multiply(this.emitterSource.matrixWorld);
+            position.sphereTime.value = sphereUniforms.time.value;
+            position.sphereBass.value = sphereUniforms.bass.value;
+            position.sphereMid.value = sphereUniforms.mid.value;
+            position.sphereTreble.value = sphereUniforms.treble.value;
+            position.sphereBeat.value = sphereUniforms.beatPulse.value;
+            position.sphereNoiseStrength.value = sphereUniforms.sphereNoiseStrength.value;
+            position.sphereNoiseSpeed.value = sphereUniforms.sphereNoiseSpeed.value;
+        }
+
+        const velocity = this.velocityVariable.material.uniforms;
+        velocity.time.value = this.simulationTime;
+        velocity.curlStrength.value = settings.particleCurlStrength;
+        velocity.curlScale.value = settings.particleCurlScale;
+        velocity.curlSpeed.value = settings.particleCurlSpeed;
+        velocity.attractorStrength.value = settings.particleAttractorStrength;
+        velocity.attractorBassPulse.value = settings.particleAttractorBassPulse;
+        velocity.bass.value = audio.active ? audio.bass : 0;
+        velocity.drag.value = settings.particleDrag;
+
+        this.colorVariable.material.uniforms.audioActive.value = audio.active ? 1 : 0;
+        this.colorVariable.material.uniforms.coverActive.value = coverTexture ? 1 : 0;
+        this.colorVariable.material.uniforms.coverTexture.value = coverTexture;
+        this.colorVariable.material.uniforms.audioColor.value.copy(audio.color);
+        this.gpuCompute.compute();
+        this.bindTextures();
+
+        this.trails.visible = settings.particleTrailLength > 0;
+        this.trailMaterial.uniforms.trailLength.value = settings.particleTrailLength;
+        this.trailMaterial.uniforms.onsetPulse.value = this.material.uniforms.onsetPulse.value;
+    }
+
+    disposeCompute() {
+        if (!this.gpuCompute) return;
+        this.gpuCompute.variables.forEach(variable => variable.material.dispose()); // Not released by GPUComputationRenderer.dispose()
+        this.gpuCompute.dispose();
+        this.gpuCompute = null;
+    }
+
+    dispose() {
+        this.disposeCompute();
+        this.geometry.dispose();
+        this.trailGeometry.dispose();
+        if (this.material.uniforms.pointTexture.value) this.material.uniforms.pointTexture.value.dispose();
+        this.material.dispose();
+        this.trailMaterial.dispose();
+    }
+}
+console.log("src/particles.js: Parsed and GPUParticleSystem class is exported.");
@@ -0,0 +1,247 @@
+const REPEAT_MODES = ['off', 'all', 'one'];
+const AUDIO_FILE_PATTERN = /\.(mp3|wav|ogg|oga|flac|m4a|aac|opus|webm)$/i;
+
+export function isAudioFile(file) {
+    return (file.type && file.type.startsWith('audio/')) || AUDIO_FILE_PATTERN.test(file.name);
+}
+
+export function isLyricsFile(file) {
+    return /\.lrc$/i.test(file.name);
+}
+
+// "Artist - Song.mp3" and "artist - song.LRC" belong together
+function baseName(fileName) {
+    return fileName.replace(/\.[^.]*$/, '').toLowerCase();
+}
+
+export class Playlist {
+    constructor() {
+        console.log("Playlist: constructor called");
+        this.tracks = [];
+        this.currentIndex = -1;
+        this.shuffle = false;
+        this.repeatMode = 'all';
+        this.shuffleOrder = [];
+        this.nextTrackId = 1;
+        this.listeners = [];
+        this.onCurrentRemoved = null; // Called with the track after the removed current one in play order, or null
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    add(files) {
+        const audioFiles = Array.from(files).filter(isAudioFile);
+        audioFiles.forEach(file => {
+            this.tracks.push({ id: this.nextTrackId++, file, name: file.name, lyricsFile: null });
+        });
+        if (this.shuffle) this.rebuildShuffleOrder();
+        console.log(`Playlist: added ${audioFiles.length} track(s), ${this.tracks.length} total`);
+        this.notify();
+        return audioFiles.length;
+    }
+
+    // Pairs .lrc files with queued tracks of the same name, also ones added earlier; returns the tracks that got lyrics
+    attachLyrics(files) {
+        const lyricsFiles = new Map(Array.from(files).filter(isLyricsFile).map(file => [baseName(file.name), file]));
+        if (!lyricsFiles.size) return [];
+        const matched = this.tracks.filter(track => lyricsFiles.has(baseName(track.name)));
+        matched.forEach(track => { track.lyricsFile = lyricsFiles.get(baseName(track.name)); });
+        console.log(`Playlist: ${matched.length} of ${lyricsFiles.size} lyrics file(s) matched a track`);
+        return matched;
+    }
+
+    remove(index) {
+        if (index < 0 || index >= this.tracks.length) return;
+        const removedCurrent = index === this.currentIndex;
+        const order = this.getOrder();
+        const followingTrack = removedCurrent ? this.tracks[order[order.indexOf(index) + 1]] || null : null;
+        this.tracks.splice(index, 1);
+        if (index < this.currentIndex) {
+            this.currentIndex--;
+        } else if (removedCurrent) {
+            this.currentIndex = -1; // Nothing is current until the host selects the following track
+        }
+        // Keep the rest of the shuffled pass as it was
+        if (this.shuffle) this.shuffleOrder = this.shuffleOrder.filter(i => i !== index).map(i => (i > index ? i - 1 : i));
+        this.notify();
+        if (removedCurrent && this.onCurrentRemoved) this.onCurrentRemoved(followingTrack);
+    }
+
+    move(fromIndex, toIndex) {
+        if (fromIndex === toIndex || fromIndex < 0 || toIndex < 0 ||
+            fromIndex >= this.tracks.length || toIndex >= this.tracks.length) return;
+        const currentTrack = this.getCurrentTrack();
+        const [track] = this.tracks.splice(fromIndex, 1);
+        this.tracks.splice(toIndex, 0, track);
+        this.currentIndex = currentTrack ? this.tracks.indexOf(currentTrack) : -1;
+        if (this.shuffle) this.rebuildShuffleOrder();
+        this.notify();
+    }
+
+    clear() {
+        this.tracks = [];
+        this.currentIndex = -1;
+        this.shuffleOrder = [];
+        this.notify();
+    }
+
+    getCurrentTrack() {
+        return this.tracks[this.currentIndex] || null;
+    }
+
+    select(index) {
+        if (index < 0 || index >= this.tracks.length) return null;
+        this.currentIndex = index;
+        this.notify();
+        return this.getCurrentTrack();
+    }
+
+    setShuffle(enabled) {
+        this.shuffle = enabled;
+        if (enabled) this.rebuildShuffleOrder();
+        this.notify();
+    }
+
+    cycleRepeatMode() {
+        this.repeatMode = REPEAT_MODES[(REPEAT_MODES.indexOf(this.repeatMode) + 1) % REPEAT_MODES.length];
+        this.notify();
+        return this.repeatMode;
+    }
+
+    // Playback order as track indices; the current track always leads a fresh shuffle
+    rebuildShuffleOrder() {
+        const order = this.tracks.map((_, i) => i).filter(i => i !== this.currentIndex);
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+        if (this.currentIndex >= 0) order.unshift(this.currentIndex);
+        this.shuffleOrder = order;
+    }
+
+    getOrder() {
+        return this.shuffle ? this.shuffleOrder : this.tracks.map((_, i) => i);
+    }
+
+    // auto = true when called because the current track ended (repeat-one applies only then)
+    next(auto = false) {
+        if (!this.tracks.length) return null;
+        if (auto && this.repeatMode === 'one' && this.currentIndex >= 0) return this.getCurrentTrack();
+
+        let order = this.getOrder();
+        let position = order.indexOf(this.currentIndex) + 1;
+        if (position >= order.length) {
+            if (this.repeatMode === 'off' && auto) return null;
+            if (this.shuffle) {
+                this.currentIndex = -1; // New pass: reshuffle everything
+                this.rebuildShuffleOrder();
+                order = this.shuffleOrder;
+            }
+            position = 0;
+        }
+        return this.select(order[position]);
+    }
+
+    previous() {
+        if (!this.tracks.length) return null;
+        const order = this.getOrder();
+        let position = order.indexOf(this.currentIndex) - 1;
+        if (position < 0) {
+            position = this.repeatMode === 'all' ? order.length - 1 : 0;
+        }
+        return this.select(order[position]);
+    }
+}
+
+// Resolves dropped files and folders (via webkitGetAsEntry) into a flat file list
+export async function collectDroppedFiles(dataTransfer) {
+    const items = Array.from(dataTransfer.items || []);
+    const entries = items.map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null).filter(Boolean);
+    if (!entries.length) return Array.from(dataTransfer.files || []);
+
+    const files = [];
+    const readEntry = async (entry) => {
+        if (entry.isFile) {
+            files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+        } else if (entry.isDirectory) {
+            const reader = entry.createReader();
+            let batch;
+            do { // readEntries returns results in chunks until an empty array
+                batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                for (const child of batch) await readEntry(child);
+            } while (batch.length);
+        }
+    };
+    for (const entry of entries) await readEntry(entry);
+    files.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    return files;
+}
+
+export class PlaylistPanel {
+    constructor(container, playlist, onSelect) {
+        console.log("PlaylistPanel: constructor called");
+        this.container = container;
+        this.playlist = playlist;
+        this.onSelect = onSelect;
+        this.dragIndex = null;
+        this.playlist.onChange(() => this.render());
+        this.render();
+    }
+
+    render() {
+        if (!this.container) return;
+        this.container.innerHTML = '';
+        if (!this.playlist.tracks.length) {
+            const empty = document.createElement('li');
+            empty.className = 'playlist-empty';
+            empty.textContent = 'Queue is empty. Add files or drop a folder.';
+            this.container.appendChild(empty);
+            return;
+        }
+        this.playlist.tracks.forEach((track, index) => {
+            const item = document.createElement('li');
+            item.className = 'playlist-item' + (index === this.playlist.currentIndex ? ' active' : '');
+            item.draggable = true;
+
+            const title = document.createElement('span');
+            title.className = 'playlist-title';
+            title.textContent = `${index + 1}. ${track.name}`;
+            title.addEventListener('click', () => this.onSelect(index));
+
+            const removeButton = document.createElement('button');
+            removeButton.className = 'playlist-remove';
+            removeButton.textContent = '×';
+            removeButton.title = 'Remove from queue';
+            removeButton.addEventListener('click', () => this.playlist.remove(index));
+
+            item.addEventListener('dragstart', (e) => {
+                this.dragIndex = index;
+                e.dataTransfer.effectAllowed = 'move';
+            });
+            item.addEventListener('dragover', (e) => {
+                if (this.dragIndex === null) return;
+                e.preventDefault();
+                e.stopPropagation(); // Keep the window-level file drop handler out of reordering
+            });
+            item.addEventListener('drop', (e) => {
+                if (this.dragIndex === null) return;
+                e.preventDefault();
+                e.stopPropagation();
+                this.playlist.move(this.dragIndex, index);
+                this.dragIndex = null;
+            });
+            item.addEventListener('dragend', () => { this.dragIndex = null; });
+
+            item.appendChild(title);
+            item.appendChild(removeButton);
+            this.container.appendChild(item);
+        });
+    }
+}
+console.log("src/playlist.js: Parsed and Playlist classes are exported.");
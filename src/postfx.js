@@ -0,0 +1,377 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { AfterimagePass } from 'three/addons/postprocessing/AfterimagePass.js';
+import { RGBShiftShader } from 'three/addons/shaders/RGBShiftShader.js';
+import { KaleidoShader } from 'three/addons/shaders/KaleidoShader.js';
+import { VignetteShader } from 'three/addons/shaders/VignetteShader.js';
+
+const FULLSCREEN_VERTEX_SHADER = `
+    varying vec2 vUv;
+    void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+// The classic film shader with scanlines; three's current FilmPass only has noise and grayscale
+const FilmShader = {
+    uniforms: {
+        tDiffuse: { value: null },
+        time: { value: 0 },
+        nIntensity: { value: 0.35 },
+        sIntensity: { value: 0.25 },
+        sCount: { value: 648 },
+        grayscale: { value: false }
+    },
+    vertexShader: FULLSCREEN_VERTEX_SHADER,
+    fragmentShader: `
+        #include <common>
+        uniform sampler2D tDiffuse;
+        uniform float time;
+        uniform float nIntensity;
+        uniform float sIntensity;
+        uniform float sCount;
+        uniform bool grayscale;
+        varying vec2 vUv;
+        void main() {
+            vec4 base = texture2D(tDiffuse, vUv);
+            float dx = rand(vUv + time);
+            vec3 result = base.rgb + base.rgb * clamp(0.1 + dx, 0.0, 1.0);
+            vec2 sc = vec2(sin(vUv.y * sCount), cos(vUv.y * sCount));
+            result += base.rgb * vec3(sc.x, sc.y, sc.x) * sIntensity;
+            result = base.rgb + clamp(nIntensity, 0.0, 1.0) * (result - base.rgb);
+            if (grayscale) result = vec3(result.r * 0.3 + result.g * 0.59 + result.b * 0.11);
+            gl_FragColor = vec4(result, base.a);
+        }
+    `
+};
+
+// Radial color fringing that grows towards the screen edges
+const ChromaticAberrationShader = {
+    uniforms: {
+        tDiffuse: { value: null },
+        amount: { value: 0.006 }
+    },
+    vertexShader: FULLSCREEN_VERTEX_SHADER,
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform float amount;
+        varying vec2 vUv;
+        void main() {
+            vec2 offset = (vUv - 0.5) * amount;
+            vec4 base = texture2D(tDiffuse, vUv);
+            gl_FragColor = vec4(texture2D(tDiffuse, vUv + offset).r, base.g, texture2D(tDiffuse, vUv - offset).b, base.a);
+        }
+    `
+};
+
+// Deterministic in `time` (unlike three's GlitchPass), so offline renders repeat exactly
+const GlitchShader = {
+    uniforms: {
+        tDiffuse: { value: null },
+        time: { value: 0 },
+        amount: { value: 0.3 },
+        lines: { value: 24 }
+    },
+    vertexShader: FULLSCREEN_VERTEX_SHADER,
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform float time;
+        uniform float amount;
+        uniform float lines;
+        varying vec2 vUv;
+        float hash(vec2 p) {
+            return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+        }
+        void main() {
+            vec2 uv = vUv;
+            float band = floor(uv.y * lines);
+            float tick = floor(time * 12.0);
+            float r = hash(vec2(band, tick));
+            if (r < amount * 0.5) uv.x = fract(uv.x + (hash(vec2(tick, band)) - 0.5) * amount * 0.3);
+            float split = amount * 0.015 * r;
+            vec4 base = texture2D(tDiffuse, uv);
+            gl_FragColor = vec4(texture2D(tDiffuse, uv + vec2(split, 0.0)).r, base.g, texture2D(tDiffuse, uv - vec2(split, 0.0)).b, base.a);
+        }
+    `
+};
+
+const ColorGradeShader = {
+    uniforms: {
+        tDiffuse: { value: null },
+        brightness: { value: 0 },
+        contrast: { value: 0 },
+        saturation: { value: 0 },
+        hue: { value: 0 }
+    },
+    vertexShader: FULLSCREEN_VERTEX_SHADER,
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform float brightness;
+        uniform float contrast;
+        uniform float saturation;
+        uniform float hue;
+        varying vec2 vUv;
+        void main() {
+            vec4 base = texture2D(tDiffuse, vUv);
+            vec3 color = base.rgb + brightness;
+            color = contrast > 0.0 ? (color - 0.5) / (1.0 - contrast) + 0.5 : (color - 0.5) * (1.0 + contrast) + 0.5;
+            float angle = hue * 3.14159265;
+            float s = sin(angle), c = cos(angle);
+            vec3 weights = (vec3(2.0 * c, -sqrt(3.0) * s - c, sqrt(3.0) * s - c) + 1.0) / 3.0;
+            color = vec3(dot(color, weights.xyz), dot(color, weights.zxy), dot(color, weights.yzx));
+            float luminance = dot(color, vec3(0.2126, 0.7152, 0.0722));
+            color = mix(vec3(luminance), color, 1.0 + saturation);
+            gl_FragColor = vec4(max(color, 0.0), base.a);
+        }
+    `
+};
+
+// Each pass type owns flat settings keys so every parameter is a modulation target and lives in presets.
+// params: [key, label, min, max, step]; booleans have no range.
+export const POST_FX_PASSES = {
+    bloom: {
+        label: 'Bloom',
+        params: [
+            ['bloomStrength', 'Base Strength', 0, 5],
+            ['bloomRadius', 'Radius', 0, 2],
+            ['bloomThreshold', 'Threshold', 0, 1],
+            ['audioBloomFactor', 'Audio Boost', 0, 5]
+        ],
+        create: (size, settings) => new UnrealBloomPass(size, settings.bloomStrength, settings.bloomRadius, settings.bloomThreshold),
+        update: (pass, settings, frame) => {
+            pass.strength = frame.bloomStrength;
+            pass.radius = settings.bloomRadius;
+            pass.threshold = settings.bloomThreshold;
+        }
+    },
+    film: {
+        label: 'Film',
+        params: [
+            ['filmNoiseIntensity', 'Noise Intensity', 0, 1],
+            ['filmScanlinesIntensity', 'Scanlines Intensity', 0, 1],
+            ['filmScanlinesCount', 'Scanlines Count', 50, 2048, 1],
+            ['filmGrayscale', 'Grayscale']
+        ],
+        create: () => new ShaderPass(FilmShader),
+        update: (pass, settings, frame) => {
+            pass.uniforms.time.value = frame.time;
+            pass.uniforms.nIntensity.value = settings.filmNoiseIntensity;
+            pass.uniforms.sIntensity.value = settings.filmScanlinesIntensity;
+            pass.uniforms.sCount.value = settings.filmScanlinesCount;
+            pass.uniforms.grayscale.value = settings.filmGrayscale;
+        }
+    },
+    chromaticAberration: {
+        label: 'Chromatic Aberration',
+        params: [['chromaticAmount', 'Amount', 0, 0.05, 0.0005]],
+        create: () => new ShaderPass(ChromaticAberrationShader),
+        update: (pass, settings) => {
+            pass.uniforms.amount.value = settings.chromaticAmount;
+        }
+    },
+    rgbShift: {
+        label: 'RGB Shift',
+        params: [
+            ['rgbShiftAmount', 'Amount', 0, 0.05, 0.0005],
+            ['rgbShiftAngle', 'Angle', 0, Math.PI * 2, 0.01]
+        ],
+        create: () => new ShaderPass(RGBShiftShader),
+        update: (pass, settings) => {
+            pass.uniforms.amount.value = settings.rgbShiftAmount;
+            pass.uniforms.angle.value = settings.rgbShiftAngle;
+        }
+    },
+    afterimage: {
+        label: 'Afterimage Trails',
+        params: [['afterimageDamp', 'Persistence', 0, 0.99, 0.01]],
+        create: (size, settings) => new AfterimagePass(settings.afterimageDamp),
+        update: (pass, settings) => {
+            pass.uniforms.damp.value = settings.afterimageDamp;
+        }
+    },
+    kaleidoscope: {
+        label: 'Kaleidoscope',
+        params: [
+            ['kaleidoSides', 'Sides', 2, 16, 1],
+            ['kaleidoAngle', 'Angle', 0, Math.PI * 2, 0.01]
+        ],
+        create: () => new ShaderPass(KaleidoShader),
+        update: (pass, settings) => {
+            pass.uniforms.sides.value = settings.kaleidoSides;
+            pass.uniforms.angle.value = settings.kaleidoAngle;
+        }
+    },
+    glitch: {
+        label: 'Glitch',
+        params: [
+            ['glitchAmount', 'Amount', 0, 1, 0.01],
+            ['glitchLines', 'Bands', 2, 128, 1]
+        ],
+        create: () => new ShaderPass(GlitchShader),
+        update: (pass, settings, frame) => {
+            pass.uniforms.time.value = frame.time;
+            pass.uniforms.amount.value = settings.glitchAmount;
+            pass.uniforms.lines.value = settings.glitchLines;
+        }
+    },
+    vignette: {
+        label: 'Vignette',
+        params: [
+            ['vignetteOffset', 'Offset', 0, 2, 0.01],
+            ['vignetteDarkness', 'Darkness', 0, 3, 0.01]
+        ],
+        create: () => new ShaderPass(VignetteShader),
+        update: (pass, settings) => {
+            pass.uniforms.offset.value = settings.vignetteOffset;
+            pass.uniforms.darkness.value = settings.vignetteDarkness;
+        }
+    },
+    colorGrade: {
+        label: 'Color Grading',
+        params: [
+            ['gradeBrightness', 'Brightness', -0.5, 0.5, 0.01],
+            ['gradeContrast', 'Contrast', -0.9, 0.9, 0.01],
+            ['gradeSaturation', 'Saturation', -1, 1, 0.01],
+            ['gradeHue', 'Hue Shift', -1, 1, 0.01]
+        ],
+        create: () => new ShaderPass(ColorGradeShader),
+        update: (pass, settings) => {
+            pass.uniforms.brightness.value = settings.gradeBrightness;
+            pass.uniforms.contrast.value = settings.gradeContrast;
+            pass.uniforms.saturation.value = settings.gradeSaturation;
+            pass.uniforms.hue.value = settings.gradeHue;
+        }
+    }
+};
+
+export const POST_FX_DEFAULTS = {
+    bloomStrength: 0.8,
+    bloomRadius: 0.7,
+    bloomThreshold: 0.8,
+    audioBloomFactor: 1.2,
+    filmNoiseIntensity: 0.35,
+    filmScanlinesIntensity: 0.25,
+    filmScanlinesCount: 648,
+    filmGrayscale: false,
+    chromaticAmount: 0.006,
+    rgbShiftAmount: 0.004,
+    rgbShiftAngle: 0,
+    afterimageDamp: 0.85,
+    kaleidoSides: 6,
+    kaleidoAngle: 0,
+    glitchAmount: 0.3,
+    glitchLines: 24,
+    vignetteOffset: 1.0,
+    vignetteDarkness: 1.2,
+    gradeBrightness: 0,
+    gradeContrast: 0,
+    gradeSaturation: 0,
+    gradeHue: 0
+};
+
+// Matches the fixed RenderPass -> bloom -> film chain this stack replaced
+export const DEFAULT_POST_FX_STACK = [
+    { type: 'bloom', enabled: true },
+    { type: 'film', enabled: true }
+];
+
+// One entry per known pass type, in stack order
+export function sanitizePostFxStack(stack) {
+    if (!Array.isArray(stack)) return structuredClone(DEFAULT_POST_FX_STACK);
+    const seen = new Set();
+    return stack
+        .filter(entry => entry && POST_FX_PASSES[entry.type] && !seen.has(entry.type) && seen.add(entry.type))
+        .map(entry => ({ type: entry.type, enabled: entry.enabled !== false }));
+}
+
+// Owns the EffectComposer; passes are created on first use and kept while they stay in the stack
+export class PostFxChain {
+    constructor(renderer, scene, camera) {
+        console.log("PostFxChain: constructor called");
+        this.renderer = renderer;
+        this.composer = new EffectComposer(renderer);
+        this.renderPass = new RenderPass(scene, camera);
+        this.composer.addPass(this.renderPass);
+        this.passes = new Map(); // type -> pass instance
+        this.stack = [];
+        this.bloomScale = 1; // Bloom resolution relative to the output, lowered by the quality governor
+    }
+
+    setStack(stack) {
+        const types = stack.map(entry => entry.type);
+        this.passes.forEach((pass, type) => {
+            if (!types.includes(type)) {
+                this.composer.removePass(pass);
+                pass.dispose();
+                this.passes.delete(type);
+            }
+        });
+        this.composer.passes.slice(1).forEach(pass => this.composer.removePass(pass));
+        this.stack = stack;
+        stack.forEach(entry => {
+            let pass = this.passes.get(entry.type);
+            if (!pass) {
+                pass = POST_FX_PASSES[entry.type].create(this.getSize(), this.settings || POST_FX_DEFAULTS);
+                this.passes.set(entry.type, pass);
+            }
+            pass.enabled = entry.enabled;
+            this.composer.addPass(pass);
+        });
+        this.applyBloomScale(); // addPass sized the bloom pass to the full output
+        console.log(`PostFxChain: stack is now ${stack.map(e => e.type + (e.enabled ? '' : ' (bypassed)')).join(' -> ') || 'empty'}`);
+    }
+
+    getSize() {
+        return this.renderer.getDrawingBufferSize(new THREE.Vector2());
+    }
+
+    getPass(type) {
+        return this.passes.get(type) || null;
+    }
+
+    // frame: { time, bloomStrength }
+    update(settings, frame) {
+        this.settings = settings;
+        this.stack.forEach(entry => {
+            if (entry.enabled) POST_FX_PASSES[entry.type].update(this.passes.get(entry.type), settings, frame);
+        });
+    }
+
+    setSize(width, height) {
+        this.composer.setSize(width, height);
+        this.applyBloomScale();
+    }
+
+    // The composer reads the renderer's pixel ratio only once, so changes have to be passed on
+    setPixelRatio(pixelRatio) {
+        this.composer.setPixelRatio(pixelRatio);
+        this.applyBloomScale();
+    }
+
+    setBloomScale(scale) {
+        this.bloomScale = scale;
+        this.applyBloomScale();
+    }
+
+    applyBloomScale() {
+        const bloom = this.passes.get('bloom');
+        if (!bloom) return;
+        const size = this.getSize();
+        bloom.setSize(size.x * this.bloomScale, size.y * this.bloomScale);
+    }
+
+    render() {
+        this.composer.render();
+    }
+
+    dispose() {
+        this.passes.forEach(pass => pass.dispose());
+        this.passes.clear();
+        this.composer.dispose();
+    }
+}
+console.log("src/postfx.js: Parsed and PostFxChain is exported.");
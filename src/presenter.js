@@ -0,0 +1,254 @@
+export const PRESENTER_CHANNEL_NAME = 'synthesia-presenter';
+export const OUTPUT_WINDOW_NAME = 'synthesia-output';
+
+const STATUS_INTERVAL_MS = 1000;
+const OUTPUT_TIMEOUT_MS = 3000; // Output counts as lost when no status arrived for this long
+
+// Messages on the BroadcastChannel (same origin only, structured clone so typed arrays pass as-is):
+//   operator -> output: { type: 'frame', sentAt, deltaTime, audioData, settings, camera, songSignals, trackTime, nowPlaying }
+//                       every rendered frame; nowPlaying is { visible, showLyrics } of the track overlay
+//                       { type: 'trackInfo', info } with the track's title, artist, album, cover (Blob or null) and lyrics when it changes
+//                       { type: 'close' } when presenter mode is turned off
+//   output -> operator: { type: 'hello' } on load, { type: 'status', fps, width, height, latency, merged } every second,
+//                       { type: 'bye' } when the output window goes away
+// The output runs its own Visualizer on the operator's base settings and analysed audio, so only
+// a few kilobytes cross per frame and both windows stay in step without sharing a GPU context.
+
+// Milliseconds on a clock shared by all windows (performance.now() starts per document)
+function sharedNow() {
+    return performance.timeOrigin + performance.now();
+}
+
+// Operator side: streams frames to the output window and tracks its health for the diagnostics readout
+export class PresenterLink {
+    constructor() {
+        console.log("PresenterLink: constructor called");
+        this.channel = null;
+        this.outputWindow = null;
+        this.active = false;
+        this.lastStatus = null;
+        this.lastStatusAt = 0;
+        this.onOutputConnected = null; // An output window announced itself (also one opened by hand)
+        this.onOutputClosed = null;
+        if (typeof BroadcastChannel === 'undefined') {
+            console.warn("PresenterLink: BroadcastChannel is not supported, presenter mode unavailable.");
+            return;
+        }
+        this.channel = new BroadcastChannel(PRESENTER_CHANNEL_NAME);
+        this.channel.onmessage = (event) => this.receive(event.data);
+    }
+
+    static isSupported() {
+        return typeof BroadcastChannel !== 'undefined';
+    }
+
+    // Must run from a user gesture or the popup is blocked
+    openOutput(url) {
+        if (!this.channel) return false;
+        if (this.outputWindow && !this.outputWindow.closed) {
+            this.outputWindow.focus();
+        } else {
+            this.outputWindow = window.open(url, OUTPUT_WINDOW_NAME, 'popup,width=1280,height=720');
+            if (!this.outputWindow) return false;
+        }
+        this.active = true;
+        this.lastStatusAt = sharedNow(); // Grace period while the window loads
+        return true;
+    }
+
+    closeOutput() {
+        if (this.channel) this.channel.postMessage({ type: 'close' });
+        if (this.outputWindow && !this.outputWindow.closed) this.outputWindow.close();
+        this.outputWindow = null;
+        this.active = false;
+        this.lastStatus = null;
+    }
+
+    receive(message) {
+        if (!message || typeof message.type !== 'string') return;
+        switch (message.type) {
+            case 'hello':
+                this.active = true;
+                this.lastStatusAt = sharedNow();
+                console.log("PresenterLink: output window connected");
+                if (this.onOutputConnected) this.onOutputConnected();
+                break;
+            case 'status':
+                this.lastStatus = message;
+                this.lastStatusAt = sharedNow();
+                break;
+            case 'bye':
+                this.handleOutputClosed();
+                break;
+        }
+    }
+
+    handleOutputClosed() {
+        if (!this.active) return;
+        console.log("PresenterLink: output window closed");
+        this.active = false;
+        this.outputWindow = null;
+        this.lastStatus = null;
+        if (this.onOutputClosed) this.onOutputClosed();
+    }
+
+    // Sends what the operator's visualizer just rendered with; the output has no track or song analysis of its own
+    sendFrame(deltaTime, audioData, visualizer) {
+        if (!this.active) return;
+        if (this.outputWindow && this.outputWindow.closed) {
+            this.handleOutputClosed();
+            return;
+        }
+        this.channel.postMessage({
+            type: 'frame',
+            sentAt: sharedNow(),
+            deltaTime,
+            audioData,
+            settings: visualizer.settings,
+            camera: visualizer.cameraDirector.captureBookmark(),
+            songSignals: visualizer.songSignals,
+            trackTime: visualizer.trackTime,
+            nowPlaying: { visible: visualizer.nowPlaying.visible, showLyrics: visualizer.nowPlaying.showLyrics }
+        });
+    }
+
+    // The output draws its own track overlay and needs the cover for its sphere shader and particle emitter; frames don't carry them
+    sendTrackInfo(info) {
+        if (!this.active) return;
+        this.channel.postMessage({ type: 'trackInfo', info });
+    }
+
+    isOutputResponding() {
+        return this.active && sharedNow() - this.lastStatusAt < OUTPUT_TIMEOUT_MS;
+    }
+
+    describe(previewFps) {
+        const preview = `Preview ${Math.round(previewFps)} fps`;
+        if (!this.active) return `Output: not connected · ${preview}`;
+        const status = this.lastStatus;
+        if (!this.isOutputResponding() || !status) return `Output: waiting for window... · ${preview}`;
+        return `Output ${status.width}×${status.height} · ${Math.round(status.fps)} fps · ` +
+            `latency ${status.latency.toFixed(1)} ms · merged ${status.merged} · ${preview}`;
+    }
+}
+
+// Output side: renders whatever the operator sends; the page itself has no controls
+export class PresenterOutput {
+    constructor(visualizer) {
+        console.log("PresenterOutput: constructor called");
+        this.visualizer = visualizer;
+        this.channel = new BroadcastChannel(PRESENTER_CHANNEL_NAME);
+        this.channel.onmessage = (event) => this.receive(event.data);
+        this.pending = null; // Frames received since the last render, merged into one
+        this.framesRendered = 0;
+        this.framesMerged = 0;
+        this.latencyTotal = 0;
+        this.latencySamples = 0;
+        this.statusTimer = null;
+        this.animationFrameId = null;
+        this.cursorTimer = null;
+    }
+
+    start() {
+        this.visualizer.setOverlaysVisible(false);
+        this.visualizer.controls.enabled = false;
+        this.channel.postMessage({ type: 'hello' });
+        this.statusTimer = setInterval(() => this.sendStatus(), STATUS_INTERVAL_MS);
+        window.addEventListener('pagehide', () => this.channel.postMessage({ type: 'bye' }));
+        window.addEventListener('dblclick', () => this.toggleFullscreen());
+        window.addEventListener('keydown', (e) => {
+            if (e.key === 'f' || e.key === 'F') this.toggleFullscreen();
+        });
+        window.addEventListener('mousemove', () => this.showCursorBriefly());
+        this.showCursorBriefly();
+        const render = () => {
+            this.animationFrameId = requestAnimationFrame(render);
+            this.renderPending();
+        };
+        render();
+    }
+
+    receive(message) {
+        if (!message || typeof message.type !== 'string') return;
+        if (message.type === 'close') {
+            window.close();
+            return;
+        }
+        if (message.type === 'trackInfo') {
+            this.visualizer.setTrackInfo(message.info);
+            return;
+        }
+        if (message.type !== 'frame') return;
+        this.latencyTotal += sharedNow() - message.sentAt;
+        this.latencySamples++;
+        if (!this.pending) {
+            this.pending = message;
+            return;
+        }
+        // The operator rendered faster than we did: keep its clock and don't lose beats in between
+        this.framesMerged++;
+        const previous = this.pending;
+        message.deltaTime += previous.deltaTime;
+        const previousBeat = previous.audioData && previous.audioData.beat;
+        const beat = message.audioData && message.audioData.beat;
+        if (previousBeat && beat) {
+            beat.isBeat = beat.isBeat || previousBeat.isBeat;
+            Object.keys(previousBeat.onsets || {}).forEach(name => {
+                beat.onsets[name] = beat.onsets[name] || previousBeat.onsets[name];
+            });
+        }
+        this.pending = message;
+    }
+
+    renderPending() {
+        const frame = this.pending;
+        if (!frame) return;
+        this.pending = null;
+        const visualizer = this.visualizer;
+        Object.assign(visualizer.settings, frame.settings);
+        Object.assign(visualizer.songSignals, frame.songSignals);
+        visualizer.setCameraOverride(frame.camera);
+        visualizer.setTrackTime(frame.trackTime);
+        visualizer.nowPlaying.setVisible(frame.nowPlaying.visible);
+        visualizer.nowPlaying.setShowLyrics(frame.nowPlaying.showLyrics);
+        try {
+            visualizer.animateScene(Math.min(0.1, frame.deltaTime), frame.audioData);
+        } catch (err) {
+            console.error('PresenterOutput: error rendering frame:', err);
+        }
+        this.framesRendered++;
+    }
+
+    sendStatus() {
+        const seconds = STATUS_INTERVAL_MS / 1000;
+        const size = this.visualizer.getViewSize();
+        this.channel.postMessage({
+            type: 'status',
+            fps: this.framesRendered / seconds,
+            width: size.width,
+            height: size.height,
+            latency: this.latencySamples ? this.latencyTotal / this.latencySamples : 0,
+            merged: this.framesMerged
+        });
+        this.framesRendered = 0;
+        this.framesMerged = 0;
+        this.latencyTotal = 0;
+        this.latencySamples = 0;
+    }
+
+    toggleFullscreen() {
+        if (document.fullscreenElement) {
+            document.exitFullscreen();
+        } else {
+            document.documentElement.requestFullscreen().catch(err => console.warn("PresenterOutput: fullscreen refused:", err));
+        }
+    }
+
+    // Hide the pointer on the projector unless it's being moved
+    showCursorBriefly() {
+        document.body.style.cursor = '';
+        clearTimeout(this.cursorTimer);
+        this.cursorTimer = setTimeout(() => { document.body.style.cursor = 'none'; }, 2000);
+    }
+}
+console.log("src/presenter.js: Parsed and PresenterLink/PresenterOutput classes are exported.");
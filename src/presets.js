@@ -0,0 +1,181 @@
+const LIBRARY_STORAGE_KEY = 'visualizerPresetLibrary_v2';
+const LEGACY_STORAGE_KEY = 'visualizerPreset_v1';
+export const PRESET_FORMAT_VERSION = 2;
+const URL_HASH_PREFIX = '#preset=';
+
+// Checks raw settings against the defaults: wrong types and unknown keys are reported, not silently dropped
+export function validateSettings(rawSettings, defaults) {
+    const settings = {};
+    const warnings = [];
+    if (!rawSettings || typeof rawSettings !== 'object' || Array.isArray(rawSettings)) {
+        return { settings: { ...defaults }, warnings: ['Preset has no settings object; using defaults.'] };
+    }
+    for (const [key, defaultValue] of Object.entries(defaults)) {
+        if (!Object.prototype.hasOwnProperty.call(rawSettings, key)) {
+            warnings.push(`"${key}" missing, using default ${JSON.stringify(defaultValue)}.`);
+            settings[key] = defaultValue;
+            continue;
+        }
+        const value = rawSettings[key];
+        const sameType = typeof value === typeof defaultValue &&
+            (typeof value !== 'number' || Number.isFinite(value)) &&
+            Array.isArray(value) === Array.isArray(defaultValue);
+        if (sameType) {
+            settings[key] = value;
+        } else {
+            warnings.push(`"${key}" has invalid value ${JSON.stringify(value)}, using default.`);
+            settings[key] = defaultValue;
+        }
+    }
+    Object.keys(rawSettings)
+        .filter(key => !Object.prototype.hasOwnProperty.call(defaults, key))
+        .forEach(key => warnings.push(`Unknown setting "${key}" ignored.`));
+    return { settings, warnings };
+}
+
+// Turns any supported preset shape into { name, settings } entries (not yet validated)
+export function migratePresetData(data, fallbackName = 'Imported') {
+    if (!data || typeof data !== 'object') throw new Error("Preset file is not a JSON object.");
+    if (data.presets && typeof data.presets === 'object') { // v2 library export
+        return Object.entries(data.presets).map(([name, preset]) => ({ name, settings: preset.settings }));
+    }
+    if (data.settings && typeof data.settings === 'object') { // v2 single preset
+        return [{ name: data.name || fallbackName, settings: data.settings }];
+    }
+    return [{ name: fallbackName, settings: data }]; // v1: the settings object itself
+}
+
+export function encodePresetForUrl(name, settings) {
+    const json = JSON.stringify({ version: PRESET_FORMAT_VERSION, name, settings });
+    const bytes = new TextEncoder().encode(json);
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return URL_HASH_PREFIX + btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function decodePresetFromUrl(hash) {
+    if (!hash || !hash.startsWith(URL_HASH_PREFIX)) return null;
+    const base64 = hash.slice(URL_HASH_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+export class PresetLibrary {
+    constructor(storage = window.localStorage) {
+        console.log("PresetLibrary: constructor called");
+        this.storage = storage;
+        this.presets = {};
+        this.lastUsed = null;
+        this.load();
+    }
+
+    load() {
+        try {
+            const json = this.storage.getItem(LIBRARY_STORAGE_KEY);
+            if (json) {
+                const data = JSON.parse(json);
+                this.presets = data.presets || {};
+                this.lastUsed = data.lastUsed || null;
+            }
+            const legacyJson = this.storage.getItem(LEGACY_STORAGE_KEY);
+            if (legacyJson) {
+                // One-time import of the single preset older versions stored; the old key goes away
+                // afterwards so deleting or renaming "Saved (v1)" sticks
+                if (!this.presets['Saved (v1)']) {
+                    this.presets['Saved (v1)'] = { version: 1, settings: JSON.parse(legacyJson), savedAt: Date.now() };
+                    this.lastUsed = this.lastUsed || 'Saved (v1)';
+                    this.persist();
+                    console.log("PresetLibrary: Migrated legacy preset into library");
+                }
+                this.storage.removeItem(LEGACY_STORAGE_KEY);
+            }
+        } catch (e) {
+            console.error("PresetLibrary: Error reading preset library from localStorage:", e);
+        }
+    }
+
+    persist() {
+        this.storage.setItem(LIBRARY_STORAGE_KEY, JSON.stringify({
+            version: PRESET_FORMAT_VERSION,
+            lastUsed: this.lastUsed,
+            presets: this.presets
+        }));
+    }
+
+    list() {
+        return Object.keys(this.presets).sort((a, b) => a.localeCompare(b));
+    }
+
+    has(name) {
+        return Object.prototype.hasOwnProperty.call(this.presets, name);
+    }
+
+    get(name) {
+        return this.has(name) ? this.presets[name] : null;
+    }
+
+    save(name, settings) {
+        if (!name || !name.trim()) throw new Error("Preset name cannot be empty.");
+        this.presets[name.trim()] = { version: PRESET_FORMAT_VERSION, settings: JSON.parse(JSON.stringify(settings)), savedAt: Date.now() };
+        this.lastUsed = name.trim();
+        this.persist();
+    }
+
+    rename(oldName, newName) {
+        if (!this.has(oldName)) throw new Error(`Preset "${oldName}" does not exist.`);
+        if (!newName || !newName.trim()) throw new Error("Preset name cannot be empty.");
+        newName = newName.trim();
+        if (newName === oldName) return;
+        if (this.has(newName)) throw new Error(`A preset named "${newName}" already exists.`);
+        this.presets[newName] = this.presets[oldName];
+        delete this.presets[oldName];
+        if (this.lastUsed === oldName) this.lastUsed = newName;
+        this.persist();
+    }
+
+    delete(name) {
+        if (!this.has(name)) return;
+        delete this.presets[name];
+        if (this.lastUsed === name) this.lastUsed = null;
+        this.persist();
+    }
+
+    markUsed(name) {
+        this.lastUsed = name;
+        this.persist();
+    }
+
+    // Picks a free name like "Name (2)" so imports never overwrite existing presets
+    uniqueName(name) {
+        if (!this.has(name)) return name;
+        let counter = 2;
+        while (this.has(`${name} (${counter})`)) counter++;
+        return `${name} (${counter})`;
+    }
+
+    exportJSON(names = this.list()) {
+        const presets = {};
+        names.filter(name => this.has(name)).forEach(name => {
+            presets[name] = { ...this.presets[name], version: PRESET_FORMAT_VERSION };
+        });
+        return JSON.stringify({ version: PRESET_FORMAT_VERSION, presets }, null, 2);
+    }
+
+    // Returns { imported: [names], warnings: [strings] }
+    importJSON(json, defaults, fallbackName) {
+        const entries = migratePresetData(JSON.parse(json), fallbackName);
+        const imported = [];
+        const warnings = [];
+        entries.forEach(entry => {
+            const result = validateSettings(entry.settings, defaults);
+            const name = this.uniqueName(entry.name);
+            result.warnings.forEach(warning => warnings.push(`${name}: ${warning}`));
+            this.presets[name] = { version: PRESET_FORMAT_VERSION, settings: result.settings, savedAt: Date.now() };
+            imported.push(name);
+        });
+        this.persist();
+        return { imported, warnings };
+    }
+}
+console.log("src/presets.js: Parsed and PresetLibrary class is exported.");
@@ -0,0 +1,136 @@
+const QUALITY_STORAGE_KEY = 'visualizerQuality_v1';
+const MEASURE_WINDOW_MS = 1000;      // Frame rate is judged over one-second windows
+const MAX_FRAME_GAP_MS = 250;        // Longer gaps are a hidden tab or a stall, not a slow frame
+const SLOW_FPS_FRACTION = 0.9;       // Below 90% of the target counts as too slow...
+const FAST_FPS_FRACTION = 0.97;      // ...at 97% or more there's headroom (vsync caps us at the target)
+const SLOW_WINDOWS_TO_STEP_DOWN = 2;
+const FAST_WINDOWS_TO_STEP_UP = 5;
+const MAX_FAST_WINDOWS_TO_STEP_UP = 80; // Backoff limit for levels that keep failing
+const SETTLE_WINDOWS = 1;            // Ignore the window right after a change (shader compiles, reallocation)
+const PROBATION_WINDOWS = 10;        // Dropping back this soon after a step up makes the next step up wait longer
+
+// Best first. maxPixelRatio caps window.devicePixelRatio; bloomScale is the bloom pass resolution
+// relative to the output; particleScale multiplies settings.particleCount; sphereDetail is the
+// icosahedron subdivision of the orb.
+export const QUALITY_LEVELS = [
+    { name: 'Ultra', maxPixelRatio: Infinity, bloomScale: 1, particleScale: 1, sphereDetail: 15 },
+    { name: 'High', maxPixelRatio: 1.5, bloomScale: 0.75, particleScale: 0.75, sphereDetail: 12 },
+    { name: 'Medium', maxPixelRatio: 1, bloomScale: 0.5, particleScale: 0.5, sphereDetail: 8 },
+    { name: 'Low', maxPixelRatio: 0.75, bloomScale: 0.35, particleScale: 0.3, sphereDetail: 5 },
+    { name: 'Minimum', maxPixelRatio: 0.5, bloomScale: 0.25, particleScale: 0.15, sphereDetail: 3 }
+];
+
+// Steps QUALITY_LEVELS down while frames come in slower than the target and back up when there's
+// headroom. Locking keeps the current level. The preference is per machine, so it lives in its own
+// storage key rather than in presets.
+export class QualityGovernor {
+    constructor(storage = window.localStorage) {
+        console.log("QualityGovernor: constructor called");
+        this.storage = storage;
+        const stored = this.load();
+        this.locked = stored.locked === true;
+        this.targetFps = Number.isFinite(stored.targetFps) ? Math.min(144, Math.max(20, stored.targetFps)) : 60;
+        this.level = Number.isInteger(stored.level) && QUALITY_LEVELS[stored.level] ? stored.level : 0;
+        this.fps = 0; // Frame rate of the last complete window
+        this.onLevelChanged = null; // Called with the new QUALITY_LEVELS entry
+        this.onMeasured = null; // Called after every measuring window, e.g. to refresh a readout
+        this.resetMeasurement();
+    }
+
+    load() {
+        try {
+            return JSON.parse(this.storage.getItem(QUALITY_STORAGE_KEY)) || {};
+        } catch (e) {
+            console.error("QualityGovernor: Error reading quality settings from localStorage:", e);
+            return {};
+        }
+    }
+
+    persist() {
+        this.storage.setItem(QUALITY_STORAGE_KEY, JSON.stringify({ locked: this.locked, targetFps: this.targetFps, level: this.level }));
+    }
+
+    resetMeasurement() {
+        this.lastFrameAt = null;
+        this.windowTime = 0;
+        this.windowFrames = 0;
+        this.slowWindows = 0;
+        this.fastWindows = 0;
+        this.settleWindows = SETTLE_WINDOWS;
+        this.windowsSinceStepUp = Infinity;
+        this.fastWindowsNeeded = FAST_WINDOWS_TO_STEP_UP;
+    }
+
+    getLevel() {
+        return QUALITY_LEVELS[this.level];
+    }
+
+    setLocked(locked) {
+        this.locked = locked;
+        this.resetMeasurement();
+        this.persist();
+    }
+
+    setTargetFps(fps) {
+        this.targetFps = fps;
+        this.resetMeasurement();
+        this.persist();
+    }
+
+    // Picking a level by hand; with the governor unlocked it carries on from there
+    setLevel(index) {
+        if (!QUALITY_LEVELS[index] || index === this.level) return;
+        this.level = index;
+        this.settleWindows = SETTLE_WINDOWS;
+        this.persist();
+        console.log(`QualityGovernor: quality ${QUALITY_LEVELS[index].name}`);
+        if (this.onLevelChanged) this.onLevelChanged(QUALITY_LEVELS[index]);
+    }
+
+    // Call once per rendered frame with a millisecond timestamp
+    sample(now) {
+        const gap = this.lastFrameAt === null ? 0 : now - this.lastFrameAt;
+        this.lastFrameAt = now;
+        if (gap <= 0 || gap > MAX_FRAME_GAP_MS) return;
+        this.windowTime += gap;
+        this.windowFrames++;
+        if (this.windowTime < MEASURE_WINDOW_MS) return;
+        this.fps = this.windowFrames * 1000 / this.windowTime;
+        this.windowTime = 0;
+        this.windowFrames = 0;
+        this.windowsSinceStepUp++;
+        if (this.onMeasured) this.onMeasured(this.fps);
+        if (this.locked) return;
+        if (this.settleWindows > 0) {
+            this.settleWindows--;
+            return;
+        }
+        const slow = this.fps < this.targetFps * SLOW_FPS_FRACTION;
+        const fast = this.fps >= this.targetFps * FAST_FPS_FRACTION;
+        this.slowWindows = slow ? this.slowWindows + 1 : 0;
+        this.fastWindows = fast ? this.fastWindows + 1 : 0;
+
+        if (this.slowWindows >= SLOW_WINDOWS_TO_STEP_DOWN && this.level < QUALITY_LEVELS.length - 1) {
+            // The level above didn't hold the target, so wait longer before trying it again
+            if (this.windowsSinceStepUp <= PROBATION_WINDOWS) {
+                this.fastWindowsNeeded = Math.min(MAX_FAST_WINDOWS_TO_STEP_UP, this.fastWindowsNeeded * 2);
+            }
+            this.step(1);
+        } else if (this.fastWindows >= this.fastWindowsNeeded && this.level > 0) {
+            this.step(-1);
+            this.windowsSinceStepUp = 0;
+        }
+    }
+
+    step(direction) {
+        this.slowWindows = 0;
+        this.fastWindows = 0;
+        this.setLevel(this.level + direction);
+    }
+
+    describe() {
+        const state = this.locked ? 'locked' : `auto, target ${this.targetFps}`;
+        return `${this.getLevel().name} · ${Math.round(this.fps)} fps (${state})`;
+    }
+}
+console.log("src/quality.js: Parsed and QualityGovernor class is exported.");
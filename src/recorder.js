@@ -0,0 +1,89 @@
+import { downloadBlob } from './utils.js';
+
+const MIME_TYPE_CANDIDATES = [
+    'video/webm;codecs=vp9,opus',
+    'video/webm;codecs=vp8,opus',
+    'video/webm'
+];
+
+export class LiveRecorder {
+    constructor(visualizer, audioAnalyzer) {
+        console.log("LiveRecorder: constructor called");
+        this.visualizer = visualizer;
+        this.audioAnalyzer = audioAnalyzer;
+        this.session = null; // The recording in progress: { mediaRecorder, canvasStream, audioDestination, chunks, fileName }
+        this.startTime = 0;
+        this.onStateChange = null; // Called with (isRecording)
+    }
+
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined' && !!HTMLCanvasElement.prototype.captureStream;
+    }
+
+    isRecording() {
+        return !!this.session && this.session.mediaRecorder.state !== 'inactive';
+    }
+
+    getElapsedSeconds() {
+        return this.isRecording() ? (performance.now() - this.startTime) / 1000 : 0;
+    }
+
+    start(fileName, fps = 60) {
+        if (this.isRecording()) return;
+        if (!LiveRecorder.isSupported()) throw new Error("Recording is not supported in this browser.");
+
+        // Each recording keeps its own chunks and streams: a stopped recorder's stop event arrives
+        // later, possibly after the next recording has started, and must only touch its own session.
+        const session = { fileName: fileName || 'recording', chunks: [], canvasStream: null, audioDestination: null, mediaRecorder: null };
+        // The canvas holds the composer output, so post-processing is included in the capture
+        session.canvasStream = this.visualizer.canvas.captureStream(fps);
+        const tracks = [...session.canvasStream.getVideoTracks()];
+        session.audioDestination = this.audioAnalyzer.createRecordingDestination();
+        if (session.audioDestination) {
+            tracks.push(...session.audioDestination.stream.getAudioTracks());
+        } else {
+            console.warn("LiveRecorder: No audio graph yet, recording video only");
+        }
+
+        const mimeType = MIME_TYPE_CANDIDATES.find(type => MediaRecorder.isTypeSupported(type));
+        session.mediaRecorder = new MediaRecorder(new MediaStream(tracks), mimeType ? { mimeType } : undefined);
+        session.mediaRecorder.ondataavailable = (e) => {
+            if (e.data && e.data.size > 0) session.chunks.push(e.data);
+        };
+        session.mediaRecorder.onstop = () => this.finish(session);
+        this.session = session;
+        session.mediaRecorder.start(1000); // Timeslice keeps memory flat and limits loss on a crash
+        this.startTime = performance.now();
+        this.visualizer.setOverlaysVisible(false);
+        console.log(`LiveRecorder: Recording started (${session.mediaRecorder.mimeType})`);
+        if (this.onStateChange) this.onStateChange(true);
+    }
+
+    stop() {
+        if (!this.isRecording()) return;
+        console.log("LiveRecorder: Stopping recording");
+        this.session.mediaRecorder.stop(); // finish() runs on the recorder's stop event
+    }
+
+    finish(session) {
+        const blob = new Blob(session.chunks, { type: session.mediaRecorder.mimeType || 'video/webm' });
+        session.chunks = [];
+        this.cleanup(session);
+        if (blob.size > 0) {
+            downloadBlob(blob, `${session.fileName}.webm`);
+            console.log(`LiveRecorder: Saved ${session.fileName}.webm (${Math.round(blob.size / 1024)} KB)`);
+        }
+        if (this.onStateChange && !this.isRecording()) this.onStateChange(false);
+    }
+
+    cleanup(session) {
+        session.canvasStream.getTracks().forEach(track => track.stop());
+        if (session.audioDestination) {
+            this.audioAnalyzer.releaseRecordingDestination(session.audioDestination);
+        }
+        if (this.session !== session) return; // A newer recording already owns the overlays
+        this.session = null;
+        this.visualizer.setOverlaysVisible(true);
+    }
+}
+console.log("src/recorder.js: Parsed and LiveRecorder class is exported.");
@@ -0,0 +1,140 @@
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 10000;
+const MAX_BUFFERED_BYTES = 64 * 1024; // Drop feature frames rather than queue them behind a slow socket
+
+export const DEFAULT_REMOTE_URL = 'ws://localhost:8765';
+
+// JSON protocol, identical over the relay's WebSocket and (translated) OSC:
+//   in:  { type: 'set', key, value } | { type: 'set', settings: { key: value, ... } }
+//        { type: 'preset', name, morph?, unit? }
+//        { type: 'transport', action: 'play' | 'pause' | 'toggle' | 'next' | 'previous' | 'seek', time? }
+//        { type: 'getSettings' }
+//   out: { type: 'hello', role: 'visualizer' }, { type: 'features', ... } every frame,
+//        { type: 'settings', settings, presets }, { type: 'error', message },
+//        { type: 'songEvent', event: 'section' | 'buildUp' | 'drop', time, ... } as playback reaches the analysed structure
+
+const round = value => Math.round(value * 10000) / 10000;
+
+// Compact per-frame copy of getAudioData(); the waveform is left out to keep frames small
+export function serializeAudioFeatures(audioData, time) {
+    const frequencies = {};
+    Object.entries(audioData.frequencies || {}).forEach(([name, value]) => { frequencies[name] = round(value); });
+    const beat = audioData.beat || {};
+    return {
+        type: 'features',
+        time: round(time),
+        volume: round(audioData.volume || 0),
+        frequencies,
+        bands: (audioData.bands || []).map(round),
+        beat: {
+            isBeat: !!beat.isBeat,
+            bpm: beat.bpm ? round(beat.bpm) : 0,
+            confidence: beat.confidence ? round(beat.confidence) : 0,
+            phase: beat.phase ? round(beat.phase) : 0,
+            onsets: { ...(beat.onsets || {}) }
+        }
+    };
+}
+
+// WebSocket client for the local relay (tools/remote-relay.mjs); browsers can't listen for connections themselves
+export class RemoteBridge {
+    // handlers: { onCommand(message), onStatus(text) }
+    constructor(handlers) {
+        console.log("RemoteBridge: constructor called");
+        this.handlers = handlers;
+        this.socket = null;
+        this.url = DEFAULT_REMOTE_URL;
+        this.wanted = false; // Reconnect after drops until disconnect() is called
+        this.reconnectDelay = RECONNECT_MIN_MS;
+        this.reconnectTimer = null;
+        this.broadcastFeatures = true;
+    }
+
+    isOpen() {
+        return !!this.socket && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    connect(url) {
+        this.disconnect();
+        this.url = url;
+        this.wanted = true;
+        this.reconnectDelay = RECONNECT_MIN_MS;
+        this.open();
+    }
+
+    open() {
+        this.setStatus(`connecting to ${this.url}...`);
+        let socket;
+        try {
+            socket = new WebSocket(this.url);
+        } catch (e) {
+            this.setStatus(`invalid URL: ${e.message}`);
+            this.wanted = false;
+            return;
+        }
+        this.socket = socket;
+        socket.addEventListener('open', () => {
+            this.reconnectDelay = RECONNECT_MIN_MS;
+            this.setStatus(`connected to ${this.url}`);
+            this.send({ type: 'hello', role: 'visualizer' });
+        });
+        socket.addEventListener('message', (event) => this.receive(event.data));
+        socket.addEventListener('close', () => {
+            if (this.socket !== socket) return; // An old socket closing after a reconnect
+            this.socket = null;
+            if (!this.wanted) return;
+            this.setStatus(`disconnected, retrying in ${Math.round(this.reconnectDelay / 1000)}s`);
+            this.reconnectTimer = setTimeout(() => this.open(), this.reconnectDelay);
+            this.reconnectDelay = Math.min(RECONNECT_MAX_MS, this.reconnectDelay * 2);
+        });
+    }
+
+    disconnect() {
+        this.wanted = false;
+        clearTimeout(this.reconnectTimer);
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+        this.setStatus('disconnected');
+    }
+
+    receive(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (e) {
+            this.send({ type: 'error', message: 'Messages must be JSON.' });
+            return;
+        }
+        if (!message || typeof message.type !== 'string') {
+            this.send({ type: 'error', message: 'Messages need a "type".' });
+            return;
+        }
+        if (['hello', 'features', 'settings', 'error', 'songEvent'].includes(message.type)) return; // Other apps' output
+        try {
+            const error = this.handlers.onCommand(message);
+            if (error) this.send({ type: 'error', message: error, command: message });
+        } catch (e) {
+            console.error("RemoteBridge: command failed:", e);
+            this.send({ type: 'error', message: e.message, command: message });
+        }
+    }
+
+    send(message) {
+        if (!this.isOpen()) return;
+        this.socket.send(JSON.stringify(message));
+    }
+
+    sendFeatures(audioData, time) {
+        if (!this.broadcastFeatures || !this.isOpen() || this.socket.bufferedAmount > MAX_BUFFERED_BYTES) return;
+        this.send(serializeAudioFeatures(audioData, time));
+    }
+
+    setStatus(text) {
+        console.log(`RemoteBridge: ${text}`);
+        if (this.handlers.onStatus) this.handlers.onStatus(text);
+    }
+}
+console.log("src/remote.js: Parsed and RemoteBridge class is exported.");
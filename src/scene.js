@@ -1,13 +1,39 @@
 import * as THREE from 'three';
-import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
-import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
-import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
-import { FilmPass } from 'three/addons/postprocessing/FilmPass.js'; 
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import Stats from 'stats.js';
 import * as dat from 'dat.gui';
+import { PresetLibrary, validateSettings, encodePresetForUrl, decodePresetFromUrl } from './presets.js';
+import { downloadBlob, pickFile } from './utils.js';
+import { PresetMorph, PresetSequencer } from './morph.js';
+import { TrackAutomation, AUTOMATION_CURVES, getAutomatableKeys } from './automation.js';
+import { SongStructure } from './songAnalysis.js';
+import { QualityGovernor, QUALITY_LEVELS } from './quality.js';
+import { GPUParticleSystem, PARTICLE_EMITTERS } from './particles.js';
+import { SCENE_MODULES, onSceneRegistered } from './scenes.js';
+import { PostFxChain, POST_FX_PASSES, POST_FX_DEFAULTS, DEFAULT_POST_FX_STACK, sanitizePostFxStack } from './postfx.js';
+import { PaletteColors, PALETTES, PALETTE_DEFAULTS, PARTICLE_GRADIENT, createGradientTexture, drawGradientTexture, loadImagePalette } from './palettes.js';
+import { CameraDirector, CAMERA_MODES, CAMERA_BOOKMARK_TRIGGERS, sanitizeBookmarks } from './camera.js';
+import { MidiMapper, MidiConnection, sanitizeMidiMappings, describeMidiMapping } from './midi.js';
+import { DEFAULT_SPHERE_VERTEX_SHADER, DEFAULT_SPHERE_FRAGMENT_SHADER, BUILTIN_SPHERE_UNIFORMS, parseCustomUniforms, checkShaderProgram } from './sphereShader.js';
+import { ModulationMatrix, BASE_MODULATION_SOURCES, DEFAULT_BAND_SOURCES, MODULATION_CURVES, createRouting, sanitizeRoutings } from './modulation.js';
+import { NowPlayingOverlay } from './nowPlaying.js';
 
-const LOCAL_STORAGE_KEY = 'visualizerPreset_v1'; 
+const SONG_PULSE_DECAY = 1.5; // Drop and section pulses fade over about a second, slower than beat pulses
+// Where the camera starts, and where every offline render starts so exports with the same seed match
+const START_CAMERA_POSE = { position: new THREE.Vector3(0, 0, 8), target: new THREE.Vector3(), fov: 70 };
+const ALBUM_ART_TEXTURE_SIZE = 512; // Covers are redrawn at this size, embedded ones can be several megapixels
+
+// Small seedable PRNG (mulberry32) so offline renders are reproducible
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
 
 export class Visualizer {
     constructor(canvas) {
@@ -15,6 +41,43 @@ export class Visualizer {
         this.canvas = canvas;
         this.isAudioActive = false;
         this.initialSettings = {}; 
+        this.beatPulse = 0;   // Decaying envelope triggered by kick onsets
+        this.onsetPulse = 0;  // Decaying envelope triggered by snare/hi-hat onsets
+        this.songStructure = null; // Offline analysis of the current track (SongStructure), once it's ready
+        // Normalized 0..1 signals from that analysis; also modulation sources
+        this.songSignals = { songEnergy: 0, buildUp: 0, drop: 0, section: 0 };
+        this.lastSongTime = null;
+        this.onSongEvent = null; // Called with { type: 'section' | 'buildUp' | 'drop', time, ... } as playback reaches them
+        this.currentBpm = 0;
+        this.random = Math.random; // Swapped for a seeded generator during offline rendering
+        this.offlineRender = null;
+        this.savedCameraPose = null; // The user's view while an offline render runs from the start pose
+        this.onMessage = null; // Status messages for the host page (replaces blocking alerts)
+        this.activeMorph = null;
+        this.particleAudioColor = new THREE.Color();
+        this.palette = new PaletteColors(); // Decoded colors of the palette settings, shared by reference with materials
+        this.albumArt = null; // Image of the current track, used when paletteFromAlbumArt is on
+        this.paletteBeforeAlbumArt = null; // Palette settings the album art replaced, restored for tracks without a cover
+        this.paletteImageToken = 0;
+        this.albumArtTexture = null; // The same cover for the sphere shader and the 'albumArt' particle emitter
+        this.albumArtToken = 0;
+        this.nowPlaying = new NowPlayingOverlay(); // Track info and lyrics drawn over the output; the host shows or hides it
+        this.activeScene = null;
+        this.activeSceneName = null;
+        this.onEditSphereShader = null; // Opens the host page's shader editor
+        this.onTogglePlayback = null; // Play/pause of the host's transport, used by MIDI note mappings
+        this.onSphereShaderChanged = null; // Called with { vertex, fragment } when presets swap the shader
+        this.onAutomationChanged = null; // Called with the selected lane's keyframe times, e.g. for timeline markers
+        this.customUniformNames = [];
+        this.appliedSphereShader = null; // Source last pushed to the material, compared each frame
+        this.modulationMatrix = new ModulationMatrix();
+        this.bandNames = DEFAULT_BAND_SOURCES.slice();
+        this.bandArrayLength = 0; // Size of audioData.bands; each entry becomes a "bandN" modulation source
+        this.viewSize = null; // Fixed canvas size in CSS pixels (presenter preview); null follows the window
+        this.cameraOverride = null; // Pose applied every frame instead of the director's (presenter output window)
+        this.contextLost = false; // Rendering pauses between webglcontextlost and webglcontextrestored
+        this.qualityGovernor = new QualityGovernor();
+        this.qualityLevel = this.qualityGovernor.getLevel(); // Level the GPU resources are built for
 
         if (!this.canvas) {
             console.error("Visualizer Constructor: Canvas element is null or undefined! App may not function.");
@@ -23,11 +86,12 @@ export class Visualizer {
         this.setupStats();
         this.setupSettingsAndGUI(); 
         this.setupRendererAndScene();
-        this.createSceneObjects(); 
+        this.setActiveScene(this.settings.sceneName);
         this.addPostProcessing(); 
+        this.setupQualityControls();
         this.addEventListeners();
 
-        this.loadPreset(); 
+        this.loadStartupPreset(); 
         console.log("Visualizer: constructor finished.");
     }
 
@@ -41,29 +105,61 @@ export class Visualizer {
 
     defineDefaultSettings() {
         return {
+            sceneName: 'orb',
             particleCount: 6000,
             particleSize: 0.8,
             rotationSpeed: 0.1,
             sphereRotationSpeed: 0.15,
-            bloomStrength: 0.8,     
-            bloomRadius: 0.7,        
-            bloomThreshold: 0.8,     
-            audioBloomFactor: 1.2,
             sphereNoiseStrength: 0.15,
             sphereNoiseSpeed: 0.3,
+            albumArtSphereMix: 0,     // How much of the track's cover is wrapped around the sphere
+            sphereVertexShader: '',   // Empty means the built-in shader
+            sphereFragmentShader: '',
+            sphereShaderUniforms: {}, // Values for extra `uniform float`s declared by custom shaders
             particleMinLife: 2.0, 
             particleMaxLife: 5.0,
-            filmNoiseIntensity: 0.35,
-            filmScanlinesIntensity: 0.25,
-            filmScanlinesCount: 648,
-            filmGrayscale: false
+            particleEmitter: 'shell',
+            particleEmitterScale: 1.0,
+            particleCurlStrength: 0.6,
+            particleCurlScale: 0.25,
+            particleCurlSpeed: 0.2,
+            particleAttractorStrength: 0.3,
+            particleAttractorBassPulse: 2.0,
+            particleDrag: 0.8,
+            particleTrailLength: 0.0,
+            ...POST_FX_DEFAULTS,
+            postFxStack: structuredClone(DEFAULT_POST_FX_STACK),
+            ...PALETTE_DEFAULTS,
+            cameraMode: 'manual',
+            cameraTransitionTime: 2.0,  // Seconds for bookmark flights and blending into a mode
+            cameraResumeDelay: 0,       // Idle seconds after a mouse grab before automation resumes; 0 = never
+            cameraFov: 70,
+            cameraDistance: 8,
+            cameraOrbitSpeed: 0.15,
+            cameraOrbitHeight: 0.3,
+            cameraDollyAmount: 1.5,
+            cameraShakeAmount: 0.1,
+            cameraFlySpeed: 0.02,       // Laps of the path per second
+            cameraFlyFocus: 0.5,        // 0 looks along the path, 1 at the scene center
+            cameraBookmarkTrigger: 'timer',
+            cameraBookmarkInterval: 8,
+            cameraBookmarkBeats: 16,
+            cameraBookmarks: [],        // [{ position: [x, y, z], target: [x, y, z], fov }]
+            beatSensitivity: 1.5,
+            beatSphereKick: 0.6,
+            beatParticleBurst: 0.5,
+            beatBloomKick: 1.0,
+            beatDecay: 8.0,
+            lfoRate: 0.25,
+            modulationRoutings: [],
+            midiMappings: []
         };
     }
 
     setupSettingsAndGUI() {
         console.log("Visualizer: setupSettingsAndGUI");
         this.initialSettings = this.defineDefaultSettings();
-        this.settings = { ...this.initialSettings }; 
+        this.settings = structuredClone(this.initialSettings); // Nested arrays must not alias the defaults
 
         if (this.gui && typeof this.gui.destroy === 'function') {
             console.warn("Visualizer: GUI might already exist. Attempting to destroy old one.");
@@ -71,93 +167,807 @@ export class Visualizer {
         }
         this.gui = new dat.GUI();
 
+        this.presetLibrary = new PresetLibrary();
         this.presetControls = {
-            savePreset: () => this.savePreset(),
-            loadPreset: () => this.loadPreset(),
-            resetToDefaults: () => this.resetToDefaults()
+            presetName: this.presetLibrary.lastUsed || 'My Preset',
+            selectedPreset: this.presetLibrary.lastUsed || '',
+            savePreset: () => this.savePreset(this.presetControls.presetName),
+            loadPreset: () => this.loadPreset(this.presetControls.selectedPreset),
+            renamePreset: () => this.renamePreset(this.presetControls.selectedPreset, this.presetControls.presetName),
+            deletePreset: () => this.deletePreset(this.presetControls.selectedPreset),
+            exportSelected: () => this.exportPresets([this.presetControls.selectedPreset]),
+            exportAll: () => this.exportPresets(),
+            importPresets: () => this.importPresets(),
+            copyShareLink: () => this.copyShareLink(),
+            resetToDefaults: () => this.resetToDefaults(),
+            morphLength: 4,
+            morphUnit: 'seconds',
+            morphToSelected: () => this.morphToPreset(this.presetControls.selectedPreset, this.presetControls.morphLength, this.presetControls.morphUnit)
+        };
+        this.presetFolder = this.gui.addFolder('Presets');
+        this.presetFolder.add(this.presetControls, 'presetName').name('Name');
+        this.presetSelectController = this.presetFolder.add(this.presetControls, 'selectedPreset', this.presetLibrary.list()).name('Library');
+        this.presetFolder.add(this.presetControls, 'savePreset').name('Save As Name');
+        this.presetFolder.add(this.presetControls, 'loadPreset').name('Load Selected');
+        this.presetFolder.add(this.presetControls, 'renamePreset').name('Rename Selected To Name');
+        this.presetFolder.add(this.presetControls, 'deletePreset').name('Delete Selected');
+        this.presetFolder.add(this.presetControls, 'exportSelected').name('Export Selected (JSON)');
+        this.presetFolder.add(this.presetControls, 'exportAll').name('Export All (JSON)');
+        this.presetFolder.add(this.presetControls, 'importPresets').name('Import JSON...');
+        this.presetFolder.add(this.presetControls, 'copyShareLink').name('Copy Share Link');
+        this.presetFolder.add(this.presetControls, 'resetToDefaults').name('Reset Defaults');
+        this.presetFolder.add(this.presetControls, 'morphLength', 0, 64, 0.5).name('Morph Length');
+        this.presetFolder.add(this.presetControls, 'morphUnit', ['seconds', 'beats']).name('Morph Unit');
+        this.presetFolder.add(this.presetControls, 'morphToSelected').name('Morph To Selected');
+        this.presetFolder.open();
+
+        this.presetSequencer = new PresetSequencer(this);
+        this.sequenceControls = {
+            enabled: this.presetSequencer.enabled,
+            addStep: () => this.addSequenceStep(),
+            removeLastStep: () => {
+                this.presetSequencer.removeStep(this.presetSequencer.steps.length - 1);
+                this.refreshSequenceList();
+            },
+            clear: () => {
+                this.presetSequencer.clear();
+                this.refreshSequenceList();
+            }
+        };
+        this.trackTime = null; // Set by the host each frame while a track plays
+        const sequenceFolder = this.gui.addFolder('Preset Sequence');
+        sequenceFolder.add(this.sequenceControls, 'enabled').name('Enabled').onChange(value => { this.presetSequencer.enabled = value; });
+        sequenceFolder.add(this.sequenceControls, 'addStep').name('Add Selected At Playhead');
+        sequenceFolder.add(this.sequenceControls, 'removeLastStep').name('Remove Last Step');
+        sequenceFolder.add(this.sequenceControls, 'clear').name('Clear Sequence');
+        this.sequenceStepsFolder = sequenceFolder.addFolder('Steps');
+        this.sequenceStepControllers = [];
+
+        this.automation = new TrackAutomation(this.initialSettings);
+        this.automationControls = {
+            enabled: this.automation.enabled,
+            target: 'bloomStrength',
+            curve: 'easeInOut',
+            lanes: 'none',
+            setKeyframe: () => this.setAutomationKeyframe(),
+            removeKeyframe: () => this.removeAutomationKeyframe(),
+            clearLane: () => {
+                this.automation.clearLane(this.automationControls.target);
+                this.refreshAutomationGUI();
+            },
+            exportProject: () => this.exportAutomation(),
+            importProject: () => this.importAutomation()
+        };
+        const automationFolder = this.gui.addFolder('Automation');
+        automationFolder.add(this.automationControls, 'enabled').name('Enabled').onChange(value => { this.automation.enabled = value; });
+        automationFolder.add(this.automationControls, 'target', getAutomatableKeys(this.initialSettings)).name('Setting')
+            .onChange(() => this.refreshAutomationGUI());
+        automationFolder.add(this.automationControls, 'curve', Object.keys(AUTOMATION_CURVES)).name('Curve To Next');
+        automationFolder.add(this.automationControls, 'setKeyframe').name('Keyframe Current Value At Playhead');
+        automationFolder.add(this.automationControls, 'removeKeyframe').name('Remove Keyframe Near Playhead');
+        automationFolder.add(this.automationControls, 'clearLane').name('Clear Lane');
+        automationFolder.add(this.automationControls, 'exportProject').name('Export Project (JSON)');
+        automationFolder.add(this.automationControls, 'importProject').name('Import Project...');
+        this.automationLanesController = automationFolder.add(this.automationControls, 'lanes').name('Automated');
+        this.automationLanesController.domElement.querySelector('input').readOnly = true;
+        this.automationKeyframesFolder = automationFolder.addFolder('Keyframes');
+        this.automationKeyframeControllers = [];
+
+        const sceneFolder = this.gui.addFolder('Scene');
+        this.sceneSelectController = sceneFolder.add(this.settings, 'sceneName', Object.keys(SCENE_MODULES)).name('Scene');
+        onSceneRegistered(() => this.refreshSceneList());
+        sceneFolder.open();
+
+        this.paletteControls = {
+            fromImage: () => this.pickPaletteImage()
+        };
+        const paletteFolder = this.gui.addFolder('Palette');
+        this.paletteSelectController = paletteFolder.add(this.settings, 'paletteName', [...Object.keys(PALETTES), 'custom']).name('Palette')
+            .onChange(name => this.setPalette(name));
+        paletteFolder.add(this.settings, 'paletteFromAlbumArt').name('Use Album Art')
+            .onChange(enabled => { if (enabled) this.applyAlbumArtPalette(); else this.restorePaletteBeforeAlbumArt(); });
+        paletteFolder.add(this.paletteControls, 'fromImage').name('From Image...');
+        const markCustom = () => {
+            this.settings.paletteName = 'custom';
+            this.paletteSelectController.updateDisplay();
+        };
+        const addColors = (folder, entries) => entries.forEach(([key, label]) => folder.addColor(this.settings, key).name(label).onChange(markCustom));
+        addColors(paletteFolder.addFolder('Background Gradient'), [
+            ['colorBackgroundTop', 'Top'],
+            ['colorBackgroundBottom', 'Bottom']
+        ]);
+        addColors(paletteFolder.addFolder('Sphere & Bands'), [
+            ['colorSphereBase', 'Sphere Base'],
+            ['colorBass', 'Bass'],
+            ['colorMid', 'Mid'],
+            ['colorTreble', 'Treble'],
+            ['colorPulse', 'Volume Pulse'],
+            ['colorRim', 'Rim Light']
+        ]);
+        addColors(paletteFolder.addFolder('Particle Gradient'), [
+            ['colorParticleStart', 'Start'],
+            ['colorParticleMid', 'Middle'],
+            ['colorParticleEnd', 'End']
+        ]);
+
+        this.cameraControls = {
+            saveBookmark: () => this.addCameraBookmark(),
+            nextBookmark: () => this.cameraDirector.nextBookmark(this.settings),
+            removeLastBookmark: () => {
+                this.settings.cameraBookmarks.pop();
+                this.refreshCameraBookmarkList();
+            },
+            clearBookmarks: () => {
+                this.settings.cameraBookmarks = [];
+                this.refreshCameraBookmarkList();
+            }
         };
-        const presetFolder = this.gui.addFolder('Presets');
-        presetFolder.add(this.presetControls, 'savePreset').name('Save Current');
-        presetFolder.add(this.presetControls, 'loadPreset').name('Load Saved');
-        presetFolder.add(this.presetControls, 'resetToDefaults').name('Reset Defaults');
-        presetFolder.open();
+        const cameraFolder = this.gui.addFolder('Camera');
+        cameraFolder.add(this.settings, 'cameraMode', CAMERA_MODES).name('Mode');
+        cameraFolder.add(this.settings, 'cameraTransitionTime', 0.1, 10, 0.1).name('Transition (s)');
+        cameraFolder.add(this.settings, 'cameraResumeDelay', 0, 60, 1).name('Resume After Grab (s)');
+        cameraFolder.add(this.settings, 'cameraFov', 20, 110, 1).name('FOV');
+        cameraFolder.add(this.settings, 'cameraDistance', 2, 30, 0.1).name('Distance');
+        cameraFolder.add(this.settings, 'cameraOrbitSpeed', -1, 1, 0.01).name('Orbit Speed');
+        cameraFolder.add(this.settings, 'cameraOrbitHeight', 0, 1, 0.01).name('Orbit Height');
+        cameraFolder.add(this.settings, 'cameraDollyAmount', 0, 5, 0.01).name('Bass Dolly');
+        cameraFolder.add(this.settings, 'cameraShakeAmount', 0, 1, 0.01).name('Beat Shake');
+        cameraFolder.add(this.settings, 'cameraFlySpeed', 0, 0.2, 0.001).name('Fly Speed');
+        cameraFolder.add(this.settings, 'cameraFlyFocus', 0, 1, 0.01).name('Fly Look At Center');
+        this.cameraBookmarksFolder = cameraFolder.addFolder('Bookmarks');
+        this.cameraBookmarksFolder.add(this.settings, 'cameraBookmarkTrigger', CAMERA_BOOKMARK_TRIGGERS).name('Advance On');
+        this.cameraBookmarksFolder.add(this.settings, 'cameraBookmarkInterval', 1, 60, 0.5).name('Every N Seconds');
+        this.cameraBookmarksFolder.add(this.settings, 'cameraBookmarkBeats', 1, 64, 1).name('Every N Beats');
+        this.cameraBookmarksFolder.add(this.cameraControls, 'saveBookmark').name('Save Current View');
+        this.cameraBookmarksFolder.add(this.cameraControls, 'nextBookmark').name('Go To Next');
+        this.cameraBookmarksFolder.add(this.cameraControls, 'removeLastBookmark').name('Remove Last');
+        this.cameraBookmarksFolder.add(this.cameraControls, 'clearBookmarks').name('Clear');
+        this.cameraBookmarkControllers = [];
 
         const particleFolder = this.gui.addFolder('Particles');
-        particleFolder.add(this.settings, 'particleCount', 1000, 50000, 1000).name('Count').onChange(() => this.recreateParticles());
+        particleFolder.add(this.settings, 'particleCount', 1000, 500000, 1000).name('Count'); // Applied per frame by GPUParticleSystem.setCount
         particleFolder.add(this.settings, 'particleSize', 0.1, 5).name('Global Scale');
         particleFolder.add(this.settings, 'rotationSpeed', 0, 1).name('System Speed');
         particleFolder.add(this.settings, 'particleMinLife', 0.5, 10.0).name('Min Lifespan (s)');
         particleFolder.add(this.settings, 'particleMaxLife', 1.0, 20.0).name('Max Lifespan (s)');
+        particleFolder.add(this.settings, 'particleEmitter', PARTICLE_EMITTERS).name('Emitter');
+        particleFolder.add(this.settings, 'particleEmitterScale', 0.1, 3, 0.01).name('Emitter Scale');
+        particleFolder.add(this.settings, 'particleCurlStrength', 0, 5, 0.01).name('Curl Flow');
+        particleFolder.add(this.settings, 'particleCurlScale', 0.01, 2, 0.01).name('Curl Scale');
+        particleFolder.add(this.settings, 'particleCurlSpeed', 0, 2, 0.01).name('Curl Speed');
+        particleFolder.add(this.settings, 'particleAttractorStrength', -3, 3, 0.01).name('Attractor (- repels)');
+        particleFolder.add(this.settings, 'particleAttractorBassPulse', 0, 8, 0.1).name('Attractor Bass Pulse');
+        particleFolder.add(this.settings, 'particleDrag', 0, 5, 0.01).name('Drag');
+        particleFolder.add(this.settings, 'particleTrailLength', 0, 2, 0.01).name('Trail Length');
 
         const sphereFolder = this.gui.addFolder('Sphere');
         sphereFolder.add(this.settings, 'sphereRotationSpeed', 0, 1).name('Rotation Speed');
         sphereFolder.add(this.settings, 'sphereNoiseStrength', 0, 0.5, 0.01).name('Noise Strength');
         sphereFolder.add(this.settings, 'sphereNoiseSpeed', 0, 1, 0.01).name('Noise Speed');     
+        sphereFolder.add(this.settings, 'albumArtSphereMix', 0, 1, 0.01).name('Album Art Mix');
+        sphereFolder.add({ editShader: () => { if (this.onEditSphereShader) this.onEditSphereShader(); } }, 'editShader').name('Edit Shader...');
+        this.shaderUniformFolder = sphereFolder.addFolder('Shader Uniforms');
+        this.shaderUniformControllers = [];
 
-        const bloomFolder = this.gui.addFolder('Bloom');
-        bloomFolder.add(this.settings, 'bloomStrength', 0, 5).name('Base Strength');
-        bloomFolder.add(this.settings, 'bloomRadius', 0, 2).name('Radius');
-        bloomFolder.add(this.settings, 'bloomThreshold', 0, 1).name('Threshold');
-        bloomFolder.add(this.settings, 'audioBloomFactor', 0, 5).name('Audio Boost');
-        
-        const filmFolder = this.gui.addFolder('Film Effect');
-        filmFolder.add(this.settings, 'filmNoiseIntensity', 0, 1).name('Noise Intensity');
-        filmFolder.add(this.settings, 'filmScanlinesIntensity', 0, 1).name('Scanlines Intensity');
-        filmFolder.add(this.settings, 'filmScanlinesCount', 50, 2048, 1).name('Scanlines Count');
-        filmFolder.add(this.settings, 'filmGrayscale').name('Grayscale');
-        filmFolder.open(); 
+        this.postFxControls = {
+            passType: 'chromaticAberration',
+            addPass: () => this.addPostFxPass(this.postFxControls.passType)
+        };
+        this.postFxFolder = this.gui.addFolder('Post FX');
+        this.postFxTypeController = this.postFxFolder.add(this.postFxControls, 'passType', Object.keys(POST_FX_PASSES)).name('Pass Type');
+        this.postFxFolder.add(this.postFxControls, 'addPass').name('Add Pass');
+        this.postFxPassFolders = [];
+        this.postFxFolder.open();
+
+        const beatFolder = this.gui.addFolder('Beat Reaction');
+        beatFolder.add(this.settings, 'beatSensitivity', 0.5, 4, 0.05).name('Sensitivity');
+        beatFolder.add(this.settings, 'beatSphereKick', 0, 2, 0.01).name('Sphere Kick');
+        beatFolder.add(this.settings, 'beatParticleBurst', 0, 2, 0.01).name('Particle Burst');
+        beatFolder.add(this.settings, 'beatBloomKick', 0, 5, 0.01).name('Bloom Kick');
+        beatFolder.add(this.settings, 'beatDecay', 1, 20, 0.1).name('Decay Speed');
+
+        this.modulationControls = {
+            addRouting: () => this.addModulationRouting()
+        };
+        this.modulationFolder = this.gui.addFolder('Modulation');
+        this.modulationFolder.add(this.settings, 'lfoRate', 0.01, 8, 0.01).name('LFO Rate (Hz)');
+        this.modulationFolder.add(this.modulationControls, 'addRouting').name('Add Routing');
+        this.modulationRoutingFolders = [];
+
+        this.setupMidi();
+    }
+
+    setupMidi() {
+        this.midiMapper = new MidiMapper({
+            getMappings: () => this.settings.midiMappings,
+            setSetting: (key, value) => this.setSettingValue(key, value),
+            triggerAction: (mapping) => this.runMidiAction(mapping),
+            onLearned: (mapping) => {
+                this.clearMidiLearnHighlight();
+                this.refreshMidiGUI();
+                this.notify(`MIDI mapped: ${describeMidiMapping(mapping)}`);
+            }
+        });
+        this.midiConnection = new MidiConnection(this.midiMapper);
+        this.midiConnection.onDevicesChanged = (names) => {
+            this.midiControls.devices = names.length ? names.join(', ') : 'none';
+            this.midiDevicesController.updateDisplay();
+        };
+        this.midiControls = {
+            enable: () => this.enableMidi(),
+            devices: 'not enabled',
+            learn: false,
+            learnPlayPause: () => this.startMidiNoteLearn({ type: 'note', action: 'playPause' }),
+            learnPresetRecall: () => {
+                const presetName = this.presetControls.selectedPreset;
+                if (!this.presetLibrary.has(presetName)) {
+                    this.notify('Select a preset from the library first.');
+                    return;
+                }
+                this.startMidiNoteLearn({ type: 'note', action: 'recallPreset', presetName });
+            },
+            clear: () => {
+                this.settings.midiMappings = [];
+                this.refreshMidiGUI();
+            }
+        };
+        this.midiFolder = this.gui.addFolder('MIDI');
+        this.midiFolder.add(this.midiControls, 'enable').name('Enable MIDI');
+        this.midiDevicesController = this.midiFolder.add(this.midiControls, 'devices').name('Inputs');
+        this.midiDevicesController.domElement.querySelector('input').readOnly = true;
+        this.midiFolder.add(this.midiControls, 'learn').name('Learn (click a control)').onChange(enabled => {
+            if (!enabled) {
+                this.midiMapper.cancelLearn();
+                this.clearMidiLearnHighlight();
+            }
+        });
+        this.midiFolder.add(this.midiControls, 'learnPlayPause').name('Learn Note: Play/Pause');
+        this.midiFolder.add(this.midiControls, 'learnPresetRecall').name('Learn Note: Selected Preset');
+        this.midiFolder.add(this.midiControls, 'clear').name('Clear Mappings');
+        this.midiMappingFolders = [];
+        this.midiLearnElement = null;
+        // Capture phase, so the click that picks a control in learn mode doesn't also change it
+        this.gui.domElement.addEventListener('pointerdown', (e) => this.onGuiPointerDownForMidi(e), true);
+        this.gui.domElement.addEventListener('click', (e) => {
+            if (this.findMidiLearnController(e.target)) {
+                e.preventDefault();
+                e.stopPropagation();
+            }
+        }, true);
     }
 
-    savePreset() { 
+    async enableMidi() {
+        if (!MidiConnection.isSupported()) {
+            this.notify('Web MIDI is not supported in this browser.');
+            return;
+        }
         try {
-            localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(this.settings));
-            console.log("Preset saved to localStorage:", this.settings);
-            alert("Preset Saved!");
+            await this.midiConnection.enable();
+            this.notify('MIDI enabled. Devices plugged in later are picked up automatically.');
+        } catch (e) {
+            console.error("Visualizer: MIDI access failed:", e);
+            this.notify(`MIDI access failed: ${e.message}`);
+        }
+    }
+
+    // Every controller in the GUI, including nested folders, with the folder it belongs to
+    getAllControllers() {
+        const result = [];
+        const folders = [this.gui];
+        for (let i = 0; i < folders.length; i++) {
+            folders.push(...Object.values(folders[i].__folders));
+            folders[i].__controllers.forEach(controller => result.push(controller));
+        }
+        return result;
+    }
+
+    // The controller under a click while learn mode is on; the MIDI folder itself keeps working normally
+    findMidiLearnController(element) {
+        if (!this.midiControls.learn || this.midiFolder.domElement.contains(element)) return null;
+        return this.getAllControllers().find(c => c.__li && c.__li.contains(element)) || null;
+    }
+
+    onGuiPointerDownForMidi(e) {
+        const controller = this.findMidiLearnController(e.target);
+        if (!controller) return;
+        e.preventDefault();
+        e.stopPropagation();
+        const label = controller.__li.querySelector('.property-name');
+        const name = label ? label.textContent : controller.property;
+        if (controller.object !== this.settings) {
+            this.notify(`"${name}" is not a preset setting and can't be MIDI-mapped.`);
+            return;
+        }
+        const key = controller.property;
+        const value = this.settings[key];
+        let request;
+        if (controller.__select) {
+            request = { type: 'cc', target: key, options: Array.from(controller.__select.options, option => option.value) };
+        } else if (typeof value === 'boolean') {
+            request = { type: 'cc', target: key, options: [false, true] };
+        } else if (typeof value === 'number') {
+            const range = this.getSettingRange(key);
+            request = { type: 'cc', target: key, min: range.min, max: range.max };
+        } else {
+            this.notify(`"${name}" can't be driven by a CC.`);
+            return;
+        }
+        this.midiMapper.startLearn(request);
+        this.setMidiLearnHighlight(controller.__li);
+        this.notify(`Move a knob or fader to map "${name}".`);
+    }
+
+    startMidiNoteLearn(request) {
+        this.midiMapper.startLearn(request);
+        this.clearMidiLearnHighlight();
+        this.notify('Press a pad or key to map it.');
+    }
+
+    setMidiLearnHighlight(element) {
+        this.clearMidiLearnHighlight();
+        this.midiLearnElement = element;
+        element.classList.add('midi-learn-target');
+    }
+
+    clearMidiLearnHighlight() {
+        if (this.midiLearnElement) this.midiLearnElement.classList.remove('midi-learn-target');
+        this.midiLearnElement = null;
+    }
+
+    // Goes through the controller when there is one, so onChange side effects (e.g. palettes) still run
+    setSettingValue(key, value) {
+        if (!Object.prototype.hasOwnProperty.call(this.initialSettings, key)) return;
+        const controller = this.getAllControllers().find(c => c.object === this.settings && c.property === key);
+        if (controller) {
+            controller.setValue(value);
+        } else {
+            this.settings[key] = value;
+        }
+    }
+
+    // Type-checked like a preset value; returns an error message or null. Lists and objects (post-FX stack,
+    // routings, bookmarks...) go through applySettings so they get the same sanitizing as a loaded preset.
+    setSettingFromRemote(key, value) {
+        if (!Object.prototype.hasOwnProperty.call(this.initialSettings, key)) return `Unknown setting "${key}".`;
+        const { settings, warnings } = validateSettings({ [key]: value }, { [key]: this.initialSettings[key] });
+        if (warnings.length) return warnings[0];
+        if (typeof settings[key] === 'object' && settings[key] !== null) {
+            this.applySettings({ ...this.settings, [key]: settings[key] });
+        } else {
+            this.setSettingValue(key, settings[key]);
+        }
+        return null;
+    }
+
+    runMidiAction(mapping) {
+        if (mapping.action === 'playPause') {
+            if (this.onTogglePlayback) this.onTogglePlayback();
+        } else if (mapping.action === 'recallPreset') {
+            this.presetControls.selectedPreset = mapping.presetName;
+            this.loadPreset(mapping.presetName);
+        }
+    }
+
+    refreshMidiGUI() {
+        this.midiMappingFolders.forEach(folder => this.midiFolder.removeFolder(folder));
+        this.midiMappingFolders = this.settings.midiMappings.map((mapping, index) => {
+            const folder = this.midiFolder.addFolder(`${index + 1}. ${describeMidiMapping(mapping)}`);
+            if (mapping.type === 'cc' && !mapping.options) {
+                folder.add(mapping, 'min').name('Min');
+                folder.add(mapping, 'max').name('Max');
+            }
+            folder.add({ remove: () => {
+                this.settings.midiMappings.splice(index, 1);
+                this.refreshMidiGUI();
+            } }, 'remove').name('Remove');
+            return folder;
+        });
+    }
+
+    notify(message) {
+        console.log("Visualizer:", message);
+        if (this.onMessage) this.onMessage(message);
+    }
+
+    refreshSceneList() {
+        this.sceneSelectController = this.sceneSelectController.options(Object.keys(SCENE_MODULES)).name('Scene');
+    }
+
+    refreshPresetList() {
+        const names = this.presetLibrary.list();
+        if (!names.includes(this.presetControls.selectedPreset)) {
+            this.presetControls.selectedPreset = names[0] || '';
+        }
+        // dat.GUI rebuilds a controller to change its options and returns the replacement
+        this.presetSelectController = this.presetSelectController.options(names).name('Library');
+    }
+
+    savePreset(name) { 
+        try {
+            this.presetLibrary.save(name, this.settings);
+            this.presetControls.selectedPreset = name.trim();
+            this.refreshPresetList();
+            this.notify(`Preset "${name.trim()}" saved.`);
         } catch (e) {
             console.error("Error saving preset to localStorage:", e);
-            alert("Error saving preset. LocalStorage might be full or disabled.");
+            this.notify(`Error saving preset: ${e.message}`);
+        }
+    }
+
+    loadPreset(name) { 
+        const preset = this.presetLibrary.get(name);
+        if (!preset) {
+            this.notify(name ? `Preset "${name}" not found.` : 'No preset selected.');
+            return;
         }
+        const { settings, warnings } = validateSettings(preset.settings, this.initialSettings);
+        if (warnings.length) console.warn(`Preset "${name}" needed migration:`, warnings);
+        this.applySettings(settings);
+        this.presetLibrary.markUsed(name);
+        this.presetControls.presetName = name;
+        this.refreshGUI();
+        this.notify(`Preset "${name}" loaded.` + (warnings.length ? ` (${warnings.length} setting(s) fell back to defaults)` : ''));
     }
-    loadPreset() { 
+
+    renamePreset(oldName, newName) {
         try {
-            const savedPresetJSON = localStorage.getItem(LOCAL_STORAGE_KEY);
-            if (savedPresetJSON) {
-                const loadedSettings = JSON.parse(savedPresetJSON);
-                console.log("Preset loaded from localStorage:", loadedSettings);
-                const currentParticleCount = this.settings.particleCount;
-                Object.keys(this.initialSettings).forEach(key => {
-                    if (loadedSettings.hasOwnProperty(key)) {
-                        this.settings[key] = loadedSettings[key];
-                    } else {
-                        this.settings[key] = this.initialSettings[key]; 
-                    }
-                });
+            this.presetLibrary.rename(oldName, newName);
+            this.presetControls.selectedPreset = newName.trim();
+            this.refreshPresetList();
+            this.notify(`Preset "${oldName}" renamed to "${newName.trim()}".`);
+        } catch (e) {
+            this.notify(`Error renaming preset: ${e.message}`);
+        }
+    }
+
+    deletePreset(name) {
+        if (!this.presetLibrary.has(name)) {
+            this.notify('No preset selected.');
+            return;
+        }
+        this.presetLibrary.delete(name);
+        this.refreshPresetList();
+        this.notify(`Preset "${name}" deleted.`);
+    }
+
+    exportPresets(names) {
+        const json = this.presetLibrary.exportJSON(names);
+        const fileName = names && names.length === 1 ? `${names[0]}.preset.json` : 'visualizer-presets.json';
+        downloadBlob(new Blob([json], { type: 'application/json' }), fileName);
+    }
+
+    async importPresets() {
+        const file = await pickFile('application/json,.json');
+        if (!file) return;
+        try {
+            const fallbackName = file.name.replace(/(\.preset)?\.json$/i, '');
+            const { imported, warnings } = this.presetLibrary.importJSON(await file.text(), this.initialSettings, fallbackName);
+            if (warnings.length) console.warn("Preset import warnings:", warnings);
+            this.presetControls.selectedPreset = imported[0] || this.presetControls.selectedPreset;
+            this.refreshPresetList();
+            this.notify(`Imported ${imported.length} preset(s)` + (warnings.length ? ` with ${warnings.length} warning(s), see console.` : '.'));
+        } catch (e) {
+            console.error("Error importing presets:", e);
+            this.notify(`Error importing presets: ${e.message}`);
+        }
+    }
+
+    async copyShareLink() {
+        const url = `${location.origin}${location.pathname}${location.search}${encodePresetForUrl(this.presetControls.presetName, this.settings)}`;
+        try {
+            await navigator.clipboard.writeText(url);
+            this.notify('Share link copied to clipboard.');
+        } catch (e) {
+            console.warn("Clipboard unavailable, putting link in the address bar instead:", e);
+            history.replaceState(null, '', url);
+            this.notify('Share link placed in the address bar.');
+        }
+    }
+
+    // A preset in the URL hash wins over the last used library preset
+    loadStartupPreset() {
+        try {
+            const shared = decodePresetFromUrl(location.hash);
+            if (shared) {
+                const { settings, warnings } = validateSettings(shared.settings, this.initialSettings);
+                if (warnings.length) console.warn("Shared preset needed migration:", warnings);
+                this.applySettings(settings);
+                this.presetControls.presetName = shared.name || 'Shared Preset';
                 this.refreshGUI();
-                if (this.settings.particleCount !== currentParticleCount) {
-                    this.recreateParticles(); 
-                }
-                 alert("Preset Loaded!");
-            } else {
-                console.log("No preset found in localStorage. Using current/default settings.");
+                this.notify(`Loaded shared preset "${this.presetControls.presetName}".`);
+                return;
             }
         } catch (e) {
-            console.error("Error loading preset from localStorage:", e);
-            alert("Error loading preset. It might be corrupted. Resetting to defaults.");
-            this.resetToDefaults();
+            console.error("Error reading preset from URL:", e);
+            this.notify('The preset link is invalid. Using defaults.');
+            return;
+        }
+        if (this.presetLibrary.lastUsed && this.presetLibrary.has(this.presetLibrary.lastUsed)) {
+            this.loadPreset(this.presetLibrary.lastUsed);
+        } else {
+            console.log("No preset found in localStorage. Using current/default settings.");
         }
     }
-    resetToDefaults() { 
-        console.log("Resetting settings to defaults.");
-        const currentParticleCount = this.settings.particleCount;
+
+    applySettings(newSettings) {
+        this.activeMorph = null; // Snapping to a preset cancels any running morph
+        const currentMidiMappings = this.settings.midiMappings;
+        this.paletteBeforeAlbumArt = null; // The preset's palette is the selected one now
+        this.paletteImageToken++;
         Object.keys(this.initialSettings).forEach(key => {
-            this.settings[key] = this.initialSettings[key];
+            const value = Object.prototype.hasOwnProperty.call(newSettings, key) ? newSettings[key] : this.initialSettings[key];
+            // Copy nested values so GUI edits never write back into stored presets
+            this.settings[key] = typeof value === 'object' && value !== null ? structuredClone(value) : value;
         });
+        this.settings.modulationRoutings = sanitizeRoutings(this.settings.modulationRoutings, this.settings);
+        this.modulationMatrix.reset();
+        this.refreshModulationGUI();
+        this.syncSphereShader();
+        this.settings.postFxStack = sanitizePostFxStack(this.settings.postFxStack);
+        this.applyPostFxStack();
+        this.refreshPostFxGUI();
+        this.settings.cameraBookmarks = sanitizeBookmarks(this.settings.cameraBookmarks);
+        this.refreshCameraBookmarkList();
+        // A preset saved without mappings keeps the current ones, so recalling it from a pad doesn't unmap the controller
+        this.settings.midiMappings = sanitizeMidiMappings(this.settings.midiMappings);
+        if (!this.settings.midiMappings.length) this.settings.midiMappings = currentMidiMappings;
+        this.refreshMidiGUI();
         this.refreshGUI();
-        if (this.settings.particleCount !== currentParticleCount) {
-            this.recreateParticles();
+    }
+
+    morphToPreset(name, length, unit) {
+        const preset = this.presetLibrary.get(name);
+        if (!preset) {
+            this.notify(name ? `Preset "${name}" not found.` : 'No preset selected.');
+            return;
+        }
+        const { settings } = validateSettings(preset.settings, this.initialSettings);
+        this.morphToSettings(settings, length, unit);
+        this.notify(`Morphing to "${name}" over ${length} ${unit}.`);
+    }
+
+    morphToSettings(targetSettings, length, unit = 'seconds') {
+        if (!length) {
+            this.applySettings(targetSettings);
+            return;
+        }
+        const target = structuredClone(targetSettings);
+        target.modulationRoutings = sanitizeRoutings(target.modulationRoutings, target);
+        target.postFxStack = sanitizePostFxStack(target.postFxStack);
+        target.cameraBookmarks = sanitizeBookmarks(target.cameraBookmarks);
+        target.midiMappings = sanitizeMidiMappings(target.midiMappings);
+        if (!target.midiMappings.length) target.midiMappings = this.settings.midiMappings;
+        // Allocate enough particles for both populations up front; the shader fades between counts
+        const neededCapacity = Math.max(this.settings.particleCount, target.particleCount);
+        if (this.gpuParticles) this.gpuParticles.ensureCapacity(neededCapacity);
+        this.activeMorph = new PresetMorph(this.settings, target, length, unit);
+    }
+
+    updateMorph(deltaTime) {
+        if (!this.activeMorph) return;
+        this.activeMorph.advance(deltaTime, this.currentBpm);
+        this.activeMorph.applyTo(this.settings);
+        if (this.activeMorph.isFinished()) {
+            this.activeMorph = null;
+            this.refreshModulationGUI(); // Routings and the post-FX stack switch over halfway through the morph
+            this.refreshPostFxGUI();
+            this.refreshCameraBookmarkList();
+            this.refreshMidiGUI();
+            this.refreshGUI();
+        }
+    }
+
+    addSequenceStep() {
+        if (this.trackTime === null) {
+            this.notify('Play a track to add sequence steps at the playhead.');
+            return;
+        }
+        const name = this.presetControls.selectedPreset;
+        if (!this.presetLibrary.has(name)) {
+            this.notify('Select a preset from the library first.');
+            return;
+        }
+        try {
+            this.presetSequencer.addStep(this.trackTime, name, this.presetControls.morphLength, this.presetControls.morphUnit);
+            this.refreshSequenceList();
+            this.notify(`Sequence step added: "${name}" at ${this.trackTime.toFixed(1)}s.`);
+        } catch (e) {
+            this.notify(e.message);
+        }
+    }
+
+    refreshSequenceList() {
+        this.sequenceStepControllers.forEach(controller => this.sequenceStepsFolder.remove(controller));
+        this.sequenceStepControllers = this.presetSequencer.steps.map((step, index) => {
+            const label = { text: `${step.time.toFixed(1)}s → ${step.presetName} (${step.length} ${step.unit})` };
+            const controller = this.sequenceStepsFolder.add(label, 'text').name(`Step ${index + 1}`);
+            controller.domElement.querySelector('input').readOnly = true;
+            return controller;
+        });
+    }
+
+    setTrack(trackName) {
+        this.presetSequencer.setTrack(trackName);
+        this.refreshSequenceList();
+        this.automation.setTrack(trackName);
+        this.refreshAutomationGUI();
+    }
+
+    // Track playhead in seconds, or null when no file track is active (e.g. live input)
+    setTrackTime(time) {
+        this.trackTime = time;
+        this.presetSequencer.update(time);
+        this.updateSongSignals(time);
+    }
+
+    // analysis: result of analyzeSong() for the current track, or null while none is available
+    setSongAnalysis(analysis) {
+        this.songStructure = analysis ? new SongStructure(analysis) : null;
+        this.lastSongTime = null;
+    }
+
+    updateSongSignals(time) {
+        const signals = this.songSignals;
+        if (!this.songStructure || time === null) {
+            signals.songEnergy = 0;
+            signals.buildUp = 0;
+            this.lastSongTime = null;
+            return;
+        }
+        signals.songEnergy = this.songStructure.getEnergy(time);
+        signals.buildUp = this.songStructure.getBuildUp(time);
+        const lastTime = this.lastSongTime;
+        this.lastSongTime = time;
+        if (lastTime === null || time <= lastTime || time - lastTime > 1) return; // Pauses and seeks don't fire events
+        this.songStructure.getEventsBetween(lastTime, time).forEach(event => {
+            if (event.type === 'drop') signals.drop = 1;
+            if (event.type === 'section') signals.section = 1;
+            console.log(`Visualizer: song ${event.type} at ${event.time.toFixed(1)}s`);
+            if (this.onSongEvent) this.onSongEvent(event);
+        });
+    }
+
+    setAutomationKeyframe() {
+        if (this.trackTime === null) {
+            this.notify('Load a track to add keyframes at the playhead.');
+            return;
+        }
+        const { target, curve } = this.automationControls;
+        try {
+            this.automation.setKeyframe(target, this.trackTime, structuredClone(this.settings[target]), curve);
+            this.refreshAutomationGUI();
+            this.notify(`Keyframe: ${target} = ${this.settings[target]} at ${this.trackTime.toFixed(2)}s.`);
+        } catch (e) {
+            this.notify(e.message);
         }
-        alert("Settings reset to defaults!");
     }
+
+    removeAutomationKeyframe() {
+        if (this.trackTime === null) return;
+        const { target } = this.automationControls;
+        if (this.automation.removeKeyframeNear(target, this.trackTime, 0.5)) {
+            this.refreshAutomationGUI();
+            this.notify(`Removed the ${target} keyframe near ${this.trackTime.toFixed(2)}s.`);
+        } else {
+            this.notify(`No ${target} keyframe within 0.5s of the playhead.`);
+        }
+    }
+
+    exportAutomation() {
+        if (!this.automation.trackName) {
+            this.notify('Load a track first; automation is saved per track.');
+            return;
+        }
+        const baseName = this.automation.trackName.replace(/\.[^.]+$/, '');
+        downloadBlob(new Blob([this.automation.exportJSON()], { type: 'application/json' }), `${baseName}.automation.json`);
+    }
+
+    async importAutomation() {
+        const file = await pickFile('application/json,.json');
+        if (!file) return;
+        try {
+            const warnings = this.automation.importJSON(await file.text());
+            if (warnings.length) console.warn("Automation import warnings:", warnings);
+            this.refreshAutomationGUI();
+            this.notify(`Automation imported for "${this.automation.trackName}"` + (warnings.length ? ` with ${warnings.length} warning(s), see console.` : '.'));
+        } catch (e) {
+            console.error("Error importing automation:", e);
+            this.notify(`Error importing automation: ${e.message}`);
+        }
+    }
+
+    refreshAutomationGUI() {
+        const { target } = this.automationControls;
+        this.automationControls.lanes = Object.entries(this.automation.lanes)
+            .map(([key, keyframes]) => `${key} (${keyframes.length})`).join(', ') || 'none';
+        this.automationLanesController.updateDisplay();
+        this.automationKeyframeControllers.forEach(controller => this.automationKeyframesFolder.remove(controller));
+        this.automationKeyframeControllers = this.automation.getKeyframes(target).map((keyframe, index) => {
+            const label = { text: `${keyframe.time.toFixed(2)}s = ${keyframe.value} (${keyframe.curve})` };
+            const controller = this.automationKeyframesFolder.add(label, 'text').name(`${target} ${index + 1}`);
+            controller.domElement.querySelector('input').readOnly = true;
+            return controller;
+        });
+        if (this.onAutomationChanged) this.onAutomationChanged(this.automation.getKeyframeTimes(target));
+    }
+
+    // Runs before anything reads this.settings, so automated values behave like edits to the base settings
+    applyAutomation() {
+        const automated = this.automation.apply(this.settings, this.trackTime);
+        if (!automated.length) return;
+        this.getAllControllers()
+            .filter(controller => controller.object === this.settings && automated.includes(controller.property))
+            .forEach(controller => controller.updateDisplay());
+    }
+
+    resetToDefaults() { 
+        console.log("Resetting settings to defaults.");
+        this.applySettings(this.initialSettings);
+        this.notify("Settings reset to defaults!");
+    }
+    // Numeric settings a routing can drive; particleCount is excluded because it reallocates buffers
+    getModulationTargets() {
+        return Object.keys(this.initialSettings).filter(key => typeof this.initialSettings[key] === 'number' && key !== 'particleCount');
+    }
+
+    getModulationSources() {
+        const arraySources = Array.from({ length: this.bandArrayLength }, (_, i) => `band${i + 1}`);
+        return [...this.bandNames, ...arraySources, ...BASE_MODULATION_SOURCES];
+    }
+
+    setBandArrayLength(length) {
+        if (length === this.bandArrayLength) return;
+        this.bandArrayLength = length;
+        this.refreshModulationGUI();
+    }
+
+    // Slider limits of the GUI control for a setting, used as the default modulation range
+    getSettingRange(key) {
+        const folders = [this.gui];
+        for (let i = 0; i < folders.length; i++) folders.push(...Object.values(folders[i].__folders));
+        for (const folder of folders) {
+            const controller = folder.__controllers.find(c => c.object === this.settings && c.property === key);
+            if (controller && controller.__min !== undefined && controller.__max !== undefined) {
+                return { min: controller.__min, max: controller.__max };
+            }
+        }
+        const value = this.initialSettings[key];
+        return { min: 0, max: Math.max(1, value * 2) };
+    }
+
+    addModulationRouting() {
+        const target = 'bloomRadius';
+        this.settings.modulationRoutings.push(createRouting(target, this.getSettingRange(target)));
+        this.refreshModulationGUI();
+    }
+
+    removeModulationRouting(routing) {
+        this.settings.modulationRoutings = this.settings.modulationRoutings.filter(r => r !== routing);
+        this.refreshModulationGUI();
+    }
+
+    refreshModulationGUI() {
+        this.modulationRoutingFolders.forEach(folder => this.modulationFolder.removeFolder(folder));
+        this.modulationRoutingFolders = this.settings.modulationRoutings.map((routing, index) => {
+            const folder = this.modulationFolder.addFolder(`Routing ${index + 1} (#${routing.id})`);
+            folder.add(routing, 'enabled').name('Enabled');
+            folder.add(routing, 'source', this.getModulationSources()).name('Source');
+            const minController = folder.add(routing, 'min').name('Range Min');
+            const maxController = folder.add(routing, 'max').name('Range Max');
+            folder.add(routing, 'target', this.getModulationTargets()).name('Target').onChange(target => {
+                Object.assign(routing, this.getSettingRange(target));
+                minController.updateDisplay();
+                maxController.updateDisplay();
+            });
+            folder.add(routing, 'amount', -1, 1, 0.01).name('Amount');
+            folder.add(routing, 'curve', Object.keys(MODULATION_CURVES)).name('Curve');
+            folder.add(routing, 'attack', 0, 2, 0.01).name('Attack (s)');
+            folder.add(routing, 'release', 0, 5, 0.01).name('Release (s)');
+            folder.add({ remove: () => this.removeModulationRouting(routing) }, 'remove').name('Remove Routing');
+            return folder;
+        });
+    }
+
     refreshGUI() { 
         if (this.gui && this.gui.__controllers) {
             this.gui.__controllers.forEach(controller => {
@@ -165,40 +975,324 @@ export class Visualizer {
             });
         }
         if (this.gui && this.gui.__folders) {
-            Object.values(this.gui.__folders).forEach(folder => {
+            const folders = Object.values(this.gui.__folders); // Walks nested folders too (palette colors, post FX passes)
+            for (let i = 0; i < folders.length; i++) {
+                const folder = folders[i];
+                if (folder.__folders) folders.push(...Object.values(folder.__folders));
                 if (folder.__controllers) {
                     folder.__controllers.forEach(controller => {
                         if(typeof controller.updateDisplay === 'function') controller.updateDisplay();
                     });
                 }
-            });
+            }
         }
         console.log("GUI refreshed.");
     }
+    setOverlaysVisible(visible) {
+        const display = visible ? '' : 'none';
+        if (this.gui && this.gui.domElement) this.gui.domElement.style.display = display;
+        if (this.stats && this.stats.dom) this.stats.dom.style.display = display;
+    }
+
+    getViewSize() {
+        return this.viewSize || { width: window.innerWidth, height: window.innerHeight };
+    }
+
+    // width/height in CSS pixels, or null to fill the window again
+    setViewSize(width, height) {
+        this.viewSize = width && height ? { width, height } : null;
+        this.resize();
+    }
+
+    resize() {
+        if (this.offlineRender) return; // Export resolution is fixed until the render ends
+        const { width, height } = this.getViewSize();
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(width, height);
+        if (this.postFx) {
+            this.postFx.setSize(width, height);
+        }
+        console.log(`Visualizer: Resized to ${width}x${height}`);
+    }
+
+    // pose: { position: [x, y, z], target: [x, y, z], fov } or null to hand the camera back to the director
+    setCameraOverride(pose) {
+        if (!pose) {
+            this.cameraOverride = null;
+            return;
+        }
+        if (!this.cameraOverride) {
+            this.cameraOverride = { position: new THREE.Vector3(), target: new THREE.Vector3(), fov: this.camera.fov };
+        }
+        this.cameraOverride.position.fromArray(pose.position);
+        this.cameraOverride.target.fromArray(pose.target);
+        this.cameraOverride.fov = pose.fov;
+    }
+
     setupRendererAndScene() { 
         console.log("Visualizer: setupRendererAndScene");
-        this.renderer = new THREE.WebGLRenderer({
-            canvas: this.canvas,
-            antialias: true,
-            powerPreference: "high-performance"
-        });
-        this.renderer.setPixelRatio(window.devicePixelRatio);
+        try {
+            this.renderer = new THREE.WebGLRenderer({
+                canvas: this.canvas,
+                antialias: true,
+                powerPreference: "high-performance"
+            });
+        } catch (e) {
+            // No WebGL 2 (disabled hardware acceleration, blocklisted GPU, old browser): nothing can render
+            console.error("Visualizer: Could not create the WebGL renderer:", e);
+            this.setOverlaysVisible(false); // The GUI would only control a blank canvas
+            const error = new Error("WebGL is not available in this browser, so the visualizer cannot run. Enable hardware acceleration or try another browser.");
+            error.name = 'WebGLUnavailableError';
+            throw error;
+        }
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, this.qualityLevel.maxPixelRatio));
         this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.setClearColor(0x000000);
         this.scene = new THREE.Scene();
-        this.camera = new THREE.PerspectiveCamera(70, window.innerWidth / window.innerHeight, 0.1, 1000); 
-        this.camera.position.z = 8; 
-        this.camera.lookAt(this.scene.position);
+        this.backgroundTexture = createGradientTexture();
+        this.scene.background = this.backgroundTexture;
+        this.updatePalette(this.settings);
+        this.camera = new THREE.PerspectiveCamera(START_CAMERA_POSE.fov, window.innerWidth / window.innerHeight, 0.1, 1000);
+        this.camera.position.copy(START_CAMERA_POSE.position);
+        this.camera.lookAt(START_CAMERA_POSE.target);
         console.log("Camera position:", this.camera.position.toArray().join(', '));
         this.controls = new OrbitControls(this.camera, this.renderer.domElement);
         this.controls.enableDamping = true;
         this.controls.dampingFactor = 0.05;
         this.controls.minDistance = 2;
         this.controls.maxDistance = 50;
+        this.cameraDirector = new CameraDirector(this.camera, this.controls);
+        this.refreshCameraBookmarkList();
+    }
+
+    addCameraBookmark() {
+        this.settings.cameraBookmarks.push(this.cameraDirector.captureBookmark());
+        this.refreshCameraBookmarkList();
+        this.notify(`Camera bookmark ${this.settings.cameraBookmarks.length} saved.`);
+    }
+
+    goToCameraBookmark(index) {
+        if (this.settings.cameraMode !== 'bookmarks' && this.settings.cameraMode !== 'manual') {
+            this.settings.cameraMode = 'manual'; // Other modes would pull the camera straight back
+            this.refreshGUI();
+        }
+        this.cameraDirector.goToBookmark(index, this.settings);
+    }
+
+    refreshCameraBookmarkList() {
+        this.cameraBookmarkControllers.forEach(controller => this.cameraBookmarksFolder.remove(controller));
+        this.cameraBookmarkControllers = this.settings.cameraBookmarks.map((bookmark, index) =>
+            this.cameraBookmarksFolder.add({ go: () => this.goToCameraBookmark(index) }, 'go')
+                .name(`Shot ${index + 1} (FOV ${Math.round(bookmark.fov)})`));
+    }
+    // Decodes palette settings (base or modulated copy); materials see the new colors through shared references
+    updatePalette(settings) {
+        if (!this.palette.update(settings)) return;
+        drawGradientTexture(this.backgroundTexture, this.palette.values.colorBackgroundTop, this.palette.values.colorBackgroundBottom);
+    }
+
+    setPalette(name) {
+        const palette = PALETTES[name];
+        if (!palette) return; // 'custom' keeps the current colors
+        Object.assign(this.settings, palette);
+        this.settings.paletteName = name;
+        if (this.paletteBeforeAlbumArt) this.paletteBeforeAlbumArt = this.capturePalette(); // Tracks without a cover get this one
+        this.refreshGUI();
+    }
+
+    capturePalette() {
+        const palette = { paletteName: this.settings.paletteName };
+        Object.keys(PALETTES.classic).forEach(key => { palette[key] = this.settings[key]; });
+        return palette;
+    }
+
+    // Decoding is async: only the most recent image (picked or the current track's cover) is applied
+    async setPaletteFromImage(source) {
+        const token = ++this.paletteImageToken;
+        try {
+            const colors = await loadImagePalette(source);
+            if (token !== this.paletteImageToken) return false;
+            Object.assign(this.settings, colors);
+            this.settings.paletteName = 'custom';
+            this.refreshGUI();
+            return true;
+        } catch (e) {
+            console.error("Visualizer: Could not read palette from image:", e);
+            this.notify(`Could not read colors from the image: ${e.message}`);
+            return false;
+        }
+    }
+
+    async pickPaletteImage() {
+        const file = await pickFile('image/*');
+        if (file && await this.setPaletteFromImage(file)) this.notify(`Palette taken from "${file.name}".`);
+    }
+
+    // info: { title, artist, album, cover (Blob or null), lyrics } of the current track, for the overlay and the cover art
+    setTrackInfo(info) {
+        this.nowPlaying.setTrack(info);
+        this.setAlbumArt(info.cover || null);
+    }
+
+    // Called by the host with the current track's cover (Blob or image), or null when it has none
+    setAlbumArt(image) {
+        this.albumArt = image;
+        this.applyAlbumArtPalette();
+        this.updateAlbumArtTexture(image);
+    }
+
+    async updateAlbumArtTexture(image) {
+        const token = ++this.albumArtToken;
+        let canvas = null;
+        if (image) {
+            try {
+                const bitmap = await createImageBitmap(image);
+                canvas = document.createElement('canvas');
+                canvas.width = ALBUM_ART_TEXTURE_SIZE;
+                canvas.height = ALBUM_ART_TEXTURE_SIZE;
+                canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+                bitmap.close();
+            } catch (e) {
+                console.warn("Visualizer: Could not decode album art:", e);
+                canvas = null;
+            }
+        }
+        if (token !== this.albumArtToken) return; // The track changed while decoding
+        if (this.albumArtTexture) this.albumArtTexture.dispose();
+        this.albumArtTexture = null;
+        if (canvas) {
+            // No color space: the sphere and particle shaders write colors straight to the canvas
+            this.albumArtTexture = new THREE.CanvasTexture(canvas);
+            this.albumArtTexture.wrapS = THREE.MirroredRepeatWrapping;
+        }
+        this.bindAlbumArtTexture();
+    }
+
+    bindAlbumArtTexture() {
+        if (this.sphereMaterial) this.sphereMaterial.uniforms.albumArt.value = this.albumArtTexture;
+        if (this.gpuParticles) this.gpuParticles.setCoverTexture(this.albumArtTexture);
+    }
+
+    applyAlbumArtPalette() {
+        if (!this.settings.paletteFromAlbumArt) return;
+        if (!this.albumArt) {
+            this.restorePaletteBeforeAlbumArt();
+            return;
+        }
+        if (!this.paletteBeforeAlbumArt) this.paletteBeforeAlbumArt = this.capturePalette();
+        this.setPaletteFromImage(this.albumArt);
+    }
+
+    restorePaletteBeforeAlbumArt() {
+        this.paletteImageToken++; // A cover still being decoded must not land afterwards
+        if (!this.paletteBeforeAlbumArt) return;
+        Object.assign(this.settings, this.paletteBeforeAlbumArt);
+        this.paletteBeforeAlbumArt = null;
+        this.refreshGUI();
+    }
+
+    // Particle tint while audio plays: the band colors weighted by their levels, each brought to full brightness
+    updateParticleAudioColor(frequencies) {
+        const colors = this.palette.shaderColors;
+        this.particleAudioColor.copy(colors.colorParticleMid).multiplyScalar(0.2);
+        [['colorBass', frequencies.bass], ['colorMid', frequencies.mid], ['colorTreble', frequencies.treble]].forEach(([key, level]) => {
+            const color = colors[key];
+            const peak = Math.max(color.r, color.g, color.b, 0.001);
+            this.particleAudioColor.r += color.r / peak * level * 0.5;
+            this.particleAudioColor.g += color.g / peak * level * 0.5;
+            this.particleAudioColor.b += color.b / peak * level * 0.5;
+        });
+        return this.particleAudioColor;
+    }
+
+    // Disposes the current scene module before creating the next, so switching never stacks GPU resources
+    setActiveScene(name, force = false) {
+        if (!force && name === this.activeSceneName) return;
+        const SceneClass = SCENE_MODULES[name] || SCENE_MODULES.orb;
+        if (!SCENE_MODULES[name]) console.warn(`Visualizer: Unknown scene "${name}", using orb`);
+        if (this.activeScene) {
+            console.log(`Visualizer: Disposing scene "${this.activeSceneName}"`);
+            this.activeScene.dispose();
+        }
+        this.activeScene = new SceneClass();
+        this.activeSceneName = name;
+        this.activeScene.create({ scene: this.scene, camera: this.camera, renderer: this.renderer, visualizer: this });
+        console.log(`Visualizer: Scene "${name}" active`);
+    }
+
+    getSphereShaderSource() {
+        return {
+            vertex: this.settings.sphereVertexShader || DEFAULT_SPHERE_VERTEX_SHADER,
+            fragment: this.settings.sphereFragmentShader || DEFAULT_SPHERE_FRAGMENT_SHADER
+        };
+    }
+
+    // Validates before touching the material, so a broken edit leaves the last working shader on screen
+    setSphereShader(vertex, fragment) {
+        if (this.contextLost) {
+            return [{ stage: 'context', line: null, message: 'The graphics context is lost; try again once it is restored.' }];
+        }
+        const errors = checkShaderProgram(this.renderer.getContext(), vertex, fragment);
+        if (errors.length) return errors;
+        this.settings.sphereVertexShader = vertex === DEFAULT_SPHERE_VERTEX_SHADER ? '' : vertex;
+        this.settings.sphereFragmentShader = fragment === DEFAULT_SPHERE_FRAGMENT_SHADER ? '' : fragment;
+        this.syncSphereShader();
+        return [];
+    }
+
+    // Brings the sphere material in line with the shader source in settings (after presets, morphs or edits)
+    syncSphereShader() {
+        if (this.contextLost) return; // Nothing compiles now; animateScene syncs again after the restore
+        let { vertex, fragment } = this.getSphereShaderSource();
+        const applied = this.appliedSphereShader;
+        if (applied && applied.vertex === vertex && applied.fragment === fragment) return;
+        const isCustom = this.settings.sphereVertexShader || this.settings.sphereFragmentShader;
+        if (isCustom && checkShaderProgram(this.renderer.getContext(), vertex, fragment).length) {
+            this.notify('The preset\'s custom sphere shader does not compile here. Using the built-in shader.');
+            this.settings.sphereVertexShader = '';
+            this.settings.sphereFragmentShader = '';
+            ({ vertex, fragment } = this.getSphereShaderSource());
+        }
+        if (this.sphereMaterial) {
+            this.sphereMaterial.vertexShader = vertex;
+            this.sphereMaterial.fragmentShader = fragment;
+            this.sphereMaterial.needsUpdate = true;
+        }
+        this.appliedSphereShader = { vertex, fragment };
+        this.syncCustomUniforms();
+        if (this.onSphereShaderChanged) this.onSphereShaderChanged({ vertex, fragment });
+    }
+
+    // Adds material uniforms and GUI sliders for extra `uniform float`s, dropping ones no longer declared
+    syncCustomUniforms() {
+        const { vertex, fragment } = this.getSphereShaderSource();
+        const declared = parseCustomUniforms(vertex, fragment);
+        const values = this.settings.sphereShaderUniforms;
+        Object.keys(values).forEach(name => {
+            if (!declared.some(uniform => uniform.name === name)) delete values[name];
+        });
+        declared.forEach(({ name, min, max }) => {
+            if (typeof values[name] !== 'number' || !Number.isFinite(values[name])) values[name] = min;
+        });
+        if (this.sphereMaterial) {
+            Object.keys(this.sphereMaterial.uniforms)
+                .filter(name => !BUILTIN_SPHERE_UNIFORMS.includes(name) && !(name in values))
+                .forEach(name => delete this.sphereMaterial.uniforms[name]);
+            declared.forEach(({ name }) => {
+                if (!this.sphereMaterial.uniforms[name]) this.sphereMaterial.uniforms[name] = { value: values[name] };
+            });
+        }
+        this.customUniformNames = declared.map(uniform => uniform.name);
+
+        this.shaderUniformControllers.forEach(controller => this.shaderUniformFolder.remove(controller));
+        this.shaderUniformControllers = declared.map(({ name, min, max }) =>
+            this.shaderUniformFolder.add(values, name, min, max, (max - min) / 100).name(name));
+        if (declared.length) this.shaderUniformFolder.open();
     }
+
     createSceneObjects() { 
         console.log("Visualizer: createSceneObjects");
-        const sphereGeometry = new THREE.IcosahedronGeometry(1.5, 15);
+        const sphereGeometry = new THREE.IcosahedronGeometry(1.5, this.qualityLevel.sphereDetail);
         this.sphereMaterial = new THREE.ShaderMaterial({
             uniforms: {
                 time: { value: 0 },
@@ -208,82 +1302,23 @@ export class Visualizer {
                 highMid: { value: 0 },
                 treble: { value: 0 },
                 volume: { value: 0 },
+                beatPulse: { value: 0 },
                 sphereNoiseStrength: { value: this.settings.sphereNoiseStrength },
-                sphereNoiseSpeed: { value: this.settings.sphereNoiseSpeed }
+                sphereNoiseSpeed: { value: this.settings.sphereNoiseSpeed },
+                paletteBase: { value: this.palette.shaderColors.colorSphereBase },
+                paletteBass: { value: this.palette.shaderColors.colorBass },
+                paletteMid: { value: this.palette.shaderColors.colorMid },
+                paletteTreble: { value: this.palette.shaderColors.colorTreble },
+                palettePulse: { value: this.palette.shaderColors.colorPulse },
+                paletteRim: { value: this.palette.shaderColors.colorRim },
+                albumArt: { value: this.albumArtTexture },
+                albumArtMix: { value: 0 }
             },
-            vertexShader: `
-                varying vec3 vWorldPosition;
-                varying vec3 vViewPosition;
-                varying vec3 vViewNormal;
-                varying float vNoise;
-                uniform float bass;
-                uniform float mid; 
-                uniform float treble;
-                uniform float time;
-                uniform float sphereNoiseStrength;
-                uniform float sphereNoiseSpeed;
-                float rand(vec2 n) { 
-                    return fract(sin(dot(n, vec2(12.9898, 4.1414))) * 43758.5453);
-                }
-                float fbm(vec3 p) {
-                    float value = 0.0;
-                    float amplitude = 0.5;
-                    float frequency = 2.0; 
-                    for (int i = 0; i < 4; i++) { 
-                        value += amplitude * rand(p.xy * frequency + time * sphereNoiseSpeed * 0.5); 
-                        p.xy += vec2(10.0); 
-                        amplitude *= 0.5; 
-                        frequency *= 2.0; 
-                    }
-                    return value;
-                }
-                void main() {
-                    vWorldPosition = position;
-                    vNoise = fbm(position * 2.0); 
-                    float audioDisplacement = bass * 0.45 * sin(position.y * 10.0 + time * 2.5 + position.x * 5.0);
-                    audioDisplacement += mid * 0.25 * cos(position.x * 8.0 - time * 1.5 + position.z * 6.0);
-                    audioDisplacement += treble * 0.15 * sin(position.z * 12.0 + time * 1.8 + position.y * 4.0);
-                    float noiseDisplacement = (vNoise - 0.25) * sphereNoiseStrength * (1.0 + bass * 0.5); 
-                    vec3 newPosition = position + normal * (audioDisplacement + noiseDisplacement);
-                    vec4 mvPosition = modelViewMatrix * vec4(newPosition, 1.0);
-                    vViewPosition = -mvPosition.xyz;
-                    vViewNormal = normalize(normalMatrix * normal); 
-                    gl_Position = projectionMatrix * mvPosition;
-                }
-            `,
-            fragmentShader: `
-                varying vec3 vWorldPosition;
-                varying vec3 vViewPosition;
-                varying vec3 vViewNormal;
-                varying float vNoise; 
-                uniform float bass;
-                uniform float mid;
-                uniform float treble;
-                uniform float volume;
-                uniform float time;
-                float mySmoothstep(float edge0, float edge1, float x) {
-                    float t = clamp((x - edge0) / (edge1 - edge0), 0.0, 1.0);
-                    return t * t * (3.0 - 2.0 * t);
-                }
-                void main() {
-                    vec3 baseColor = vec3(0.02, 0.02, 0.04); 
-                    vec3 bassColorContribution = vec3(0.7, 0.08, 0.08) * mySmoothstep(0.2, 0.9, bass); 
-                    vec3 midColorContribution = vec3(0.08, 0.6, 0.15) * mySmoothstep(0.15, 0.8, mid);
-                    vec3 trebleColorContribution = vec3(0.15, 0.2, 0.7) * mySmoothstep(0.2, 0.7, treble);
-                    vec3 audioColor = bassColorContribution + midColorContribution + trebleColorContribution;
-                    vec3 color = baseColor + audioColor;
-                    color *= (0.8 + vNoise * 0.6); 
-                    float pulseStrength = (1.0 + sin(time * 5.0 + vWorldPosition.y * 4.0)) * 0.5; 
-                    pulseStrength *= (volume * volume * 0.6 * (0.5 + vNoise)); 
-                    color += vec3(0.25, 0.2, 0.15) * pulseStrength; 
-                    float fresnelDot = abs(dot(normalize(vViewNormal), normalize(vViewPosition)));
-                    float fresnelEffect = pow(1.0 - fresnelDot, 3.5); 
-                    color += vec3(0.5, 0.6, 0.7) * fresnelEffect * (0.15 + volume * 0.5); 
-                    color = clamp(color, 0.0, 1.3); 
-                    gl_FragColor = vec4(color, 1.0);
-                }
-            `
+            vertexShader: this.getSphereShaderSource().vertex,
+            fragmentShader: this.getSphereShaderSource().fragment
         });
+        this.appliedSphereShader = this.getSphereShaderSource();
+        this.syncCustomUniforms();
         this.sphere = new THREE.Mesh(sphereGeometry, this.sphereMaterial);
         this.scene.add(this.sphere);
         this.sphere.updateMatrixWorld(true);
@@ -293,203 +1328,252 @@ export class Visualizer {
         console.log("Sphere visible:", this.sphere.visible);
         this.createParticles();
     }
-    createParticles() { 
-        console.log("Visualizer: createParticles (re)called with lifespan logic");
-        if (this.particleSystem) {
-            console.log("Visualizer: Disposing old particle system");
+    createParticles() {
+        console.log("Visualizer: createParticles (GPU simulation)");
+        if (this.gpuParticles) {
             this.scene.remove(this.particleSystem);
-            this.particleSystem.geometry.dispose();
-            if (this.particleSystem.material.uniforms.pointTexture.value) {
-                this.particleSystem.material.uniforms.pointTexture.value.dispose();
-            }
-            this.particleSystem.material.dispose();
-            this.particleSystem = null;
-        }
-        const particles = new THREE.BufferGeometry();
-        const positions = new Float32Array(this.settings.particleCount * 3);
-        const colors = new Float32Array(this.settings.particleCount * 3);
-        const baseSizes = new Float32Array(this.settings.particleCount); 
-        const randomFactors = new Float32Array(this.settings.particleCount);
-        const life = new Float32Array(this.settings.particleCount);
-        const maxLife = new Float32Array(this.settings.particleCount);
-        const particleOuterRadius = 15; 
-        const particleInnerRadius = 2.5; 
-        for (let i = 0; i < this.settings.particleCount; i++) {
-            this.resetParticle(i, positions, colors, baseSizes, randomFactors, life, maxLife);
-        }
-        particles.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        particles.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-        particles.setAttribute('baseSize', new THREE.BufferAttribute(baseSizes, 1)); 
-        particles.setAttribute('randomFactor', new THREE.BufferAttribute(randomFactors, 1));
-        particles.setAttribute('life', new THREE.BufferAttribute(life, 1)); 
-        particles.setAttribute('maxLife', new THREE.BufferAttribute(maxLife, 1)); 
-        const particleMaterial = new THREE.ShaderMaterial({
-            uniforms: {
-                time: { value: 0 },
-                pointTexture: { value: this.generateParticleTexture() },
-                globalParticleScale: { value: this.settings.particleSize }, 
-                audioVolume: { value: 0.0 }, 
-                audioMid: { value: 0.0 }      
-            },
-            vertexShader: `
-                attribute float baseSize; 
-                attribute vec3 color;
-                attribute float randomFactor;
-                attribute float life;     
-                attribute float maxLife;  
-                varying vec3 vColor;
-                varying float vAlpha; 
-                uniform float time;
-                uniform float globalParticleScale; 
-                uniform float audioVolume;
-                uniform float audioMid;
-                void main() {
-                    vColor = color;
-                    float normalizedAge = 1.0 - (life / maxLife); 
-                    float fadeInDuration = 0.2;
-                    float fadeOutStartTime = 0.7;
-                    if (normalizedAge < fadeInDuration) {
-                        vAlpha = normalizedAge / fadeInDuration; 
-                    } else if (normalizedAge > fadeOutStartTime) {
-                        vAlpha = 1.0 - ((normalizedAge - fadeOutStartTime) / (1.0 - fadeOutStartTime)); 
-                    } else {
-                        vAlpha = 1.0; 
-                    }
-                    vAlpha = clamp(vAlpha, 0.0, 1.0) * (0.5 + randomFactor * 0.5); 
-                    vec3 pos = position;
-                    float angle = time * 0.05 * (1.0 + randomFactor * 0.8); 
-                    float s = sin(angle + randomFactor * 6.28); 
-                    float c = cos(angle + randomFactor * 6.28);
-                    mat2 rotXZ = mat2(c, -s, s, c);
-                    pos.xz = rotXZ * pos.xz;
-                    pos.xy = rotXZ * pos.xy; 
-                    pos.y += sin(time * 0.2 + randomFactor * 10.0) * 0.3 * (1.0 + audioMid * 2.0);
-                    vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
-                    float audioSizeFactor = 1.0 + audioVolume * 0.8 + audioMid * 1.2; 
-                    gl_PointSize = baseSize * globalParticleScale * audioSizeFactor * (100.0 / -mvPosition.z); 
-                    gl_PointSize *= vAlpha; 
-                    gl_Position = projectionMatrix * mvPosition;
-                }
-            `,
-            fragmentShader: `
-                uniform sampler2D pointTexture;
-                varying vec3 vColor;
-                varying float vAlpha; 
-                void main() {
-                    if (vAlpha < 0.01) discard; 
-                    vec4 texColor = texture2D(pointTexture, gl_PointCoord);
-                    gl_FragColor = vec4(vColor * texColor.rgb, texColor.a * vAlpha);
-                }
-            `,
-            transparent: true,
-            blending: THREE.AdditiveBlending,
-            depthWrite: false 
+            this.gpuParticles.dispose();
+        }
+        // The random wrapper follows this.random, so offline renders pick up the seeded generator
+        this.gpuParticles = new GPUParticleSystem(this.renderer, {
+            count: this.settings.particleCount * this.qualityLevel.particleScale,
+            particleSize: this.settings.particleSize,
+            minLife: this.settings.particleMinLife,
+            maxLife: this.settings.particleMaxLife,
+            emitter: this.settings.particleEmitter,
+            emitterScale: this.settings.particleEmitterScale,
+            sphereRadius: this.sphere.geometry.parameters.radius,
+            random: () => this.random(),
+            gradient: PARTICLE_GRADIENT.map(key => this.palette.shaderColors[key])
         });
-        this.particleSystem = new THREE.Points(particles, particleMaterial);
+        this.gpuParticles.setEmitterSource(this.sphere);
+        this.gpuParticles.setCoverTexture(this.albumArtTexture);
+        this.particleSystem = this.gpuParticles.points;
         this.scene.add(this.particleSystem);
-        console.log("Visualizer: New particle system created and added with lifespan attributes.");
-    }
-    resetParticle(index, positions, colors, baseSizes, randomFactors, life, maxLife) { 
-        const i3 = index * 3;
-        const particleOuterRadius = 15; 
-        const particleInnerRadius = 2.5; 
-        const radius = particleInnerRadius + Math.random() * (particleOuterRadius - particleInnerRadius);
-        const theta = Math.random() * 2 * Math.PI;
-        const phi = Math.acos((Math.random() * 2) - 1);
-        positions[i3] = radius * Math.sin(phi) * Math.cos(theta);
-        positions[i3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
-        positions[i3 + 2] = radius * Math.cos(phi);
-        colors[i3] = 0.6 + Math.random() * 0.4; 
-        colors[i3 + 1] = 0.6 + Math.random() * 0.4;
-        colors[i3 + 2] = 0.6 + Math.random() * 0.4;
-        baseSizes[index] = 0.5 + Math.random() * 1.0; 
-        randomFactors[index] = Math.random(); 
-        const lifeRange = this.settings.particleMaxLife - this.settings.particleMinLife;
-        maxLife[index] = this.settings.particleMinLife + Math.random() * lifeRange;
-        if (maxLife[index] <=0.1) maxLife[index] = Math.max(0.1, this.settings.particleMinLife);
-        life[index] = maxLife[index];
-    }
-    generateParticleTexture() { 
-        const canvas = document.createElement('canvas');
-        canvas.width = 128; 
-        canvas.height = 128;
-        const ctx = canvas.getContext('2d');
-        const center = canvas.width / 2;
-        const gradient = ctx.createRadialGradient(center, center, 0, center, center, center);
-        gradient.addColorStop(0,    'rgba(255,255,255,1)');
-        gradient.addColorStop(0.15, 'rgba(255,255,255,0.95)'); 
-        gradient.addColorStop(0.4,  'rgba(255,255,255,0.6)');
-        gradient.addColorStop(0.8,  'rgba(255,255,255,0.1)');
-        gradient.addColorStop(1,    'rgba(255,255,255,0)');
-        ctx.fillStyle = gradient;
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-        return new THREE.CanvasTexture(canvas);
+    }
+
+    disposeSceneObjects() {
+        console.log("Visualizer: disposeSceneObjects");
+        if (this.sphere) {
+            this.scene.remove(this.sphere);
+            this.sphere.geometry.dispose();
+            this.sphereMaterial.dispose();
+        }
+        if (this.gpuParticles) {
+            this.scene.remove(this.particleSystem);
+            this.gpuParticles.dispose();
+        }
+        this.sphere = null;
+        this.sphereMaterial = null;
+        this.gpuParticles = null;
+        this.particleSystem = null;
     }
 
     addPostProcessing() {
-        console.log("Visualizer: addPostProcessing with FilmPass");
-        this.composer = new EffectComposer(this.renderer);
-        this.composer.addPass(new RenderPass(this.scene, this.camera));
-
-        this.bloomPass = new UnrealBloomPass(
-            new THREE.Vector2(window.innerWidth, window.innerHeight),
-            this.settings.bloomStrength, 
-            this.settings.bloomRadius,   
-            this.settings.bloomThreshold 
-        );
-        this.composer.addPass(this.bloomPass);
-
-        this.filmPass = new FilmPass(
-            this.settings.filmNoiseIntensity,
-            this.settings.filmScanlinesIntensity,
-            this.settings.filmScanlinesCount,
-            this.settings.filmGrayscale ? 1 : 0 
-        );
-        this.composer.addPass(this.filmPass);
+        console.log("Visualizer: addPostProcessing");
+        this.postFx = new PostFxChain(this.renderer, this.scene, this.camera);
+        this.postFx.setBloomScale(this.qualityLevel.bloomScale);
+        this.postFxTime = 0;
+        this.applyPostFxStack();
+        this.composer = this.postFx.composer;
+        this.refreshPostFxGUI();
+    }
+
+    applyPostFxStack() {
+        if (!this.postFx) return;
+        this.postFx.setStack(structuredClone(this.settings.postFxStack));
+        this.appliedPostFxStack = JSON.stringify(this.settings.postFxStack);
+    }
+
+    // Presets, morphs and remote edits replace settings.postFxStack wholesale; rebuild when it changed
+    syncPostFxStack() {
+        if (JSON.stringify(this.settings.postFxStack) === this.appliedPostFxStack) return;
+        this.settings.postFxStack = sanitizePostFxStack(this.settings.postFxStack);
+        this.applyPostFxStack();
+        this.refreshPostFxGUI();
+    }
+
+    addPostFxPass(type) {
+        if (!POST_FX_PASSES[type]) return;
+        if (this.settings.postFxStack.some(entry => entry.type === type)) {
+            this.notify(`${POST_FX_PASSES[type].label} is already in the stack.`);
+            return;
+        }
+        this.settings.postFxStack.push({ type, enabled: true });
+        this.applyPostFxStack();
+        this.refreshPostFxGUI();
+    }
+
+    movePostFxPass(index, delta) {
+        const stack = this.settings.postFxStack;
+        const target = index + delta;
+        if (target < 0 || target >= stack.length) return;
+        [stack[index], stack[target]] = [stack[target], stack[index]];
+        this.applyPostFxStack();
+        this.refreshPostFxGUI();
+    }
+
+    removePostFxPass(index) {
+        this.settings.postFxStack.splice(index, 1);
+        this.applyPostFxStack();
+        this.refreshPostFxGUI();
+    }
+
+    // One subfolder per pass, numbered in render order
+    refreshPostFxGUI() {
+        if (!this.postFxFolder) return;
+        this.postFxPassFolders.forEach(folder => this.postFxFolder.removeFolder(folder));
+        this.postFxPassFolders = [];
+        this.settings.postFxStack.forEach((entry, index) => {
+            const definition = POST_FX_PASSES[entry.type];
+            const folder = this.postFxFolder.addFolder(`${index + 1}. ${definition.label}`);
+            folder.add(entry, 'enabled').name('Enabled').onChange(() => this.applyPostFxStack());
+            definition.params.forEach(([key, label, min, max, step]) => {
+                const controller = min === undefined
+                    ? folder.add(this.settings, key)
+                    : folder.add(this.settings, key, min, max, step);
+                controller.name(label);
+            });
+            folder.add({ up: () => this.movePostFxPass(index, -1) }, 'up').name('Move Up');
+            folder.add({ down: () => this.movePostFxPass(index, 1) }, 'down').name('Move Down');
+            folder.add({ remove: () => this.removePostFxPass(index) }, 'remove').name('Remove');
+            this.postFxPassFolders.push(folder);
+        });
     }
 
     addEventListeners() { 
         console.log("Visualizer: addEventListeners");
         window.addEventListener('resize', () => {
-            this.camera.aspect = window.innerWidth / window.innerHeight;
-            this.camera.updateProjectionMatrix();
-            this.renderer.setSize(window.innerWidth, window.innerHeight);
-            if (this.composer) { 
-                this.composer.setSize(window.innerWidth, window.innerHeight);
-            }
-            console.log("Visualizer: Resized");
+            if (!this.viewSize) this.resize();
         });
+        window.addEventListener('hashchange', () => this.loadStartupPreset());
+        this.canvas.addEventListener('webglcontextlost', (e) => this.handleContextLost(e));
+        this.canvas.addEventListener('webglcontextrestored', () => this.handleContextRestored());
+    }
+
+    // Driver resets, GPU sleep or too many tabs can take the context away; rendering pauses until it's back
+    handleContextLost(event) {
+        event.preventDefault(); // Otherwise the browser never restores the context
+        this.contextLost = true;
+        console.warn("Visualizer: WebGL context lost");
+        this.notify('Graphics context lost. Waiting for the GPU to come back...');
+    }
+
+    // three.js re-initialises its own state on restore, but render targets come back empty (particle
+    // simulation, afterimage history) and compiled programs are gone, so the scene module and the
+    // post-processing chain are rebuilt from the current settings.
+    handleContextRestored() {
+        console.log("Visualizer: WebGL context restored, rebuilding scene and post-processing");
+        this.contextLost = false;
+        this.backgroundTexture.needsUpdate = true;
+        this.setActiveScene(this.settings.sceneName, true);
+        if (this.postFx) this.postFx.dispose();
+        this.addPostProcessing();
+        this.qualityGovernor.resetMeasurement(); // The first frames recompile shaders and would read as slow
+        this.notify('Graphics context restored.');
+    }
+
+    setupQualityControls() {
+        const governor = this.qualityGovernor;
+        this.qualityControls = {
+            locked: governor.locked,
+            targetFps: governor.targetFps,
+            level: governor.getLevel().name,
+            status: governor.describe()
+        };
+        const folder = this.gui.addFolder('Performance');
+        folder.add(this.qualityControls, 'locked').name('Lock Quality').onChange(locked => governor.setLocked(locked));
+        folder.add(this.qualityControls, 'targetFps', 20, 144, 1).name('Target FPS').onFinishChange(fps => governor.setTargetFps(fps));
+        this.qualityLevelController = folder.add(this.qualityControls, 'level', QUALITY_LEVELS.map(level => level.name)).name('Quality')
+            .onChange(name => governor.setLevel(QUALITY_LEVELS.findIndex(level => level.name === name)));
+        this.qualityStatusController = folder.add(this.qualityControls, 'status').name('Status');
+        this.qualityStatusController.domElement.querySelector('input').readOnly = true;
+        governor.onLevelChanged = (level) => {
+            this.qualityControls.level = level.name;
+            this.qualityLevelController.updateDisplay();
+            this.applyQuality();
+        };
+        governor.onMeasured = () => {
+            this.qualityControls.status = governor.describe();
+            this.qualityStatusController.updateDisplay();
+        };
+    }
+
+    // Offline renders always use the top level, so exports don't depend on how fast this machine is
+    applyQuality() {
+        this.qualityLevel = this.offlineRender ? QUALITY_LEVELS[0] : this.qualityGovernor.getLevel();
+        if (this.postFx) this.postFx.setBloomScale(this.qualityLevel.bloomScale);
+        this.setSphereDetail(this.qualityLevel.sphereDetail);
+        if (this.offlineRender) return; // Export resolution is fixed until the render ends
+        this.setPixelRatio(Math.min(window.devicePixelRatio, this.qualityLevel.maxPixelRatio));
+        this.resize();
+    }
+
+    setPixelRatio(pixelRatio) {
+        this.renderer.setPixelRatio(pixelRatio);
+        if (this.postFx) this.postFx.setPixelRatio(pixelRatio);
+    }
+
+    // Swaps the orb's geometry in place; the material and the particle emitter keep working on it
+    setSphereDetail(detail) {
+        if (!this.sphere || this.sphere.geometry.parameters.detail === detail) return;
+        const radius = this.sphere.geometry.parameters.radius;
+        this.sphere.geometry.dispose();
+        this.sphere.geometry = new THREE.IcosahedronGeometry(radius, detail);
     }
     
     animateScene(deltaTime, audioData) {
+        if (this.contextLost) {
+            if (this.offlineRender) throw new Error("The graphics context was lost during the render.");
+            return;
+        }
+        if (!this.offlineRender) this.qualityGovernor.sample(performance.now());
         this.stats.begin();
-        this.controls.update(); 
+        if (!this.cameraOverride) this.controls.update();
+        this.updateMorph(deltaTime);
+        this.applyAutomation();
+        if (this.settings.sceneName !== this.activeSceneName) this.setActiveScene(this.settings.sceneName); // GUI, preset or morph switched it
+        this.syncSphereShader();
+        this.updateBeatPulses(deltaTime, audioData);
+
+        // Modulated copy of the settings; this.settings keeps the base values the GUI and presets use
+        this.modulationMatrix.updateSources(audioData, { beat: this.beatPulse, onset: this.onsetPulse, ...this.songSignals }, this.settings.lfoRate, deltaTime);
+        const settings = this.modulationMatrix.evaluate(this.settings, this.settings.modulationRoutings, deltaTime);
+        this.updatePalette(settings);
+        if (this.cameraOverride) {
+            this.cameraDirector.apply(this.cameraOverride);
+        } else {
+            this.cameraDirector.update(deltaTime, settings, {
+                bass: audioData ? audioData.frequencies.bass : 0,
+                beat: !!(audioData && audioData.beat && audioData.beat.isBeat),
+                beatPulse: this.beatPulse
+            });
+        }
+        if (this.activeScene) this.activeScene.update(deltaTime, audioData, settings);
 
         // Sphere Uniform Updates (with existence checks for robustness)
         if (this.sphereMaterial && this.sphereMaterial.uniforms) {
             if (this.sphereMaterial.uniforms.sphereNoiseStrength) {
-                this.sphereMaterial.uniforms.sphereNoiseStrength.value = this.settings.sphereNoiseStrength;
+                this.sphereMaterial.uniforms.sphereNoiseStrength.value = settings.sphereNoiseStrength;
             }
             if (this.sphereMaterial.uniforms.sphereNoiseSpeed) {
-                this.sphereMaterial.uniforms.sphereNoiseSpeed.value = this.settings.sphereNoiseSpeed;
+                this.sphereMaterial.uniforms.sphereNoiseSpeed.value = settings.sphereNoiseSpeed;
+            }
+            if (this.sphereMaterial.uniforms.albumArtMix) {
+                // Without a cover the sampler reads black, so the mix is dropped rather than darkening the sphere
+                this.sphereMaterial.uniforms.albumArtMix.value = this.albumArtTexture ? settings.albumArtSphereMix : 0;
             }
+            this.customUniformNames.forEach(name => {
+                this.sphereMaterial.uniforms[name].value = this.settings.sphereShaderUniforms[name];
+            });
         } else {
             // This might indicate sphereMaterial wasn't initialized, log once if it happens
             // console.error("animateScene: sphereMaterial or its uniforms are undefined during noise update.");
         }
 
-        // FilmPass Uniform Updates (using direct properties for clarity and correctness)
-        if (this.filmPass) { 
-            this.filmPass.noiseIntensity = this.settings.filmNoiseIntensity;
-            this.filmPass.scanlinesIntensity = this.settings.filmScanlinesIntensity;
-            this.filmPass.scanlinesCount = this.settings.filmScanlinesCount;
-            this.filmPass.grayscale = this.settings.filmGrayscale; 
-        }
-
-
         // Sphere rotation and main time uniform
         if (this.sphere && this.sphereMaterial && this.sphereMaterial.uniforms && this.sphereMaterial.uniforms.time) {
-            const sphereRotSpeed = this.settings.sphereRotationSpeed * deltaTime;
+            const sphereRotSpeed = settings.sphereRotationSpeed * deltaTime;
             this.sphere.rotation.x += sphereRotSpeed * 0.3; 
             this.sphere.rotation.y += sphereRotSpeed * 0.5;
             this.sphere.rotation.z += sphereRotSpeed * 0.2;
@@ -498,43 +1582,25 @@ export class Visualizer {
 
 
         if (this.particleSystem && this.particleSystem.geometry && this.particleSystem.material && this.particleSystem.material.uniforms) { 
-            this.particleSystem.rotation.y += this.settings.rotationSpeed * deltaTime * 0.3;
+            this.particleSystem.rotation.y += settings.rotationSpeed * deltaTime * 0.3;
             if(this.particleSystem.material.uniforms.time) this.particleSystem.material.uniforms.time.value += deltaTime;
             if(this.particleSystem.material.uniforms.globalParticleScale) {
-                 this.particleSystem.material.uniforms.globalParticleScale.value = this.settings.particleSize;
+                 this.particleSystem.material.uniforms.globalParticleScale.value = settings.particleSize;
             }
 
-            const positions = this.particleSystem.geometry.attributes.position.array;
-            const colors = this.particleSystem.geometry.attributes.color.array;
-            const baseSizes = this.particleSystem.geometry.attributes.baseSize.array;
-            const randomFactors = this.particleSystem.geometry.attributes.randomFactor.array;
-            const life = this.particleSystem.geometry.attributes.life.array;
-            const maxLife = this.particleSystem.geometry.attributes.maxLife.array;
-            let needsRespawnUpdate = false;
-            for (let i = 0; i < this.settings.particleCount; i++) {
-                life[i] -= deltaTime;
-                if (life[i] <= 0) {
-                    this.resetParticle(i, positions, colors, baseSizes, randomFactors, life, maxLife);
-                    needsRespawnUpdate = true;
-                }
-            }
-            this.particleSystem.geometry.attributes.life.needsUpdate = true;
-            if (needsRespawnUpdate) {
-                this.particleSystem.geometry.attributes.position.needsUpdate = true;
-                this.particleSystem.geometry.attributes.color.needsUpdate = true; 
-                this.particleSystem.geometry.attributes.baseSize.needsUpdate = true;
-                this.particleSystem.geometry.attributes.randomFactor.needsUpdate = true;
-                this.particleSystem.geometry.attributes.maxLife.needsUpdate = true;
-            }
+            this.gpuParticles.setCount(settings.particleCount * this.qualityLevel.particleScale);
+            this.gpuParticles.update(deltaTime, settings, {
+                active: !!audioData,
+                bass: audioData ? audioData.frequencies.bass : 0,
+                color: audioData ? this.updateParticleAudioColor(audioData.frequencies) : this.particleAudioColor
+            });
         }
         
-        if(this.bloomPass) { 
-            this.bloomPass.radius = this.settings.bloomRadius;
-            this.bloomPass.threshold = this.settings.bloomThreshold;
-        }
-        let currentBloomStrength = this.settings.bloomStrength; 
+        let currentBloomStrength = settings.bloomStrength; 
 
         this.isAudioActive = !!audioData;
+        this.applyBeatPulses(settings);
+        currentBloomStrength += this.beatPulse * settings.beatBloomKick;
 
         if (audioData) {
             if (this.sphereMaterial && this.sphereMaterial.uniforms) {
@@ -549,18 +1615,8 @@ export class Visualizer {
             if (this.particleSystem && this.particleSystem.geometry && this.particleSystem.material.uniforms) { 
                 if(this.particleSystem.material.uniforms.audioVolume) this.particleSystem.material.uniforms.audioVolume.value = THREE.MathUtils.lerp(this.particleSystem.material.uniforms.audioVolume.value, audioData.volume, 0.1);
                 if(this.particleSystem.material.uniforms.audioMid) this.particleSystem.material.uniforms.audioMid.value = THREE.MathUtils.lerp(this.particleSystem.material.uniforms.audioMid.value, audioData.frequencies.mid, 0.1);
-                const particleColors = this.particleSystem.geometry.attributes.color.array;
-                if (!this.particleSystem.geometry.attributes.color.needsUpdate) { 
-                    for (let i = 0; i < this.settings.particleCount; i++) {
-                        const i3 = i * 3;
-                        particleColors[i3] = THREE.MathUtils.lerp(particleColors[i3], 0.2 + audioData.frequencies.bass * 0.5, 0.1); 
-                        particleColors[i3 + 1] = THREE.MathUtils.lerp(particleColors[i3 + 1], 0.2 + audioData.frequencies.mid * 0.5, 0.1);
-                        particleColors[i3 + 2] = THREE.MathUtils.lerp(particleColors[i3 + 2], 0.2 + audioData.frequencies.treble * 0.5, 0.1);
-                    }
-                    this.particleSystem.geometry.attributes.color.needsUpdate = true;
-                }
             }
-            currentBloomStrength += audioData.volume * this.settings.audioBloomFactor;
+            currentBloomStrength += audioData.volume * settings.audioBloomFactor;
         } else {
              if (this.sphereMaterial && this.sphereMaterial.uniforms) {
                 if(this.sphereMaterial.uniforms.bass) this.sphereMaterial.uniforms.bass.value = THREE.MathUtils.lerp(this.sphereMaterial.uniforms.bass.value, 0, 0.1);
@@ -573,28 +1629,90 @@ export class Visualizer {
             if (this.particleSystem && this.particleSystem.geometry && this.particleSystem.material.uniforms) {
                 if(this.particleSystem.material.uniforms.audioVolume) this.particleSystem.material.uniforms.audioVolume.value = THREE.MathUtils.lerp(this.particleSystem.material.uniforms.audioVolume.value, 0, 0.05);
                 if(this.particleSystem.material.uniforms.audioMid) this.particleSystem.material.uniforms.audioMid.value = THREE.MathUtils.lerp(this.particleSystem.material.uniforms.audioMid.value, 0, 0.05);
-                if (!this.particleSystem.geometry.attributes.color.needsUpdate) {
-                    const particleColors = this.particleSystem.geometry.attributes.color.array;
-                    for (let i = 0; i < this.settings.particleCount; i++) {
-                        const i3 = i * 3;
-                        particleColors[i3] = THREE.MathUtils.lerp(particleColors[i3], 0.6 + Math.random() * 0.4, 0.02); 
-                        particleColors[i3 + 1] = THREE.MathUtils.lerp(particleColors[i3 + 1], 0.6 + Math.random() * 0.4, 0.02);
-                        particleColors[i3 + 2] = THREE.MathUtils.lerp(particleColors[i3 + 2], 0.6 + Math.random() * 0.4, 0.02);
-                    }
-                     this.particleSystem.geometry.attributes.color.needsUpdate = true;
-                }
             }
         }
         
-        if(this.bloomPass) this.bloomPass.strength = currentBloomStrength;
-
-        if(this.composer) this.composer.render(); 
+        if (this.postFx) {
+            this.postFxTime += deltaTime;
+            this.syncPostFxStack();
+            this.postFx.update(settings, { time: this.postFxTime, bloomStrength: currentBloomStrength });
+            this.postFx.render();
+        }
+        this.nowPlaying.update(deltaTime, this.trackTime, audioData, this.beatPulse);
+        this.nowPlaying.render(this.renderer);
         this.stats.end();
     }
 
-    recreateParticles() {
-        console.log("Visualizer: recreateParticles called by GUI change");
-        this.createParticles();
+    updateBeatPulses(deltaTime, audioData) {
+        const decay = Math.exp(-deltaTime * this.settings.beatDecay);
+        this.beatPulse *= decay;
+        this.onsetPulse *= decay;
+        const songDecay = Math.exp(-deltaTime * SONG_PULSE_DECAY);
+        this.songSignals.drop *= songDecay;
+        this.songSignals.section *= songDecay;
+        if (audioData && audioData.beat) {
+            const { onsets } = audioData.beat;
+            if (audioData.beat.isBeat) this.beatPulse = 1;
+            if (onsets.mid || onsets.highMid || onsets.treble) this.onsetPulse = 1;
+            this.currentBpm = audioData.beat.bpm;
+        }
+    }
+
+    applyBeatPulses(settings) {
+        if (this.sphereMaterial && this.sphereMaterial.uniforms.beatPulse) {
+            this.sphereMaterial.uniforms.beatPulse.value = this.beatPulse * settings.beatSphereKick;
+        }
+        if (this.particleSystem && this.particleSystem.material.uniforms.beatPulse) {
+            this.particleSystem.material.uniforms.beatPulse.value = this.beatPulse * settings.beatParticleBurst;
+            this.particleSystem.material.uniforms.onsetPulse.value = this.onsetPulse * settings.beatParticleBurst;
+        }
+    }
+
+    // Fixes the output size and resets all animated state so a render is identical on every run
+    beginOfflineRender(width, height, seed = 1) {
+        console.log(`Visualizer: beginOfflineRender ${width}x${height}`);
+        this.offlineRender = { width, height };
+        this.setPixelRatio(1);
+        this.renderer.setSize(width, height, false); // Keep the on-screen CSS size untouched
+        if (this.postFx) this.postFx.setSize(width, height);
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+
+        this.random = createSeededRandom(seed);
+        this.beatPulse = 0;
+        this.onsetPulse = 0;
+        this.songSignals.drop = 0;
+        this.songSignals.section = 0;
+        this.lastSongTime = null;
+        this.modulationMatrix.reset();
+        // The director enters its mode from the current view, so start from a fixed one instead of the user's
+        this.savedCameraPose = { position: this.camera.position.clone(), target: this.controls.target.clone(), fov: this.camera.fov };
+        this.controls.enableDamping = false;
+        this.controls.update(); // Without damping this uses up leftover drag momentum at once
+        this.cameraDirector.apply(START_CAMERA_POSE);
+        this.cameraDirector.reset();
+        this.automation.lastTime = null; // Apply automation on the first frame even if the playhead sits at 0
+        this.nowPlaying.restartAnimation();
+        this.applyQuality();
+        this.setActiveScene(this.settings.sceneName, true); // Fresh scene state, built with the seeded random
+        if (this.postFx) {
+            // Drop accumulated afterimage history and restart the glitch/film clock
+            this.postFxTime = 0;
+            this.postFx.setStack([]);
+            this.applyPostFxStack();
+        }
+    }
+
+    endOfflineRender() {
+        if (!this.offlineRender) return;
+        console.log("Visualizer: endOfflineRender");
+        this.random = Math.random;
+        this.offlineRender = null;
+        this.controls.enableDamping = true;
+        this.cameraDirector.apply(this.savedCameraPose);
+        this.cameraDirector.reset();
+        this.savedCameraPose = null;
+        this.applyQuality(); // Back to the governor's level and pixel ratio, then the window size
     }
 }
 console.log("src/scene.js: Parsed and Visualizer class is exported.");
\ No newline at end of file
@@ -0,0 +1,298 @@
+import * as THREE from 'three';
+
+// Scene modules are classes with three hooks:
+//   create(context)                      context: { scene, camera, renderer, visualizer }
+//   update(deltaTime, audioData, settings) audioData is null while nothing plays; settings are the modulated values
+//   dispose()                            must release every geometry, material and texture the module created
+// Colors come from context.visualizer.palette (a PaletteColors), so modules follow palette changes live.
+// Register new modules with registerScene(); the Visualizer lists SCENE_MODULES in its Scene dropdown and
+// rebuilds it for modules registered after it was created.
+
+// Frees the GPU resources of every mesh/line/points under root and detaches it from its parent
+export function disposeObject3D(root) {
+    root.traverse(object => {
+        if (object.geometry) object.geometry.dispose();
+        const materials = Array.isArray(object.material) ? object.material : (object.material ? [object.material] : []);
+        materials.forEach(material => {
+            Object.values(material.uniforms || {}).forEach(uniform => {
+                if (uniform.value && uniform.value.isTexture) uniform.value.dispose();
+            });
+            if (material.map) material.map.dispose();
+            material.dispose();
+        });
+    });
+    if (root.parent) root.parent.remove(root);
+}
+
+// Spreads `count` columns over however many analysis bands the current layout produces
+function sampleBands(bands, index, count) {
+    if (!bands || bands.length === 0) return 0;
+    return bands[Math.min(bands.length - 1, Math.floor(index * bands.length / count))];
+}
+
+// The original sphere and particle cloud; the Visualizer owns and animates them
+class OrbScene {
+    create(context) {
+        this.visualizer = context.visualizer;
+        this.visualizer.createSceneObjects();
+    }
+
+    update() {}
+
+    dispose() {
+        this.visualizer.disposeSceneObjects();
+    }
+}
+
+// Rows of bars: the front row is the live spectrum, older frames scroll away from the camera
+class SpectrumBarsScene {
+    create(context) {
+        this.columns = 32;
+        this.rows = 24;
+        this.spacing = 0.45;
+        this.history = new Float32Array(this.columns * this.rows);
+        this.group = new THREE.Group();
+        const geometry = new THREE.BoxGeometry(0.35, 1, 0.35);
+        geometry.translate(0, 0.5, 0); // Scale bars up from the floor
+        const material = new THREE.MeshBasicMaterial({ color: 0xffffff });
+        this.bars = new THREE.InstancedMesh(geometry, material, this.columns * this.rows);
+        this.bars.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        this.bars.frustumCulled = false;
+        this.dummy = new THREE.Object3D();
+        this.color = new THREE.Color();
+        this.palette = context.visualizer.palette;
+        this.group.add(this.bars);
+        this.group.position.y = -2;
+        context.scene.add(this.group);
+        this.writeInstances(0);
+    }
+
+    update(deltaTime, audioData, settings) {
+        this.history.copyWithin(this.columns, 0, this.history.length - this.columns);
+        for (let c = 0; c < this.columns; c++) {
+            const value = audioData ? sampleBands(audioData.bands, c, this.columns) : this.history[c] * 0.9;
+            this.history[c] = value;
+        }
+        this.writeInstances(settings.rotationSpeed * deltaTime * 0.3);
+    }
+
+    writeInstances(rotation) {
+        this.group.rotation.y += rotation;
+        for (let r = 0; r < this.rows; r++) {
+            for (let c = 0; c < this.columns; c++) {
+                const i = r * this.columns + c;
+                const value = this.history[i];
+                this.dummy.position.set((c - this.columns / 2) * this.spacing, 0, -r * this.spacing + 2);
+                this.dummy.scale.set(1, 0.05 + value * 5, 1);
+                this.dummy.updateMatrix();
+                this.bars.setMatrixAt(i, this.dummy.matrix);
+                const fade = 1 - r / this.rows;
+                this.palette.sampleSpectrum(c / (this.columns - 1), this.color).multiplyScalar(0.3 + value * fade);
+                this.bars.setColorAt(i, this.color);
+            }
+        }
+        this.bars.instanceMatrix.needsUpdate = true;
+        if (this.bars.instanceColor) this.bars.instanceColor.needsUpdate = true;
+    }
+
+    dispose() {
+        disposeObject3D(this.group);
+        this.bars.dispose(); // Instance buffers live on the mesh, not the geometry
+    }
+}
+
+// Oscilloscope from getNormalizedWaveform(); previous frames trail behind as fading lines
+class WaveformRibbonScene {
+    create(context) {
+        this.points = 256;
+        this.depth = 20;
+        this.group = new THREE.Group();
+        this.lines = [];
+        for (let d = 0; d < this.depth; d++) {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.points * 3), 3));
+            const material = new THREE.LineBasicMaterial({
+                transparent: true,
+                opacity: 1 - d / this.depth,
+                blending: THREE.AdditiveBlending,
+                depthWrite: false
+            });
+            const line = new THREE.Line(geometry, material);
+            line.position.z = -d * 0.4;
+            this.lines.push(line);
+            this.group.add(line);
+        }
+        this.lines.forEach(line => this.writeWaveform(line, null, 1));
+        this.palette = context.visualizer.palette;
+        this.time = 0;
+        context.scene.add(this.group);
+    }
+
+    writeWaveform(line, waveform, gain) {
+        const positions = line.geometry.attributes.position.array;
+        for (let i = 0; i < this.points; i++) {
+            const sample = waveform && waveform.length ? waveform[Math.floor(i * waveform.length / this.points)] : 0;
+            positions[i * 3] = (i / (this.points - 1) - 0.5) * 12;
+            positions[i * 3 + 1] = sample * 3 * gain;
+            positions[i * 3 + 2] = 0;
+        }
+        line.geometry.attributes.position.needsUpdate = true;
+    }
+
+    update(deltaTime, audioData, settings) {
+        // Recycle the oldest line as the newest so no buffers are reallocated
+        const newest = this.lines.pop();
+        this.lines.unshift(newest);
+        this.lines.forEach((line, d) => {
+            line.position.z = -d * 0.4;
+            line.material.opacity = 1 - d / this.depth;
+            this.palette.sampleParticle(d / (this.depth - 1), line.material.color); // Newest line at the gradient start
+        });
+        this.writeWaveform(newest, audioData ? audioData.waveform : null, audioData ? 1 + audioData.volume * 2 : 1);
+        this.time += deltaTime * settings.rotationSpeed;
+        this.group.rotation.y = Math.sin(this.time * 2) * 0.3;
+    }
+
+    dispose() {
+        disposeObject3D(this.group);
+    }
+}
+
+// Camera sits inside an open cylinder whose rings rush past faster with volume
+class TunnelScene {
+    create(context) {
+        const geometry = new THREE.CylinderGeometry(4, 4, 120, 64, 1, true);
+        geometry.rotateX(Math.PI / 2);
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                travel: { value: 0 },
+                bass: { value: 0 },
+                mid: { value: 0 },
+                treble: { value: 0 },
+                beatPulse: { value: 0 },
+                paletteBase: { value: context.visualizer.palette.shaderColors.colorSphereBase },
+                paletteBass: { value: context.visualizer.palette.shaderColors.colorBass },
+                paletteMid: { value: context.visualizer.palette.shaderColors.colorMid },
+                paletteTreble: { value: context.visualizer.palette.shaderColors.colorTreble }
+            },
+            vertexShader: `
+                varying vec2 vUv;
+                varying float vDepth;
+                void main() {
+                    vUv = uv;
+                    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+                    vDepth = -mvPosition.z;
+                    gl_Position = projectionMatrix * mvPosition;
+                }
+            `,
+            fragmentShader: `
+                uniform float travel;
+                uniform float bass;
+                uniform float mid;
+                uniform float treble;
+                uniform float beatPulse;
+                uniform vec3 paletteBase;
+                uniform vec3 paletteBass;
+                uniform vec3 paletteMid;
+                uniform vec3 paletteTreble;
+                varying vec2 vUv;
+                varying float vDepth;
+                void main() {
+                    float rings = pow(abs(sin((vUv.y * 60.0 + travel) * 3.14159)), 12.0);
+                    float stripes = pow(abs(sin(vUv.x * 3.14159 * 16.0)), 30.0) * mid;
+                    vec3 tint = paletteBase + paletteBass * (0.3 + bass) + paletteMid * mid + paletteTreble * (0.5 + treble);
+                    vec3 color = tint * (rings * (0.4 + beatPulse) + stripes) * 1.5;
+                    float fog = exp(-vDepth * 0.03);
+                    gl_FragColor = vec4(color * fog, 1.0);
+                }
+            `,
+            side: THREE.BackSide
+        });
+        this.mesh = new THREE.Mesh(geometry, this.material);
+        context.scene.add(this.mesh);
+        this.visualizer = context.visualizer;
+    }
+
+    update(deltaTime, audioData, settings) {
+        const uniforms = this.material.uniforms;
+        const volume = audioData ? audioData.volume : 0;
+        uniforms.travel.value += deltaTime * (0.5 + volume * 4);
+        ['bass', 'mid', 'treble'].forEach(band => {
+            const target = audioData ? audioData.frequencies[band] : 0;
+            uniforms[band].value = THREE.MathUtils.lerp(uniforms[band].value, target, 0.2);
+        });
+        uniforms.beatPulse.value = this.visualizer.beatPulse;
+        this.mesh.rotation.z += settings.rotationSpeed * deltaTime;
+    }
+
+    dispose() {
+        disposeObject3D(this.mesh);
+    }
+}
+
+// Scrolling landscape: x is frequency, z is time, height is band level
+class TerrainSpectrogramScene {
+    create(context) {
+        this.columns = 64;
+        this.rows = 64;
+        this.history = new Float32Array(this.columns * this.rows);
+        const geometry = new THREE.PlaneGeometry(16, 16, this.columns - 1, this.rows - 1);
+        geometry.rotateX(-Math.PI / 2);
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(this.columns * this.rows * 3), 3));
+        const material = new THREE.MeshBasicMaterial({ vertexColors: true, wireframe: true });
+        this.mesh = new THREE.Mesh(geometry, material);
+        this.mesh.position.set(0, -2.5, -4);
+        this.color = new THREE.Color();
+        this.palette = context.visualizer.palette;
+        context.scene.add(this.mesh);
+    }
+
+    update(deltaTime, audioData, settings) {
+        // PlaneGeometry rows run from far (-z) to near (+z); new data enters at the near edge
+        this.history.copyWithin(0, this.columns);
+        const start = this.history.length - this.columns;
+        for (let c = 0; c < this.columns; c++) {
+            const previous = this.history[start + c];
+            this.history[start + c] = audioData ? sampleBands(audioData.bands, c, this.columns) : previous * 0.9;
+        }
+        const positions = this.mesh.geometry.attributes.position.array;
+        const colors = this.mesh.geometry.attributes.color.array;
+        for (let i = 0; i < this.history.length; i++) {
+            const value = this.history[i];
+            positions[i * 3 + 1] = value * 4;
+            this.palette.sampleSpectrum(value, this.color).multiplyScalar(0.4 + value);
+            colors[i * 3] = this.color.r;
+            colors[i * 3 + 1] = this.color.g;
+            colors[i * 3 + 2] = this.color.b;
+        }
+        this.mesh.geometry.attributes.position.needsUpdate = true;
+        this.mesh.geometry.attributes.color.needsUpdate = true;
+        this.mesh.rotation.y += settings.rotationSpeed * deltaTime * 0.1;
+    }
+
+    dispose() {
+        disposeObject3D(this.mesh);
+    }
+}
+
+export const SCENE_MODULES = {
+    orb: OrbScene,
+    spectrumBars: SpectrumBarsScene,
+    waveformRibbon: WaveformRibbonScene,
+    tunnel: TunnelScene,
+    terrain: TerrainSpectrogramScene
+};
+
+const sceneRegisteredListeners = [];
+
+// listener(name) runs after registerScene() adds or replaces a module
+export function onSceneRegistered(listener) {
+    sceneRegisteredListeners.push(listener);
+}
+
+export function registerScene(name, SceneClass) {
+    if (typeof SceneClass !== 'function') throw new Error(`Scene "${name}" must be a class with create/update/dispose.`);
+    SCENE_MODULES[name] = SceneClass;
+    sceneRegisteredListeners.forEach(listener => listener(name));
+}
+console.log("src/scenes.js: Parsed and scene modules are exported.");
@@ -0,0 +1,133 @@
+import { BUILTIN_SPHERE_UNIFORMS, DEFAULT_SPHERE_VERTEX_SHADER, DEFAULT_SPHERE_FRAGMENT_SHADER } from './sphereShader.js';
+
+const RECOMPILE_DELAY_MS = 400;
+
+// Code panel for the sphere shaders: recompiles shortly after each edit and lists errors by line
+export class ShaderEditorPanel {
+    constructor(container, visualizer) {
+        console.log("ShaderEditorPanel: constructor called");
+        this.container = container;
+        this.visualizer = visualizer;
+        this.stage = 'vertex';
+        this.sources = { ...visualizer.getSphereShaderSource() };
+        this.recompileTimer = null;
+        if (!this.container) return;
+        this.build();
+        this.visualizer.onSphereShaderChanged = (sources) => this.setSources(sources);
+    }
+
+    build() {
+        this.container.innerHTML = '';
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'shader-editor-toolbar';
+        this.tabButtons = {};
+        ['vertex', 'fragment'].forEach(stage => {
+            const button = document.createElement('button');
+            button.className = 'toggle-button';
+            button.textContent = stage === 'vertex' ? 'Vertex' : 'Fragment';
+            button.addEventListener('click', () => this.showStage(stage));
+            this.tabButtons[stage] = button;
+            toolbar.appendChild(button);
+        });
+        const resetButton = document.createElement('button');
+        resetButton.textContent = 'Reset Stage';
+        resetButton.title = 'Restore the built-in shader for this stage';
+        resetButton.addEventListener('click', () => {
+            this.sources[this.stage] = this.stage === 'vertex' ? DEFAULT_SPHERE_VERTEX_SHADER : DEFAULT_SPHERE_FRAGMENT_SHADER;
+            this.textarea.value = this.sources[this.stage];
+            this.recompile();
+        });
+        const closeButton = document.createElement('button');
+        closeButton.textContent = 'Close';
+        closeButton.addEventListener('click', () => this.toggle(false));
+        toolbar.appendChild(resetButton);
+        toolbar.appendChild(closeButton);
+
+        this.textarea = document.createElement('textarea');
+        this.textarea.className = 'shader-editor-code';
+        this.textarea.spellcheck = false;
+        this.textarea.addEventListener('input', () => {
+            this.sources[this.stage] = this.textarea.value;
+            clearTimeout(this.recompileTimer);
+            this.recompileTimer = setTimeout(() => this.recompile(), RECOMPILE_DELAY_MS);
+        });
+        this.textarea.addEventListener('keydown', (e) => {
+            e.stopPropagation(); // Typing must not reach global shortcuts
+            if (e.key === 'Tab') {
+                e.preventDefault();
+                this.textarea.setRangeText('    ', this.textarea.selectionStart, this.textarea.selectionEnd, 'end');
+                this.textarea.dispatchEvent(new Event('input'));
+            }
+        });
+
+        const hint = document.createElement('div');
+        hint.className = 'shader-editor-hint';
+        hint.textContent = `Uniforms: ${BUILTIN_SPHERE_UNIFORMS.join(', ')}. ` +
+            'Extra "uniform float name; // min, max" declarations get GUI sliders.';
+
+        this.status = document.createElement('div');
+        this.status.className = 'shader-editor-status';
+        this.errorList = document.createElement('ul');
+        this.errorList.className = 'shader-editor-errors';
+
+        this.container.appendChild(toolbar);
+        this.container.appendChild(this.textarea);
+        this.container.appendChild(hint);
+        this.container.appendChild(this.status);
+        this.container.appendChild(this.errorList);
+        this.showStage(this.stage);
+        this.showErrors([]);
+    }
+
+    toggle(open) {
+        if (!this.container) return;
+        if (open === undefined) open = this.container.hidden;
+        this.container.hidden = !open;
+        if (open) this.setSources(this.visualizer.getSphereShaderSource());
+    }
+
+    showStage(stage) {
+        this.stage = stage;
+        this.textarea.value = this.sources[stage];
+        Object.entries(this.tabButtons).forEach(([name, button]) => button.classList.toggle('active', name === stage));
+    }
+
+    // Called when a preset or morph swaps the shader; skipped when it is the text already being edited
+    setSources(sources) {
+        if (!this.textarea || (sources.vertex === this.sources.vertex && sources.fragment === this.sources.fragment)) return;
+        this.sources = { ...sources };
+        this.showStage(this.stage);
+        this.showErrors([]);
+    }
+
+    recompile() {
+        clearTimeout(this.recompileTimer);
+        const errors = this.visualizer.setSphereShader(this.sources.vertex, this.sources.fragment);
+        this.showErrors(errors);
+    }
+
+    showErrors(errors) {
+        this.errorList.innerHTML = '';
+        this.status.textContent = errors.length ? `${errors.length} error(s) - showing the last working shader` : 'Compiled OK';
+        this.status.classList.toggle('error', errors.length > 0);
+        errors.forEach(error => {
+            const item = document.createElement('li');
+            item.textContent = `${error.stage}${error.line ? ` line ${error.line}` : ''}: ${error.message}`;
+            if (error.line && (error.stage === 'vertex' || error.stage === 'fragment')) {
+                item.addEventListener('click', () => this.selectLine(error.stage, error.line));
+            }
+            this.errorList.appendChild(item);
+        });
+    }
+
+    selectLine(stage, line) {
+        this.showStage(stage);
+        const lines = this.textarea.value.split('\n');
+        const start = lines.slice(0, line - 1).reduce((sum, text) => sum + text.length + 1, 0);
+        const end = start + (lines[line - 1] || '').length;
+        this.textarea.focus();
+        this.textarea.setSelectionRange(start, end);
+    }
+}
+console.log("src/shaderEditor.js: Parsed and ShaderEditorPanel class is exported.");
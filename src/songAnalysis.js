@@ -0,0 +1,329 @@
+// Offline structure analysis of a whole track: energy curve, section boundaries, drops and the build-ups
+// leading into them. analyzeSong() is pure so it runs in songAnalysis.worker.js; SongAnalyzer drives the
+// worker and caches results per file hash, SongStructure answers per-frame lookups.
+
+export const SONG_ANALYSIS_VERSION = 1;
+export const SONG_ANALYSIS_SAMPLE_RATE = 11025; // Enough bandwidth for the low/high split and cheap to decode
+const CACHE_STORAGE_KEY = 'visualizerSongAnalysis_v1';
+const CACHE_MAX_ENTRIES = 20;
+
+const HOP_SECONDS = 0.1;
+const ENERGY_SMOOTHING_FRAMES = 10;   // 1s moving average for the energy curve
+const NOVELTY_WINDOW_FRAMES = 40;     // 4s compared either side of a candidate section boundary
+const MIN_SECTION_FRAMES = 80;        // Boundaries at least 8s apart
+const DROP_BEFORE_FRAMES = 40;        // Energy over the 4s before a drop...
+const DROP_AFTER_FRAMES = 20;         // ...against the 2s after it
+const MIN_DROP_RISE = 0.25;           // Normalized energy jump that counts as a drop
+const MIN_DROP_LEVEL = 0.55;          // and the level the track has to land on
+const MIN_DROP_SPACING_FRAMES = 160;  // Drops at least 16s apart
+const MAX_BUILD_UP_FRAMES = 160;      // Build-ups last up to 16s...
+const MIN_BUILD_UP_FRAMES = 40;       // ...and at least 4s
+const LOW_CUTOFF_HZ = 150;
+const HIGH_CUTOFF_HZ = 2000;
+
+const round = value => Math.round(value * 1000) / 1000;
+
+function movingAverage(values, radius) {
+    const prefix = new Float64Array(values.length + 1);
+    values.forEach((value, i) => { prefix[i + 1] = prefix[i] + value; });
+    return values.map((_, i) => {
+        const start = Math.max(0, i - radius);
+        const end = Math.min(values.length, i + radius + 1);
+        return (prefix[end] - prefix[start]) / (end - start);
+    });
+}
+
+function percentile(values, fraction) {
+    const sorted = Float64Array.from(values).sort();
+    return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+}
+
+// Mean of values[start, end) from a prefix-sum array
+function rangeMean(prefix, start, end) {
+    return (prefix[end] - prefix[start]) / Math.max(1, end - start);
+}
+
+function prefixSums(values) {
+    const prefix = new Float64Array(values.length + 1);
+    for (let i = 0; i < values.length; i++) prefix[i + 1] = prefix[i] + values[i];
+    return prefix;
+}
+
+// Strongest local peaks above threshold, at least minSpacing frames apart, in time order
+function pickPeaks(scores, threshold, minSpacing, start = 0, end = scores.length) {
+    const candidates = [];
+    for (let i = Math.max(1, start); i < Math.min(scores.length - 1, end); i++) {
+        if (scores[i] > threshold && scores[i] >= scores[i - 1] && scores[i] >= scores[i + 1]) candidates.push(i);
+    }
+    candidates.sort((a, b) => scores[b] - scores[a]);
+    const picked = [];
+    candidates.forEach(index => {
+        if (picked.every(other => Math.abs(other - index) >= minSpacing)) picked.push(index);
+    });
+    return picked.sort((a, b) => a - b);
+}
+
+// Per-hop loudness in dB for the full band, the lows and the highs
+function measureFrames(samples, sampleRate) {
+    const hop = Math.max(1, Math.round(sampleRate * HOP_SECONDS));
+    const frameCount = Math.floor(samples.length / hop);
+    const full = new Float32Array(frameCount);
+    const low = new Float32Array(frameCount);
+    const high = new Float32Array(frameCount);
+    const lowAlpha = 1 - Math.exp(-2 * Math.PI * LOW_CUTOFF_HZ / sampleRate);
+    const highAlpha = 1 - Math.exp(-2 * Math.PI * HIGH_CUTOFF_HZ / sampleRate);
+    const toDb = meanSquare => 10 * Math.log10(meanSquare + 1e-10);
+    let lowState = 0;
+    let midState = 0;
+    for (let frame = 0; frame < frameCount; frame++) {
+        let sumFull = 0;
+        let sumLow = 0;
+        let sumHigh = 0;
+        for (let i = frame * hop; i < (frame + 1) * hop; i++) {
+            const x = samples[i];
+            lowState += lowAlpha * (x - lowState);
+            midState += highAlpha * (x - midState);
+            const highPart = x - midState;
+            sumFull += x * x;
+            sumLow += lowState * lowState;
+            sumHigh += highPart * highPart;
+        }
+        full[frame] = toDb(sumFull / hop);
+        low[frame] = toDb(sumLow / hop);
+        high[frame] = toDb(sumHigh / hop);
+    }
+    return { full, low, high };
+}
+
+// Section boundaries where the 4s before and after a frame sound most different
+function findBoundaries(features) {
+    const frameCount = features[0].length;
+    const prefixes = features.map(prefixSums);
+    const novelty = new Float32Array(frameCount);
+    for (let i = NOVELTY_WINDOW_FRAMES; i < frameCount - NOVELTY_WINDOW_FRAMES; i++) {
+        let distance = 0;
+        prefixes.forEach(prefix => {
+            const before = rangeMean(prefix, i - NOVELTY_WINDOW_FRAMES, i);
+            const after = rangeMean(prefix, i, i + NOVELTY_WINDOW_FRAMES);
+            distance += (after - before) * (after - before);
+        });
+        novelty[i] = Math.sqrt(distance);
+    }
+    let mean = 0;
+    novelty.forEach(value => { mean += value; });
+    mean /= frameCount;
+    let variance = 0;
+    novelty.forEach(value => { variance += (value - mean) * (value - mean); });
+    const threshold = mean + Math.sqrt(variance / frameCount);
+    return pickPeaks(novelty, threshold, MIN_SECTION_FRAMES, NOVELTY_WINDOW_FRAMES, frameCount - NOVELTY_WINDOW_FRAMES);
+}
+
+// Frames where the energy jumps from a lower level onto a high one
+function findDrops(energy) {
+    const prefix = prefixSums(energy);
+    const scores = new Float32Array(energy.length);
+    for (let i = DROP_BEFORE_FRAMES; i < energy.length - DROP_AFTER_FRAMES; i++) {
+        const after = rangeMean(prefix, i, i + DROP_AFTER_FRAMES);
+        if (after < MIN_DROP_LEVEL) continue;
+        scores[i] = after - rangeMean(prefix, i - DROP_BEFORE_FRAMES, i);
+    }
+    return pickPeaks(scores, MIN_DROP_RISE, MIN_DROP_SPACING_FRAMES).map(index => ({ index, strength: scores[index] }));
+}
+
+// samples: mono Float32Array. Times in the result are seconds, curves are sampled every `hop` seconds.
+export function analyzeSong(samples, sampleRate) {
+    const { full, low, high } = measureFrames(samples, sampleRate);
+    const frameCount = full.length;
+    const duration = samples.length / sampleRate;
+    if (frameCount < NOVELTY_WINDOW_FRAMES * 2) {
+        return { version: SONG_ANALYSIS_VERSION, duration, hop: HOP_SECONDS, energy: [], buildUp: [], sections: [{ start: 0, end: duration, energy: 0 }], drops: [], buildUps: [] };
+    }
+
+    // Loudness normalized between the quiet and loud ends of this track, so every song spans 0..1
+    const smoothed = movingAverage(full, ENERGY_SMOOTHING_FRAMES / 2);
+    const floor = percentile(smoothed, 0.05);
+    const ceiling = Math.max(floor + 1, percentile(smoothed, 0.95));
+    const energy = smoothed.map(value => Math.min(1, Math.max(0, (value - floor) / (ceiling - floor))));
+
+    const boundaries = findBoundaries([movingAverage(low, 2), smoothed, movingAverage(high, 2)]);
+    const energyPrefix = prefixSums(energy);
+    const edges = [0, ...boundaries, frameCount];
+    const sections = edges.slice(0, -1).map((start, i) => ({
+        start: round(start * HOP_SECONDS),
+        end: round(i === edges.length - 2 ? duration : edges[i + 1] * HOP_SECONDS),
+        energy: round(rangeMean(energyPrefix, start, edges[i + 1]))
+    }));
+
+    // A build-up runs from the previous boundary (or drop) into each drop, clamped to 4-16s
+    const drops = findDrops(energy);
+    const buildUp = new Float32Array(frameCount);
+    const buildUps = [];
+    drops.forEach((drop, n) => {
+        const previousMarks = [...boundaries, ...drops.slice(0, n).map(other => other.index)]
+            .filter(index => index < drop.index - MIN_BUILD_UP_FRAMES / 2);
+        const previous = previousMarks.length ? Math.max(...previousMarks) : 0;
+        const length = Math.min(MAX_BUILD_UP_FRAMES, Math.max(MIN_BUILD_UP_FRAMES, drop.index - previous));
+        const start = Math.max(0, drop.index - length);
+        for (let i = start; i < drop.index; i++) {
+            const progress = (i - start) / (drop.index - start);
+            buildUp[i] = Math.max(buildUp[i], progress * progress); // Accelerates into the drop
+        }
+        buildUps.push({ start: round(start * HOP_SECONDS), end: round(drop.index * HOP_SECONDS) });
+    });
+
+    return {
+        version: SONG_ANALYSIS_VERSION,
+        duration: round(duration),
+        hop: HOP_SECONDS,
+        energy: Array.from(energy, round),
+        buildUp: Array.from(buildUp, round),
+        sections,
+        drops: drops.map(drop => ({ time: round(drop.index * HOP_SECONDS), strength: round(drop.strength) })),
+        buildUps
+    };
+}
+
+// Per-frame lookups into an analysis result
+export class SongStructure {
+    constructor(analysis) {
+        this.analysis = analysis;
+        // Events in time order: { type: 'section', time, index, energy } / { type: 'buildUp', time, dropTime } / { type: 'drop', time, strength }
+        this.events = [
+            ...analysis.sections.map((section, index) => ({ type: 'section', time: section.start, index, energy: section.energy })),
+            ...analysis.buildUps.map(buildUp => ({ type: 'buildUp', time: buildUp.start, dropTime: buildUp.end })),
+            ...analysis.drops.map(drop => ({ type: 'drop', time: drop.time, strength: drop.strength }))
+        ].sort((a, b) => a.time - b.time);
+    }
+
+    sampleCurve(curve, time) {
+        if (!curve.length) return 0;
+        const position = Math.min(curve.length - 1, Math.max(0, time / this.analysis.hop));
+        const index = Math.floor(position);
+        const next = Math.min(curve.length - 1, index + 1);
+        return curve[index] + (curve[next] - curve[index]) * (position - index);
+    }
+
+    getEnergy(time) {
+        return this.sampleCurve(this.analysis.energy, time);
+    }
+
+    getBuildUp(time) {
+        return this.sampleCurve(this.analysis.buildUp, time);
+    }
+
+    // Events with from < time <= to
+    getEventsBetween(from, to) {
+        return this.events.filter(event => event.time > from && event.time <= to);
+    }
+}
+
+// SHA-256 of the file contents, so renamed copies share a cache entry; falls back to name and size
+// where SubtleCrypto is unavailable (insecure origins)
+export async function hashAudioFile(file, arrayBuffer) {
+    if (globalThis.crypto && crypto.subtle) {
+        const digest = await crypto.subtle.digest('SHA-256', arrayBuffer);
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+    return `${file.name}:${file.size}:${file.lastModified}`;
+}
+
+export function decodeForAnalysis(arrayBuffer) {
+    const context = new OfflineAudioContext(1, 1, SONG_ANALYSIS_SAMPLE_RATE);
+    return context.decodeAudioData(arrayBuffer);
+}
+
+function downmix(audioBuffer) {
+    const mono = new Float32Array(audioBuffer.length);
+    for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+        const data = audioBuffer.getChannelData(channel);
+        for (let i = 0; i < data.length; i++) mono[i] += data[i] / audioBuffer.numberOfChannels;
+    }
+    return mono;
+}
+
+// Runs analyzeSong() in a worker and keeps the most recent results in localStorage
+export class SongAnalyzer {
+    constructor(storage = window.localStorage) {
+        console.log("SongAnalyzer: constructor called");
+        this.storage = storage;
+        this.worker = null;
+        this.nextRequestId = 1;
+        this.pending = new Map(); // request id -> { resolve, reject }
+        this.cache = this.loadCache();
+    }
+
+    loadCache() {
+        try {
+            return JSON.parse(this.storage.getItem(CACHE_STORAGE_KEY)) || {};
+        } catch (e) {
+            console.error("SongAnalyzer: Error reading the analysis cache:", e);
+            return {};
+        }
+    }
+
+    persistCache() {
+        const entries = Object.entries(this.cache).sort((a, b) => b[1].usedAt - a[1].usedAt).slice(0, CACHE_MAX_ENTRIES);
+        this.cache = Object.fromEntries(entries);
+        try {
+            this.storage.setItem(CACHE_STORAGE_KEY, JSON.stringify(this.cache));
+        } catch (e) {
+            console.warn("SongAnalyzer: could not store the analysis cache:", e);
+        }
+    }
+
+    getCached(hash) {
+        const entry = this.cache[hash];
+        if (!entry || !entry.analysis || entry.analysis.version !== SONG_ANALYSIS_VERSION) return null;
+        entry.usedAt = Date.now();
+        this.persistCache();
+        return entry.analysis;
+    }
+
+    async analyze(hash, audioBuffer) {
+        const cached = this.getCached(hash);
+        if (cached) {
+            console.log("SongAnalyzer: using cached analysis");
+            return cached;
+        }
+        let analysis;
+        try {
+            analysis = await this.runInWorker(downmix(audioBuffer), audioBuffer.sampleRate);
+        } catch (err) {
+            // The samples were transferred to the worker, so mix them again
+            console.warn("SongAnalyzer: worker unavailable, analysing on the main thread:", err);
+            analysis = analyzeSong(downmix(audioBuffer), audioBuffer.sampleRate);
+        }
+        this.cache[hash] = { usedAt: Date.now(), analysis };
+        this.persistCache();
+        console.log(`SongAnalyzer: ${analysis.sections.length} section(s), ${analysis.drops.length} drop(s)`);
+        return analysis;
+    }
+
+    runInWorker(samples, sampleRate) {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('./songAnalysis.worker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = (event) => {
+                const { id, analysis, error } = event.data;
+                const request = this.pending.get(id);
+                if (!request) return;
+                this.pending.delete(id);
+                if (error) request.reject(new Error(error));
+                else request.resolve(analysis);
+            };
+            this.worker.onerror = (event) => {
+                event.preventDefault();
+                const error = new Error(event.message || 'Song analysis worker failed to load.');
+                this.pending.forEach(request => request.reject(error));
+                this.pending.clear();
+                this.worker.terminate();
+                this.worker = null;
+            };
+        }
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ id, samples, sampleRate }, [samples.buffer]);
+        });
+    }
+}
+console.log("src/songAnalysis.js: Parsed and SongAnalyzer/SongStructure classes are exported.");
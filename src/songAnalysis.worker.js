@@ -0,0 +1,11 @@
+import { analyzeSong } from './songAnalysis.js';
+
+// { id, samples: Float32Array (mono), sampleRate } -> { id, analysis } or { id, error }
+self.onmessage = (event) => {
+    const { id, samples, sampleRate } = event.data;
+    try {
+        self.postMessage({ id, analysis: analyzeSong(samples, sampleRate) });
+    } catch (err) {
+        self.postMessage({ id, error: err.message });
+    }
+};
@@ -0,0 +1,197 @@
+// Built-in sphere shaders plus the helpers the live shader editor uses to validate user edits.
+// Sources are kept unindented so they read naturally in the editor panel.
+
+export const DEFAULT_SPHERE_VERTEX_SHADER = `varying vec3 vWorldPosition;
+varying vec3 vViewPosition;
+varying vec3 vViewNormal;
+varying float vNoise;
+uniform float bass;
+uniform float mid;
+uniform float treble;
+uniform float time;
+uniform float beatPulse;
+uniform float sphereNoiseStrength;
+uniform float sphereNoiseSpeed;
+float rand(vec2 n) {
+    return fract(sin(dot(n, vec2(12.9898, 4.1414))) * 43758.5453);
+}
+float fbm(vec3 p) {
+    float value = 0.0;
+    float amplitude = 0.5;
+    float frequency = 2.0;
+    for (int i = 0; i < 4; i++) {
+        value += amplitude * rand(p.xy * frequency + time * sphereNoiseSpeed * 0.5);
+        p.xy += vec2(10.0);
+        amplitude *= 0.5;
+        frequency *= 2.0;
+    }
+    return value;
+}
+void main() {
+    vWorldPosition = position;
+    vNoise = fbm(position * 2.0);
+    float audioDisplacement = bass * 0.45 * sin(position.y * 10.0 + time * 2.5 + position.x * 5.0);
+    audioDisplacement += mid * 0.25 * cos(position.x * 8.0 - time * 1.5 + position.z * 6.0);
+    audioDisplacement += treble * 0.15 * sin(position.z * 12.0 + time * 1.8 + position.y * 4.0);
+    audioDisplacement += beatPulse * 0.3 * (0.6 + vNoise);
+    float noiseDisplacement = (vNoise - 0.25) * sphereNoiseStrength * (1.0 + bass * 0.5);
+    vec3 newPosition = position + normal * (audioDisplacement + noiseDisplacement);
+    vec4 mvPosition = modelViewMatrix * vec4(newPosition, 1.0);
+    vViewPosition = -mvPosition.xyz;
+    vViewNormal = normalize(normalMatrix * normal);
+    gl_Position = projectionMatrix * mvPosition;
+}
+`;
+
+export const DEFAULT_SPHERE_FRAGMENT_SHADER = `varying vec3 vWorldPosition;
+varying vec3 vViewPosition;
+varying vec3 vViewNormal;
+varying float vNoise;
+uniform float bass;
+uniform float mid;
+uniform float treble;
+uniform float volume;
+uniform float time;
+uniform vec3 paletteBase;
+uniform vec3 paletteBass;
+uniform vec3 paletteMid;
+uniform vec3 paletteTreble;
+uniform vec3 palettePulse;
+uniform vec3 paletteRim;
+uniform sampler2D albumArt;
+uniform float albumArtMix;
+float mySmoothstep(float edge0, float edge1, float x) {
+    float t = clamp((x - edge0) / (edge1 - edge0), 0.0, 1.0);
+    return t * t * (3.0 - 2.0 * t);
+}
+void main() {
+    vec3 baseColor = paletteBase;
+    vec3 bassColorContribution = paletteBass * mySmoothstep(0.2, 0.9, bass);
+    vec3 midColorContribution = paletteMid * mySmoothstep(0.15, 0.8, mid);
+    vec3 trebleColorContribution = paletteTreble * mySmoothstep(0.2, 0.7, treble);
+    vec3 audioColor = bassColorContribution + midColorContribution + trebleColorContribution;
+    vec3 color = baseColor + audioColor;
+    color *= (0.8 + vNoise * 0.6);
+    // The cover wraps around twice (mirrored), so the square image isn't stretched
+    vec3 direction = normalize(vWorldPosition);
+    vec2 artUv = vec2(atan(direction.z, direction.x) / 3.14159265 + 1.0, asin(direction.y) / 3.14159265 + 0.5);
+    vec3 art = texture2D(albumArt, artUv).rgb * (0.8 + vNoise * 0.6) + audioColor * 0.5;
+    color = mix(color, art, albumArtMix);
+    float pulseStrength = (1.0 + sin(time * 5.0 + vWorldPosition.y * 4.0)) * 0.5;
+    pulseStrength *= (volume * volume * 0.6 * (0.5 + vNoise));
+    color += palettePulse * pulseStrength;
+    float fresnelDot = abs(dot(normalize(vViewNormal), normalize(vViewPosition)));
+    float fresnelEffect = pow(1.0 - fresnelDot, 3.5);
+    color += paletteRim * fresnelEffect * (0.15 + volume * 0.5);
+    color = clamp(color, 0.0, 1.3);
+    gl_FragColor = vec4(color, 1.0);
+}
+`;
+
+// Uniforms the Visualizer feeds every frame; user shaders may declare any of them.
+// The palette* uniforms are vec3 colors from the active palette; albumArt is the current track's
+// cover (sampler2D, black when there is none) and albumArtMix how much of it to show.
+export const BUILTIN_SPHERE_UNIFORMS = [
+    'time', 'bass', 'lowMid', 'mid', 'highMid', 'treble', 'volume', 'beatPulse', 'sphereNoiseStrength', 'sphereNoiseSpeed',
+    'paletteBase', 'paletteBass', 'paletteMid', 'paletteTreble', 'palettePulse', 'paletteRim', 'albumArt', 'albumArtMix'
+];
+
+// Mirrors the prefixes three.js adds to a ShaderMaterial under WebGL2, so reported line numbers match the user's source
+const VERTEX_PREFIX = `#version 300 es
+#define attribute in
+#define varying out
+#define texture2D texture
+precision highp float;
+precision highp int;
+uniform mat4 modelMatrix;
+uniform mat4 modelViewMatrix;
+uniform mat4 projectionMatrix;
+uniform mat4 viewMatrix;
+uniform mat3 normalMatrix;
+uniform vec3 cameraPosition;
+uniform bool isOrthographic;
+in vec3 position;
+in vec3 normal;
+in vec2 uv;
+`;
+
+const FRAGMENT_PREFIX = `#version 300 es
+#define varying in
+#define texture2D texture
+layout(location = 0) out highp vec4 pc_fragColor;
+#define gl_FragColor pc_fragColor
+precision highp float;
+precision highp int;
+uniform mat4 viewMatrix;
+uniform vec3 cameraPosition;
+uniform bool isOrthographic;
+`;
+
+const CUSTOM_UNIFORM_PATTERN = /^\s*uniform\s+float\s+(\w+)\s*;[ \t]*(?:\/\/\s*(-?[\d.]+)\s*(?:,|\.\.)?\s*(-?[\d.]+))?/gm;
+
+// Finds `uniform float name;` declarations that aren't built in. An optional trailing
+// comment such as `// 0, 10` or `// -1 .. 1` sets the slider range (default 0..1).
+export function parseCustomUniforms(...sources) {
+    const uniforms = new Map();
+    sources.forEach(source => {
+        for (const match of String(source).matchAll(CUSTOM_UNIFORM_PATTERN)) {
+            const name = match[1];
+            if (BUILTIN_SPHERE_UNIFORMS.includes(name) || uniforms.has(name)) continue;
+            const low = match[2] !== undefined ? Number(match[2]) : 0;
+            const high = match[3] !== undefined ? Number(match[3]) : 1;
+            const valid = Number.isFinite(low) && Number.isFinite(high) && high > low;
+            uniforms.set(name, { name, min: valid ? low : 0, max: valid ? high : 1 });
+        }
+    });
+    return [...uniforms.values()];
+}
+
+// Turns "ERROR: 0:12: 'foo' : undeclared identifier" style logs into entries with user-facing line numbers
+export function parseShaderLog(log, stage, lineOffset) {
+    const errors = [];
+    String(log || '').split('\n').forEach(text => {
+        const match = text.match(/^(?:ERROR|WARNING):\s*\d+:(\d+):\s*(.*)$/);
+        if (match) {
+            errors.push({ stage, line: Math.max(1, Number(match[1]) - lineOffset), message: match[2].trim() });
+        } else if (text.trim() && !/^\s*\W*$/.test(text)) {
+            errors.push({ stage, line: null, message: text.trim() });
+        }
+    });
+    return errors;
+}
+
+function countLines(text) {
+    return text.split('\n').length - 1;
+}
+
+// Compiles and links the pair on the renderer's context without touching the live material.
+// Returns an empty array when the program is usable.
+export function checkShaderProgram(gl, vertexSource, fragmentSource) {
+    const errors = [];
+    const compile = (type, prefix, source, stage) => {
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, prefix + source);
+        gl.compileShader(shader);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            const stageErrors = parseShaderLog(gl.getShaderInfoLog(shader), stage, countLines(prefix));
+            errors.push(...(stageErrors.length ? stageErrors : [{ stage, line: null, message: 'Compilation failed.' }]));
+        }
+        return shader;
+    };
+    const vertexShader = compile(gl.VERTEX_SHADER, VERTEX_PREFIX, vertexSource, 'vertex');
+    const fragmentShader = compile(gl.FRAGMENT_SHADER, FRAGMENT_PREFIX, fragmentSource, 'fragment');
+    if (!errors.length) {
+        const program = gl.createProgram();
+        gl.attachShader(program, vertexShader);
+        gl.attachShader(program, fragmentShader);
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            errors.push({ stage: 'link', line: null, message: (gl.getProgramInfoLog(program) || 'Linking failed.').trim() });
+        }
+        gl.deleteProgram(program);
+    }
+    gl.deleteShader(vertexShader);
+    gl.deleteShader(fragmentShader);
+    return errors;
+}
+console.log("src/sphereShader.js: Parsed and sphere shader helpers are exported.");
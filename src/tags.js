@@ -0,0 +1,277 @@
+// Reads title, artist, album and cover art from ID3v2 (MP3, also in front of FLAC/AAC), MP4/M4A
+// and FLAC files in the browser, falling back to ID3v1. Only the parts of the file that hold tags
+// are read, so large files don't have to be loaded whole.
+
+const ID3V1_SIZE = 128;
+const MP4_CONTAINER_ATOMS = ['moov', 'udta', 'meta', 'ilst'];
+const MAX_MP4_MOOV_BYTES = 64 * 1024 * 1024; // Bigger would be a broken or hostile file
+const FRONT_COVER = 3; // APIC / FLAC picture type
+
+async function readBytes(blob, start, end) {
+    return new Uint8Array(await blob.slice(start, end).arrayBuffer());
+}
+
+function decodeText(bytes, encoding) {
+    return new TextDecoder(encoding).decode(bytes).replace(/\0+$/, '');
+}
+
+function latin1(bytes) {
+    return decodeText(bytes, 'iso-8859-1');
+}
+
+function syncsafe(bytes, offset) {
+    return ((bytes[offset] & 0x7f) << 21) | ((bytes[offset + 1] & 0x7f) << 14) | ((bytes[offset + 2] & 0x7f) << 7) | (bytes[offset + 3] & 0x7f);
+}
+
+function uint32(bytes, offset) {
+    return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
+
+function uint32LE(bytes, offset) {
+    return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+}
+
+// Drops the 0x00 that unsynchronisation inserts after every 0xFF
+function removeUnsynchronisation(bytes) {
+    const out = new Uint8Array(bytes.length);
+    let length = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        out[length++] = bytes[i];
+        if (bytes[i] === 0xff && bytes[i + 1] === 0x00) i++;
+    }
+    return out.subarray(0, length);
+}
+
+function imageMimeType(format) {
+    const type = format.toLowerCase();
+    if (type === 'jpg' || type === 'image/jpg') return 'image/jpeg';
+    return type.includes('/') ? type : `image/${type}`;
+}
+
+// --- ID3v2 ---
+
+const ID3_TEXT_ENCODINGS = ['iso-8859-1', 'utf-16le', 'utf-16be', 'utf-8'];
+const ID3_FIELDS = { TIT2: 'title', TT2: 'title', TPE1: 'artist', TP1: 'artist', TALB: 'album', TAL: 'album' };
+
+// End of a null-terminated string starting at offset; UTF-16 terminators are two aligned zero bytes
+function findTerminator(bytes, offset, encoding) {
+    const wide = encoding === 1 || encoding === 2;
+    for (let i = offset; i < bytes.length; i += wide ? 2 : 1) {
+        if (bytes[i] === 0 && (!wide || bytes[i + 1] === 0)) return i;
+    }
+    return bytes.length;
+}
+
+function parseId3Text(data) {
+    let encoding = ID3_TEXT_ENCODINGS[data[0]] || 'iso-8859-1';
+    if (data[0] === 1 && data[1] === 0xfe && data[2] === 0xff) encoding = 'utf-16be'; // TextDecoder only skips a BOM, it doesn't switch on it
+    // v2.4 separates multiple values with nulls
+    return decodeText(data.subarray(1), encoding).replace(/^\ufeff/, '').split('\0').filter(Boolean).join(', ').trim();
+}
+
+// APIC (v2.3/2.4) has a MIME type, PIC (v2.2) a three letter format
+function parseId3Picture(data, isV22) {
+    const encoding = data[0];
+    let offset = 1;
+    let mimeType;
+    if (isV22) {
+        mimeType = imageMimeType(latin1(data.subarray(1, 4)));
+        offset = 4;
+    } else {
+        const end = findTerminator(data, offset, 0);
+        mimeType = imageMimeType(latin1(data.subarray(offset, end)) || 'image/jpeg');
+        offset = end + 1;
+    }
+    const pictureType = data[offset];
+    const descriptionEnd = findTerminator(data, offset + 1, encoding);
+    const imageStart = descriptionEnd + (encoding === 1 || encoding === 2 ? 2 : 1);
+    if (imageStart >= data.length) return null;
+    return { pictureType, blob: new Blob([data.slice(imageStart)], { type: mimeType }) };
+}
+
+function parseId3Frames(tag, version, tags) {
+    const isV22 = version === 2;
+    const headerSize = isV22 ? 6 : 10;
+    const pictures = [];
+    let offset = 0;
+    while (offset + headerSize <= tag.length) {
+        const id = latin1(tag.subarray(offset, offset + (isV22 ? 3 : 4)));
+        if (!/^[A-Z0-9]{3,4}$/.test(id)) break; // Padding
+        let size;
+        if (isV22) size = (tag[offset + 3] << 16) | (tag[offset + 4] << 8) | tag[offset + 5];
+        else size = version === 4 ? syncsafe(tag, offset + 4) : uint32(tag, offset + 4);
+        const formatFlags = isV22 ? 0 : tag[offset + 9];
+        let data = tag.subarray(offset + headerSize, offset + headerSize + size);
+        offset += headerSize + size;
+
+        if (version === 3 && formatFlags & 0xc0) continue; // Compressed or encrypted
+        if (version === 4) {
+            if (formatFlags & 0x0c) continue; // Compressed or encrypted
+            if (formatFlags & 0x02) data = removeUnsynchronisation(data);
+            if (formatFlags & 0x01) data = data.subarray(4); // Data length indicator
+        }
+        if (!data.length) continue;
+        if (ID3_FIELDS[id] && !tags[ID3_FIELDS[id]]) {
+            tags[ID3_FIELDS[id]] = parseId3Text(data);
+        } else if (id === 'APIC' || id === 'PIC') {
+            const picture = parseId3Picture(data, isV22);
+            if (picture) pictures.push(picture);
+        }
+    }
+    const cover = pictures.find(picture => picture.pictureType === FRONT_COVER) || pictures[0];
+    if (cover && !tags.cover) tags.cover = cover.blob;
+}
+
+// Returns the tag's total size so callers can look behind it (FLAC files sometimes carry ID3 in front)
+async function readId3v2(file, tags) {
+    const header = await readBytes(file, 0, 10);
+    const version = header[3];
+    const flags = header[5];
+    const size = syncsafe(header, 6);
+    const totalSize = 10 + size + (flags & 0x10 ? 10 : 0); // Footer
+    if (version < 2 || version > 4) return totalSize;
+    let tag = await readBytes(file, 10, 10 + size);
+    if (flags & 0x80 && version < 4) tag = removeUnsynchronisation(tag);
+    if (flags & 0x40 && version === 3) tag = tag.subarray(4 + uint32(tag, 0)); // Extended header
+    if (flags & 0x40 && version === 4) tag = tag.subarray(syncsafe(tag, 0));
+    parseId3Frames(tag, version, tags);
+    return totalSize;
+}
+
+async function readId3v1(file, tags) {
+    if (file.size < ID3V1_SIZE) return;
+    const tag = await readBytes(file, file.size - ID3V1_SIZE, file.size);
+    if (latin1(tag.subarray(0, 3)) !== 'TAG') return;
+    const field = (start, length) => latin1(tag.subarray(start, start + length)).split('\0')[0].trim();
+    tags.title = tags.title || field(3, 30);
+    tags.artist = tags.artist || field(33, 30);
+    tags.album = tags.album || field(63, 30);
+}
+
+// --- FLAC ---
+
+function parseVorbisComments(block, tags) {
+    let offset = 4 + uint32LE(block, 0); // Vendor string
+    const count = uint32LE(block, offset);
+    offset += 4;
+    const fields = { TITLE: 'title', ARTIST: 'artist', ALBUM: 'album' };
+    for (let i = 0; i < count && offset + 4 <= block.length; i++) {
+        const length = uint32LE(block, offset);
+        const comment = decodeText(block.subarray(offset + 4, offset + 4 + length), 'utf-8');
+        offset += 4 + length;
+        const separator = comment.indexOf('=');
+        const key = fields[comment.slice(0, separator).toUpperCase()];
+        if (key && !tags[key]) tags[key] = comment.slice(separator + 1).trim();
+    }
+}
+
+function parseFlacPicture(block) {
+    const pictureType = uint32(block, 0);
+    const mimeLength = uint32(block, 4);
+    const mimeType = imageMimeType(latin1(block.subarray(8, 8 + mimeLength)) || 'image/jpeg');
+    let offset = 8 + mimeLength;
+    offset += 4 + uint32(block, offset); // Description
+    offset += 16; // Width, height, color depth, palette size
+    const length = uint32(block, offset);
+    return { pictureType, blob: new Blob([block.slice(offset + 4, offset + 4 + length)], { type: mimeType }) };
+}
+
+async function readFlac(file, start, tags) {
+    let offset = start + 4; // "fLaC"
+    const pictures = [];
+    let isLast = false;
+    while (!isLast && offset + 4 <= file.size) {
+        const header = await readBytes(file, offset, offset + 4);
+        isLast = (header[0] & 0x80) !== 0;
+        const type = header[0] & 0x7f;
+        const length = (header[1] << 16) | (header[2] << 8) | header[3];
+        offset += 4;
+        if (type === 4) parseVorbisComments(await readBytes(file, offset, offset + length), tags);
+        if (type === 6) pictures.push(parseFlacPicture(await readBytes(file, offset, offset + length)));
+        offset += length;
+    }
+    const cover = pictures.find(picture => picture.pictureType === FRONT_COVER) || pictures[0];
+    if (cover && !tags.cover) tags.cover = cover.blob;
+}
+
+// --- MP4 ---
+
+// Child atoms of bytes[start, end) as { type, start (payload), end }
+function listAtoms(bytes, start, end) {
+    const atoms = [];
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = uint32(bytes, offset);
+        const type = latin1(bytes.subarray(offset + 4, offset + 8));
+        let headerSize = 8;
+        if (size === 1) {
+            size = uint32(bytes, offset + 8) * 2 ** 32 + uint32(bytes, offset + 12);
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < headerSize || offset + size > end) break;
+        atoms.push({ type, start: offset + headerSize, end: offset + size });
+        offset += size;
+    }
+    return atoms;
+}
+
+function parseIlst(bytes, ilst, tags) {
+    const fields = { '©nam': 'title', '©ART': 'artist', 'aART': 'artist', '©alb': 'album' };
+    listAtoms(bytes, ilst.start, ilst.end).forEach(item => {
+        const data = listAtoms(bytes, item.start, item.end).find(atom => atom.type === 'data');
+        if (!data || data.end - data.start < 8) return;
+        const dataType = uint32(bytes, data.start) & 0xffffff;
+        const value = bytes.subarray(data.start + 8, data.end); // After type and locale
+        if (fields[item.type] && !tags[fields[item.type]]) {
+            tags[fields[item.type]] = decodeText(value, 'utf-8').trim();
+        } else if (item.type === 'covr' && !tags.cover) {
+            tags.cover = new Blob([value.slice()], { type: dataType === 14 ? 'image/png' : 'image/jpeg' });
+        }
+    });
+}
+
+async function readMp4(file, tags) {
+    // Top-level atoms are walked by their headers; the moov can sit before or after the media data
+    let offset = 0;
+    while (offset + 8 <= file.size) {
+        const header = await readBytes(file, offset, offset + 16);
+        let size = uint32(header, 0);
+        if (size === 1) size = uint32(header, 8) * 2 ** 32 + uint32(header, 12);
+        else if (size === 0) size = file.size - offset;
+        if (size < 8) return;
+        if (latin1(header.subarray(4, 8)) === 'moov') {
+            if (size > MAX_MP4_MOOV_BYTES) return;
+            const moov = await readBytes(file, offset, offset + size);
+            let atom = { type: 'moov', start: 8, end: moov.length };
+            for (const type of MP4_CONTAINER_ATOMS.slice(1)) {
+                let start = atom.start;
+                // ISO meta is a full box (version and flags first), QuickTime's is not
+                if (atom.type === 'meta' && latin1(moov.subarray(start + 4, start + 8)) !== 'hdlr') start += 4;
+                atom = listAtoms(moov, start, atom.end).find(child => child.type === type);
+                if (!atom) return;
+            }
+            parseIlst(moov, atom, tags);
+            return;
+        }
+        offset += size;
+    }
+}
+
+// Resolves to { title, artist, album, cover } with empty strings / null for whatever the file doesn't have
+export async function readTags(file) {
+    const tags = { title: '', artist: '', album: '', cover: null };
+    const head = await readBytes(file, 0, 12);
+    let offset = 0;
+    if (latin1(head.subarray(0, 3)) === 'ID3') offset = await readId3v2(file, tags);
+    const magic = offset ? latin1(await readBytes(file, offset, offset + 4)) : latin1(head.subarray(0, 4));
+    if (magic === 'fLaC') {
+        await readFlac(file, offset, tags);
+    } else if (!offset && latin1(head.subarray(4, 8)) === 'ftyp') {
+        await readMp4(file, tags);
+    }
+    if (!tags.title || !tags.artist) await readId3v1(file, tags);
+    return tags;
+}
+console.log("src/tags.js: Parsed and readTags is exported.");
@@ -0,0 +1,272 @@
+const CANVAS_HEIGHT = 40;
+const EDGE_GRAB_PX = 5; // How close to a loop edge a press picks up that edge instead of starting a new loop
+const DRAG_THRESHOLD_PX = 4; // Movement before a press counts as a drag rather than a click
+const MIN_LOOP_SECONDS = 0.25;
+const LOOP_END_MARGIN_SECONDS = 0.1; // B stays short of the end so the track never finishes inside the loop
+const MAX_PLAYBACK_STEP_SECONDS = 1; // Larger jumps between frames are seeks, not playback crossing B
+
+export function formatTime(seconds) {
+    if (!Number.isFinite(seconds) || seconds < 0) seconds = 0;
+    const whole = Math.floor(seconds);
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+// Peak absolute sample per bucket across all channels, 0..1
+export function computeWaveformPeaks(audioBuffer, bucketCount) {
+    const peaks = new Float32Array(bucketCount);
+    const samplesPerBucket = audioBuffer.length / bucketCount;
+    for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+        const data = audioBuffer.getChannelData(channel);
+        for (let bucket = 0; bucket < bucketCount; bucket++) {
+            const start = Math.floor(bucket * samplesPerBucket);
+            const end = Math.min(data.length, Math.floor((bucket + 1) * samplesPerBucket));
+            let peak = peaks[bucket];
+            for (let i = start; i < end; i++) {
+                const value = Math.abs(data[i]);
+                if (value > peak) peak = value;
+            }
+            peaks[bucket] = Math.min(1, peak);
+        }
+    }
+    return peaks;
+}
+
+// Position bar under the audio controls: waveform overview, playhead, elapsed/remaining time,
+// click to seek and drag to set an A/B loop. The host calls update() every frame and enforceLoop()
+// with the playing element, every frame and on its timeupdate events.
+export class Timeline {
+    // handlers: { onSeek(seconds) }
+    constructor(container, handlers) {
+        console.log("Timeline: constructor called");
+        this.container = container;
+        this.handlers = handlers;
+        this.peaks = null;
+        this.duration = 0;
+        this.currentTime = 0;
+        this.loop = null; // { start, end } in seconds
+        this.markers = []; // Times in seconds drawn as ticks, e.g. the selected automation lane's keyframes
+        this.structure = null; // { sections, drops } from the song analysis
+        this.drag = null;
+        this.lastDrawKey = '';
+        this.lastLoopCheckTime = 0;
+        if (!this.container) return;
+
+        this.elapsedLabel = document.createElement('span');
+        this.elapsedLabel.className = 'timeline-time';
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'timeline-canvas';
+        this.remainingLabel = document.createElement('span');
+        this.remainingLabel.className = 'timeline-time';
+        this.loopButton = document.createElement('button');
+        this.loopButton.className = 'timeline-loop';
+        this.loopButton.title = 'Clear the A/B loop';
+        this.loopButton.hidden = true;
+        this.loopButton.addEventListener('click', () => this.setLoop(null));
+        this.container.append(this.elapsedLabel, this.canvas, this.remainingLabel, this.loopButton);
+
+        this.canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        this.canvas.addEventListener('pointercancel', () => { this.drag = null; });
+        window.addEventListener('resize', () => this.resizeCanvas());
+        this.resizeCanvas();
+        this.draw();
+    }
+
+    resizeCanvas() {
+        if (!this.canvas) return;
+        const ratio = window.devicePixelRatio || 1;
+        const width = this.canvas.clientWidth || 600;
+        this.canvas.width = Math.round(width * ratio);
+        this.canvas.height = Math.round(CANVAS_HEIGHT * ratio);
+        this.lastDrawKey = ''; // Force a redraw at the new size
+    }
+
+    // A new track was loaded; the bar works for seeking before the decoded overview arrives
+    reset() {
+        this.peaks = null;
+        this.structure = null;
+        this.setLoop(null);
+    }
+
+    setAudioBuffer(audioBuffer) {
+        this.peaks = computeWaveformPeaks(audioBuffer, Math.max(256, this.canvas ? this.canvas.width : 1024));
+        this.lastDrawKey = '';
+    }
+
+    setStructure(analysis) {
+        this.structure = analysis ? { sections: analysis.sections, drops: analysis.drops } : null;
+        this.lastDrawKey = '';
+    }
+
+    setVisible(visible) {
+        if (!this.container || this.container.hidden !== visible) return;
+        this.container.hidden = !visible;
+        if (visible) this.resizeCanvas(); // The canvas had no layout size while hidden
+    }
+
+    setLoop(loop) {
+        this.loop = loop && loop.end - loop.start >= MIN_LOOP_SECONDS ? { start: loop.start, end: loop.end } : null;
+        if (this.loopButton) {
+            this.loopButton.hidden = !this.loop;
+            if (this.loop) this.loopButton.textContent = `A/B ${formatTime(this.loop.start)}–${formatTime(this.loop.end)} ×`;
+        }
+        this.lastDrawKey = '';
+    }
+
+    setMarkers(times) {
+        this.markers = times.slice();
+        this.lastDrawKey = '';
+    }
+
+    hasLoop() {
+        return this.loop !== null;
+    }
+
+    // True while playback at this time will still be sent back to A, so the track must not advance
+    holdsPlayback(time) {
+        return this.loop !== null && time < this.loop.end;
+    }
+
+    // Jumps back to A when playback crosses B; seeking past B by hand plays on normally
+    enforceLoop(element) {
+        const time = element.currentTime;
+        const crossedEnd = this.loop && this.lastLoopCheckTime < this.loop.end && time >= this.loop.end;
+        if (crossedEnd && !element.paused && time - this.lastLoopCheckTime < MAX_PLAYBACK_STEP_SECONDS) {
+            element.currentTime = this.loop.start;
+            this.lastLoopCheckTime = this.loop.start;
+            return;
+        }
+        this.lastLoopCheckTime = time;
+    }
+
+    update(currentTime, duration) {
+        this.currentTime = currentTime;
+        this.duration = Number.isFinite(duration) ? duration : 0;
+        if (!this.canvas) return;
+        this.elapsedLabel.textContent = formatTime(currentTime);
+        this.remainingLabel.textContent = `-${formatTime(this.duration - currentTime)}`;
+        this.draw();
+    }
+
+    timeAt(clientX) {
+        const rect = this.canvas.getBoundingClientRect();
+        const fraction = Math.min(1, Math.max(0, (clientX - rect.left) / rect.width));
+        return fraction * this.duration;
+    }
+
+    xOf(time) {
+        return this.duration > 0 ? (time / this.duration) * this.canvas.clientWidth : 0;
+    }
+
+    onPointerDown(e) {
+        if (!this.duration) return;
+        this.canvas.setPointerCapture(e.pointerId);
+        const x = e.clientX - this.canvas.getBoundingClientRect().left;
+        let anchor = this.timeAt(e.clientX);
+        let moved = false;
+        if (this.loop) {
+            // Grabbing an edge keeps the other one as the anchor
+            if (Math.abs(x - this.xOf(this.loop.start)) <= EDGE_GRAB_PX) {
+                anchor = this.loop.end;
+                moved = true;
+            } else if (Math.abs(x - this.xOf(this.loop.end)) <= EDGE_GRAB_PX) {
+                anchor = this.loop.start;
+                moved = true;
+            }
+        }
+        this.drag = { startX: e.clientX, anchor, moved };
+    }
+
+    onPointerMove(e) {
+        if (!this.drag) {
+            if (this.canvas && this.loop) {
+                const x = e.clientX - this.canvas.getBoundingClientRect().left;
+                const nearEdge = Math.abs(x - this.xOf(this.loop.start)) <= EDGE_GRAB_PX || Math.abs(x - this.xOf(this.loop.end)) <= EDGE_GRAB_PX;
+                this.canvas.style.cursor = nearEdge ? 'ew-resize' : '';
+            }
+            return;
+        }
+        if (!this.drag.moved && Math.abs(e.clientX - this.drag.startX) < DRAG_THRESHOLD_PX) return;
+        this.drag.moved = true;
+        const time = Math.min(this.timeAt(e.clientX), this.duration - LOOP_END_MARGIN_SECONDS);
+        this.setLoop({ start: Math.min(this.drag.anchor, time), end: Math.max(this.drag.anchor, time) });
+    }
+
+    onPointerUp(e) {
+        const drag = this.drag;
+        this.drag = null;
+        if (!drag) return;
+        if (drag.moved) {
+            if (this.loop) console.log(`Timeline: A/B loop ${formatTime(this.loop.start)}–${formatTime(this.loop.end)}`);
+            return;
+        }
+        if (this.handlers.onSeek) this.handlers.onSeek(this.timeAt(e.clientX));
+    }
+
+    draw() {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const playheadX = this.duration > 0 ? Math.round((this.currentTime / this.duration) * width) : 0;
+        const loopKey = this.loop ? `${this.loop.start},${this.loop.end}` : '';
+        const drawKey = `${width}|${playheadX}|${loopKey}|${!!this.peaks}`;
+        if (drawKey === this.lastDrawKey) return; // Nothing visible moved
+        this.lastDrawKey = drawKey;
+
+        const context = this.canvas.getContext('2d');
+        context.fillStyle = '#1a1a1a';
+        context.fillRect(0, 0, width, height);
+        const middle = height / 2;
+        if (this.peaks) {
+            const scale = this.peaks.length / width;
+            for (let x = 0; x < width; x++) {
+                const peak = this.peaks[Math.min(this.peaks.length - 1, Math.floor(x * scale))];
+                const barHeight = Math.max(1, peak * (height - 2));
+                context.fillStyle = x < playheadX ? '#007bff' : '#666';
+                context.fillRect(x, middle - barHeight / 2, 1, barHeight);
+            }
+        } else {
+            context.fillStyle = '#444';
+            context.fillRect(0, middle - 1, width, 2);
+            context.fillStyle = '#007bff';
+            context.fillRect(0, middle - 1, playheadX, 2);
+        }
+
+        if (this.loop && this.duration > 0) {
+            const startX = (this.loop.start / this.duration) * width;
+            const endX = (this.loop.end / this.duration) * width;
+            context.fillStyle = 'rgba(255, 204, 51, 0.25)';
+            context.fillRect(startX, 0, endX - startX, height);
+            context.fillStyle = '#fc3';
+            context.fillRect(startX, 0, 2, height);
+            context.fillRect(endX - 2, 0, 2, height);
+            context.font = `${Math.round(height * 0.3)}px sans-serif`;
+            context.fillText('A', startX + 4, height * 0.32);
+            context.fillText('B', endX - 4 - context.measureText('B').width, height * 0.32);
+        }
+
+        if (this.structure && this.duration > 0) {
+            context.fillStyle = 'rgba(255, 255, 255, 0.35)';
+            this.structure.sections.slice(1).forEach(section => context.fillRect((section.start / this.duration) * width, 0, 1, height));
+            context.fillStyle = '#ff3b30';
+            this.structure.drops.forEach(drop => context.fillRect((drop.time / this.duration) * width - 1, 0, 3, height * 0.25));
+        }
+
+        if (this.duration > 0) {
+            context.fillStyle = '#ff5fd2';
+            const size = Math.round(height * 0.15);
+            this.markers.forEach(time => {
+                const x = (time / this.duration) * width;
+                context.beginPath();
+                context.moveTo(x - size, height);
+                context.lineTo(x + size, height);
+                context.lineTo(x, height - size * 1.5);
+                context.fill();
+            });
+        }
+
+        context.fillStyle = '#fff';
+        context.fillRect(Math.min(width - 2, playheadX), 0, 2, height);
+    }
+}
+console.log("src/timeline.js: Parsed and Timeline class is exported.");
@@ -0,0 +1,22 @@
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Opens a file picker and resolves with the chosen File (or null if nothing was picked)
+export function pickFile(accept) {
+    return new Promise(resolve => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = accept;
+        input.addEventListener('change', () => resolve(input.files[0] || null), { once: true });
+        input.click();
+    });
+}
+console.log("src/utils.js: Parsed and helpers are exported.");
@@ -0,0 +1,169 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MidiMapper, MidiConnection } from '../src/midi.js';
+
+// Stand-ins for the Web MIDI objects MidiConnection talks to
+class FakeMidiInput {
+    constructor(id, name = id) {
+        this.id = id;
+        this.name = name;
+        this.type = 'input';
+        this.state = 'connected';
+        this.onmidimessage = null;
+    }
+
+    send(data) {
+        if (this.onmidimessage) this.onmidimessage({ data: Uint8Array.from(data) });
+    }
+
+    sendControlChange(channel, number, value) {
+        this.send([0xB0 | channel, number, value]);
+    }
+
+    sendNoteOn(channel, number, velocity = 100) {
+        this.send([0x90 | channel, number, velocity]);
+    }
+}
+
+class FakeMidiAccess {
+    constructor(inputs = []) {
+        this.inputs = new Map(inputs.map(input => [input.id, input]));
+        this.onstatechange = null;
+    }
+
+    // Something with requestMIDIAccess() for MidiConnection's navigator argument
+    createNavigator() {
+        return { requestMIDIAccess: async () => this };
+    }
+
+    plug(input) {
+        input.state = 'connected';
+        this.inputs.set(input.id, input);
+        if (this.onstatechange) this.onstatechange({ port: input });
+    }
+
+    unplug(input) {
+        input.state = 'disconnected';
+        this.inputs.delete(input.id);
+        if (this.onstatechange) this.onstatechange({ port: input });
+    }
+}
+
+// A mapper wired the way the Visualizer wires it, recording what it was asked to do
+function createMapper(mappings = []) {
+    const calls = { settings: [], actions: [], learned: [] };
+    const mapper = new MidiMapper({
+        getMappings: () => mappings,
+        setSetting: (key, value) => calls.settings.push([key, value]),
+        triggerAction: (mapping) => calls.actions.push(mapping),
+        onLearned: (mapping) => calls.learned.push(mapping)
+    });
+    return { mapper, mappings, calls };
+}
+
+async function connect(mapper, inputs) {
+    const access = new FakeMidiAccess(inputs);
+    const connection = new MidiConnection(mapper, access.createNavigator());
+    const devices = [];
+    connection.onDevicesChanged = (names) => devices.push(names);
+    await connection.enable();
+    return { access, connection, devices };
+}
+
+test('learning binds the next CC, which then drives the setting', async () => {
+    const { mapper, mappings, calls } = createMapper();
+    const input = new FakeMidiInput('pad');
+    await connect(mapper, [input]);
+
+    mapper.startLearn({ type: 'cc', target: 'bloomStrength', min: 0, max: 2 });
+    input.sendNoteOn(0, 36); // Wrong kind of message: still learning
+    assert.equal(mapper.isLearning(), true);
+    input.sendControlChange(2, 21, 64);
+    assert.equal(mapper.isLearning(), false);
+    assert.deepEqual(mappings, [{ type: 'cc', target: 'bloomStrength', min: 0, max: 2, channel: 2, number: 21 }]);
+    assert.equal(calls.learned.length, 1);
+    assert.deepEqual(calls.settings, [], 'the learning message itself changes nothing');
+
+    input.sendControlChange(2, 21, 127);
+    input.sendControlChange(3, 21, 127); // Other channel
+    assert.deepEqual(calls.settings, [['bloomStrength', 2]]);
+});
+
+test('learning replaces mappings with the same source or target', () => {
+    const { mapper, mappings } = createMapper([
+        { type: 'cc', channel: 0, number: 21, target: 'speed', min: 0, max: 1 },
+        { type: 'cc', channel: 0, number: 22, target: 'bloomStrength', min: 0, max: 1 },
+        { type: 'cc', channel: 0, number: 23, target: 'rotation', min: 0, max: 1 }
+    ]);
+    mapper.startLearn({ type: 'cc', target: 'bloomStrength', min: 0, max: 3 });
+    mapper.handleMessage([0xB0, 21, 0]);
+    assert.deepEqual(mappings.map(mapping => [mapping.number, mapping.target]), [[23, 'rotation'], [21, 'bloomStrength']]);
+});
+
+test('CC values are scaled onto the mapping range or its options', () => {
+    const { mapper, calls } = createMapper([
+        { type: 'cc', channel: 0, number: 1, target: 'speed', min: 0.5, max: 1.5 },
+        { type: 'cc', channel: 0, number: 2, target: 'invert', min: 10, max: -10 },
+        { type: 'cc', channel: 0, number: 3, target: 'palette', options: ['classic', 'neon', 'mono'] },
+        { type: 'cc', channel: 0, number: 4, target: 'bloom', options: [false, true] }
+    ]);
+    [[1, 0], [1, 127], [2, 0], [2, 127], [3, 0], [3, 64], [3, 127], [4, 63], [4, 64]]
+        .forEach(([number, value]) => mapper.handleMessage([0xB0, number, value]));
+    assert.deepEqual(calls.settings, [
+        ['speed', 0.5], ['speed', 1.5],
+        ['invert', 10], ['invert', -10],
+        ['palette', 'classic'], ['palette', 'neon'], ['palette', 'mono'],
+        ['bloom', false], ['bloom', true]
+    ]);
+});
+
+test('notes trigger preset recall and play/pause', async () => {
+    const { mapper, mappings, calls } = createMapper();
+    const input = new FakeMidiInput('pad');
+    await connect(mapper, [input]);
+
+    mapper.startLearn({ type: 'note', action: 'recallPreset', presetName: 'Drop' });
+    input.sendControlChange(0, 21, 5); // Wrong kind of message: still learning
+    input.sendNoteOn(9, 36);
+    mapper.startLearn({ type: 'note', action: 'playPause' });
+    input.sendNoteOn(9, 37);
+    assert.deepEqual(mappings, [
+        { type: 'note', action: 'recallPreset', presetName: 'Drop', channel: 9, number: 36 },
+        { type: 'note', action: 'playPause', channel: 9, number: 37 }
+    ]);
+    assert.deepEqual(calls.actions, []);
+
+    input.sendNoteOn(9, 36);
+    input.sendNoteOn(9, 37);
+    input.sendNoteOn(9, 36, 0); // Note-off spelled as note-on with velocity 0
+    input.send([0x89, 37, 64]); // Note-off
+    assert.deepEqual(calls.actions.map(mapping => [mapping.action, mapping.presetName]), [
+        ['recallPreset', 'Drop'],
+        ['playPause', undefined]
+    ]);
+});
+
+test('inputs are detached on unplug and re-attached on replug', async () => {
+    const { mapper, calls } = createMapper([{ type: 'cc', channel: 0, number: 7, target: 'speed', min: 0, max: 1 }]);
+    const pad = new FakeMidiInput('pad-1', 'Pad');
+    const keys = new FakeMidiInput('keys-1', 'Keys');
+    const { access, devices } = await connect(mapper, [pad]);
+    assert.deepEqual(devices, [['Pad']]);
+
+    access.plug(keys);
+    access.unplug(pad);
+    assert.deepEqual(devices.at(-1), ['Keys']);
+    assert.equal(pad.onmidimessage, null);
+    pad.sendControlChange(0, 7, 127);
+    assert.deepEqual(calls.settings, []);
+    keys.sendControlChange(0, 7, 127);
+    assert.deepEqual(calls.settings, [['speed', 1]]);
+
+    access.onstatechange({ port: { id: 'out-1', type: 'output', state: 'connected' } });
+    assert.equal(devices.length, 3, 'outputs are ignored');
+
+    access.plug(pad); // Mappings are by channel and number, so they survive re-plugging
+    pad.sendControlChange(0, 7, 0);
+    assert.deepEqual(calls.settings, [['speed', 1], ['speed', 0]]);
+    assert.deepEqual(devices.at(-1), ['Keys', 'Pad']);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Playlist } from '../src/playlist.js';
+
+function createPlaylist(names) {
+    const playlist = new Playlist();
+    playlist.add(names.map(name => ({ name, type: 'audio/mpeg' })));
+    const removed = [];
+    playlist.onCurrentRemoved = (track) => removed.push(track && track.name);
+    return { playlist, removed };
+}
+
+test('removing a track before the current one keeps the current track', () => {
+    const { playlist, removed } = createPlaylist(['a', 'b', 'c']);
+    playlist.select(1);
+    playlist.remove(0);
+    assert.equal(playlist.getCurrentTrack().name, 'b');
+    assert.deepEqual(removed, []);
+});
+
+test('removing the current track reports the next track in list order', () => {
+    const { playlist, removed } = createPlaylist(['a', 'b', 'c']);
+    playlist.select(1);
+    playlist.remove(1);
+    assert.equal(playlist.getCurrentTrack(), null);
+    playlist.select(1); // The last track: nothing follows
+    playlist.remove(1);
+    assert.deepEqual(removed, ['c', null]);
+});
+
+test('removing the current track reports the next track in shuffle order and keeps the pass', () => {
+    const { playlist, removed } = createPlaylist(['a', 'b', 'c', 'd', 'e']);
+    playlist.setShuffle(true);
+    playlist.shuffleOrder = [3, 0, 4, 1, 2];
+    playlist.select(0);
+    playlist.remove(0);
+    assert.deepEqual(removed, ['e']);
+    assert.deepEqual(playlist.shuffleOrder.map(i => playlist.tracks[i].name), ['d', 'e', 'b', 'c']);
+
+    playlist.select(playlist.tracks.findIndex(track => track.name === 'e'));
+    assert.equal(playlist.next().name, 'b');
+});
@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SCENE_MODULES, registerScene, onSceneRegistered } from '../src/scenes.js';
+
+test('registering a scene adds it to SCENE_MODULES and notifies listeners', () => {
+    const registered = [];
+    onSceneRegistered(name => registered.push([name, Object.keys(SCENE_MODULES).includes(name)]));
+    class TestScene {
+        create() {}
+        update() {}
+        dispose() {}
+    }
+    registerScene('testScene', TestScene);
+    assert.equal(SCENE_MODULES.testScene, TestScene);
+    assert.deepEqual(registered, [['testScene', true]]);
+
+    assert.throws(() => registerScene('broken', {}), /must be a class/);
+    assert.equal(SCENE_MODULES.broken, undefined);
+    assert.equal(registered.length, 1);
+});
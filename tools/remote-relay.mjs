@@ -0,0 +1,333 @@
+// Local relay between the visualizer and other software. Dependency-free: run with `node tools/remote-relay.mjs`.
+//
+//   --port 8765                 WebSocket port the visualizer ("Remote Control" > Connect) and other clients join
+//   --host 127.0.0.1            Interface to listen on (WebSocket and OSC in)
+//   --allow-origin <origin>     Extra browser origin allowed to connect, repeatable; pages served from
+//                               localhost / 127.0.0.1 / [::1] and clients without an Origin are always allowed
+//   --osc-in 9000               Optional UDP port for incoming OSC commands
+//   --osc-out 127.0.0.1:9001    Optional OSC destination for the per-frame audio features
+//   --osc-prefix /visualizer    Address prefix for both directions
+//
+// Every WebSocket message is forwarded to all other clients, so a controller page and the visualizer
+// talk JSON directly (protocol in src/remote.js). OSC is translated:
+//   /visualizer/set/<key> value             -> { type: 'set', key, value }
+//   /visualizer/preset name [morphSeconds]  -> { type: 'preset', name, morph }
+//   /visualizer/transport/<action> [time]   -> { type: 'transport', action, time }
+//   features out: /visualizer/volume f, /visualizer/frequency/<band> f, /visualizer/bands f..., /visualizer/beat i, /visualizer/bpm f
+//   song events out: /visualizer/song/section f (time), /visualizer/song/buildUp f, /visualizer/song/drop f
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import dgram from 'node:dgram';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+const MAX_OSC_BUNDLE_DEPTH = 8;
+const LOCAL_HOSTNAMES = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+function parseArgs(argv) {
+    const options = { port: 8765, host: '127.0.0.1', oscIn: null, oscOut: null, oscPrefix: '/visualizer', allowOrigins: [] };
+    for (let i = 0; i < argv.length; i += 2) {
+        const value = argv[i + 1];
+        switch (argv[i]) {
+            case '--port': options.port = Number(value); break;
+            case '--host': options.host = value; break;
+            case '--osc-in': options.oscIn = Number(value); break;
+            case '--osc-out': {
+                const [host, port] = String(value).split(':');
+                options.oscOut = { host, port: Number(port) };
+                break;
+            }
+            case '--osc-prefix': options.oscPrefix = value.replace(/\/$/, ''); break;
+            case '--allow-origin': options.allowOrigins.push(String(value).replace(/\/$/, '')); break;
+            default:
+                throw new Error(`Unknown option ${argv[i]}`);
+        }
+    }
+    return options;
+}
+
+// --- WebSocket (RFC 6455), text frames only ---
+
+function encodeFrame(text, opcode = 0x1) {
+    const payload = Buffer.from(text);
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+class WebSocketClient {
+    constructor(socket, onMessage, onClose) {
+        this.socket = socket;
+        this.onMessage = onMessage;
+        this.onClose = onClose;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        socket.on('data', (chunk) => this.receive(chunk));
+        socket.on('close', () => this.onClose(this));
+        socket.on('error', () => socket.destroy());
+    }
+
+    send(text) {
+        if (!this.socket.destroyed) this.socket.write(encodeFrame(text));
+    }
+
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        while (this.buffer.length >= 2) {
+            const fin = (this.buffer[0] & 0x80) !== 0;
+            const opcode = this.buffer[0] & 0x0F;
+            const masked = (this.buffer[1] & 0x80) !== 0;
+            let length = this.buffer[1] & 0x7F;
+            let offset = 2;
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+            if (length > MAX_MESSAGE_BYTES) {
+                this.socket.destroy();
+                return;
+            }
+            const maskOffset = offset;
+            if (masked) offset += 4;
+            if (this.buffer.length < offset + length) return;
+            const payload = Buffer.from(this.buffer.subarray(offset, offset + length));
+            if (masked) {
+                for (let i = 0; i < payload.length; i++) payload[i] ^= this.buffer[maskOffset + (i % 4)];
+            }
+            this.buffer = this.buffer.subarray(offset + length);
+
+            if (opcode === 0x8) {
+                this.socket.end(encodeFrame('', 0x8));
+                return;
+            }
+            if (opcode === 0x9) {
+                this.socket.write(encodeFrame(payload.toString(), 0xA)); // Pong with the same data
+                continue;
+            }
+            if (opcode === 0x1 || opcode === 0x0) {
+                this.fragments.push(payload);
+                if (fin) {
+                    const text = Buffer.concat(this.fragments).toString();
+                    this.fragments = [];
+                    this.onMessage(this, text);
+                }
+            }
+        }
+    }
+}
+
+// --- OSC 1.0 ---
+
+function readOscString(buffer, offset) {
+    const end = buffer.indexOf(0, offset);
+    if (end < 0) throw new Error('unterminated OSC string');
+    const value = buffer.toString('utf8', offset, end);
+    return { value, offset: (end + 4) & ~3 };
+}
+
+// Throws on malformed input; the caller drops the whole datagram
+function decodeOscMessage(buffer, depth = 0) {
+    const address = readOscString(buffer, 0);
+    if (address.value === '#bundle') {
+        if (depth >= MAX_OSC_BUNDLE_DEPTH) throw new Error('OSC bundles nested too deeply');
+        const messages = [];
+        let position = address.offset + 8; // Skip the time tag; bundle contents are applied immediately
+        while (position + 4 <= buffer.length) {
+            const size = buffer.readInt32BE(position);
+            if (size <= 0 || position + 4 + size > buffer.length) throw new Error(`bad OSC bundle element size ${size}`);
+            messages.push(...decodeOscMessage(buffer.subarray(position + 4, position + 4 + size), depth + 1));
+            position += 4 + size;
+        }
+        return messages;
+    }
+    const tags = readOscString(buffer, address.offset);
+    const args = [];
+    let position = tags.offset;
+    for (const tag of tags.value.slice(1)) {
+        switch (tag) {
+            case 'i': args.push(buffer.readInt32BE(position)); position += 4; break;
+            case 'f': args.push(buffer.readFloatBE(position)); position += 4; break;
+            case 'd': args.push(buffer.readDoubleBE(position)); position += 8; break;
+            case 'h': args.push(Number(buffer.readBigInt64BE(position))); position += 8; break;
+            case 's': {
+                const string = readOscString(buffer, position);
+                args.push(string.value);
+                position = string.offset;
+                break;
+            }
+            case 'T': args.push(true); break;
+            case 'F': args.push(false); break;
+            case 'N': args.push(null); break;
+            default:
+                return []; // Unsupported type: the rest of the message can't be located
+        }
+    }
+    return [{ address: address.value, args }];
+}
+
+function oscString(value) {
+    const bytes = Buffer.from(value + '\0');
+    return Buffer.concat([bytes, Buffer.alloc((4 - (bytes.length % 4)) % 4)]);
+}
+
+function encodeOscMessage(address, args) {
+    const tags = ',' + args.map(arg => (Number.isInteger(arg.int) ? 'i' : 'f')).join('');
+    const data = args.map(arg => {
+        const bytes = Buffer.alloc(4);
+        if (Number.isInteger(arg.int)) bytes.writeInt32BE(arg.int);
+        else bytes.writeFloatBE(arg.float);
+        return bytes;
+    });
+    return Buffer.concat([oscString(address), oscString(tags), ...data]);
+}
+
+// OSC address + args -> JSON command for the visualizer, or null
+function oscToCommand(message, prefix) {
+    if (!message.address.startsWith(prefix + '/')) return null;
+    const parts = message.address.slice(prefix.length + 1).split('/');
+    const [first, second] = message.args;
+    switch (parts[0]) {
+        case 'set':
+            return parts[1] ? { type: 'set', key: parts[1], value: first } : null;
+        case 'preset':
+            return typeof first === 'string' ? { type: 'preset', name: first, morph: Number.isFinite(second) ? second : undefined } : null;
+        case 'transport': {
+            const action = parts[1] || first;
+            const time = parts[1] ? first : second;
+            return typeof action === 'string' ? { type: 'transport', action, time } : null;
+        }
+        default:
+            return null;
+    }
+}
+
+function featuresToOsc(features, prefix) {
+    const packets = [
+        encodeOscMessage(`${prefix}/volume`, [{ float: features.volume }]),
+        encodeOscMessage(`${prefix}/beat`, [{ int: features.beat && features.beat.isBeat ? 1 : 0 }]),
+        encodeOscMessage(`${prefix}/bpm`, [{ float: features.beat ? features.beat.bpm : 0 }])
+    ];
+    Object.entries(features.frequencies || {}).forEach(([name, value]) => {
+        packets.push(encodeOscMessage(`${prefix}/frequency/${name}`, [{ float: value }]));
+    });
+    if (features.bands && features.bands.length) {
+        packets.push(encodeOscMessage(`${prefix}/bands`, features.bands.map(value => ({ float: value }))));
+    }
+    return packets;
+}
+
+// --- Relay ---
+
+// Browsers always send Origin, so this keeps arbitrary web pages from driving the visualizer
+// through localhost; native clients (OSC bridges, scripts) send none and are let through.
+function isAllowedOrigin(origin, allowOrigins) {
+    if (!origin) return true;
+    if (allowOrigins.includes(origin)) return true;
+    try {
+        return LOCAL_HOSTNAMES.has(new URL(origin).hostname);
+    } catch (e) {
+        return false;
+    }
+}
+
+function startRelay(options) {
+    const clients = new Set();
+    const broadcast = (text, except = null) => clients.forEach(client => { if (client !== except) client.send(text); });
+    const oscSocket = options.oscIn || options.oscOut ? dgram.createSocket('udp4') : null;
+
+    const onMessage = (sender, text) => {
+        broadcast(text, sender);
+        if (!options.oscOut) return;
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (e) {
+            return;
+        }
+        if (message && message.type === 'features') {
+            featuresToOsc(message, options.oscPrefix).forEach(packet => oscSocket.send(packet, options.oscOut.port, options.oscOut.host));
+        } else if (message && message.type === 'songEvent' && typeof message.event === 'string') {
+            const packet = encodeOscMessage(`${options.oscPrefix}/song/${message.event}`, [{ float: Number(message.time) || 0 }]);
+            oscSocket.send(packet, options.oscOut.port, options.oscOut.host);
+        }
+    };
+
+    const server = http.createServer((request, response) => {
+        response.writeHead(426, { 'Content-Type': 'text/plain' });
+        response.end('WebSocket relay: connect with ws://\n');
+    });
+    server.on('upgrade', (request, socket) => {
+        const key = request.headers['sec-websocket-key'];
+        if (!key || request.headers.upgrade.toLowerCase() !== 'websocket') {
+            socket.destroy();
+            return;
+        }
+        if (!isAllowedOrigin(request.headers.origin, options.allowOrigins)) {
+            console.warn(`remote-relay: rejected connection from origin ${request.headers.origin} (see --allow-origin)`);
+            socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+            return;
+        }
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+            `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+        const client = new WebSocketClient(socket, onMessage, (closed) => {
+            clients.delete(closed);
+            console.log(`remote-relay: client left (${clients.size} connected)`);
+        });
+        clients.add(client);
+        console.log(`remote-relay: client joined from ${socket.remoteAddress} (${clients.size} connected)`);
+    });
+    server.on('error', (e) => {
+        console.error(`remote-relay: can't listen on ${options.host}:${options.port}: ${e.message}`);
+        process.exit(1);
+    });
+    server.listen(options.port, options.host, () => console.log(`remote-relay: WebSocket on ws://${options.host}:${options.port}`));
+
+    if (oscSocket) {
+        oscSocket.on('error', (e) => {
+            if (e.syscall === 'bind') {
+                console.error(`remote-relay: can't listen for OSC on ${options.host}:${options.oscIn}: ${e.message}`);
+                process.exit(1);
+            }
+            console.warn(`remote-relay: OSC socket error: ${e.message}`); // e.g. an unreachable --osc-out host
+        });
+    }
+    if (options.oscIn) {
+        oscSocket.on('message', (packet) => {
+            let messages;
+            try {
+                messages = decodeOscMessage(packet);
+            } catch (e) {
+                console.warn(`remote-relay: malformed OSC packet ignored (${e.message})`);
+                return;
+            }
+            messages.forEach(message => {
+                const command = oscToCommand(message, options.oscPrefix);
+                if (command) broadcast(JSON.stringify(command));
+                else console.warn(`remote-relay: no mapping for OSC ${message.address}`);
+            });
+        });
+        oscSocket.bind(options.oscIn, options.host, () => console.log(`remote-relay: OSC in on udp ${options.host}:${options.oscIn}`));
+    }
+    if (options.oscOut) console.log(`remote-relay: OSC features out to ${options.oscOut.host}:${options.oscOut.port}`);
+}
+
+startRelay(parseArgs(process.argv.slice(2)));